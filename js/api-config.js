@@ -0,0 +1,36 @@
+// 后端 API 地址配置（抽奖页与商城页共用）
+// 说明：需在 js/lottery.js、js/marketplace.js 之前加载。
+// 优先级：window.API_BASE_URL > 同源标记 > 环境检测 > 默认本地地址
+
+window.API_CONFIG = {
+  // 获取API基础URL
+  getBaseUrl() {
+    // 1. 优先使用全局配置
+    if (window.API_BASE_URL) {
+      return window.API_BASE_URL;
+    }
+
+    // 2. 页面由 API 服务直接提供（server/site.js 注入 api-base-url 标记）时使用同源地址
+    if (document.querySelector('meta[name="api-base-url"][content="same-origin"]')) {
+      return window.location.origin;
+    }
+
+    // 3. 自动检测环境
+    const hostname = window.location.hostname;
+    const protocol = window.location.protocol;
+
+    // 生产环境：使用同域相对路径
+    if (hostname !== 'localhost' && hostname !== '127.0.0.1') {
+      return `${protocol}//${hostname}`;
+    }
+
+    // 本地开发环境：默认使用3001端口
+    return 'http://localhost:3001';
+  },
+
+  // 获取完整的API端点URL
+  getEndpoint(path) {
+    const cleanPath = path.startsWith('/') ? path : `/${path}`;
+    return `${this.getBaseUrl()}${cleanPath}`;
+  }
+};
@@ -17,6 +17,7 @@
  * - POST /api/lottery/draw - 记录抽奖历史
  * - GET /api/lottery/history - 获取用户抽奖记录
  * - GET /api/lottery/stats - 获取抽奖统计数据
+ * - GET /api/lottery/pool - 获取奖池余额与奖池分红预计奖励
  * 
  * 安全考虑:
  * - 客户端随机数仅用于动画，实际结果由智能合约生成
@@ -24,38 +25,7 @@
  * - 防止重复提交
  */
 
-/**
- * API配置
- * 支持本地开发和生产环境的灵活配置
- */
-const API_CONFIG = {
-    // 获取API基础URL，优先级：window.API_BASE_URL > 环境检测 > 默认本地地址
-    getBaseUrl() {
-        // 1. 优先使用全局配置
-        if (window.API_BASE_URL) {
-            return window.API_BASE_URL;
-        }
-        
-        // 2. 自动检测环境
-        const hostname = window.location.hostname;
-        const protocol = window.location.protocol;
-        
-        // 生产环境：使用同域相对路径
-        if (hostname !== 'localhost' && hostname !== '127.0.0.1') {
-            return `${protocol}//${hostname}`;
-        }
-        
-        // 本地开发环境：默认使用3001端口
-        return 'http://localhost:3001';
-    },
-    
-    // 获取完整的API端点URL
-    getEndpoint(path) {
-        const baseUrl = this.getBaseUrl();
-        const cleanPath = path.startsWith('/') ? path : `/${path}`;
-        return `${baseUrl}${cleanPath}`;
-    }
-};
+// API配置见 js/api-config.js（window.API_CONFIG，抽奖页与商城页共用）
 
 /**
  * 全局变量定义
@@ -203,8 +173,47 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // 检查是否已连接钱包 (页面刷新后恢复状态)
     checkWalletConnection();
+
+    // 奖池信息不依赖钱包连接，页面加载即开始展示
+    initPrizePoolWidget();
 });
 
+/**
+ * 奖池信息展示
+ * 从 GET /api/lottery/pool 读取奖池余额与“奖池分红”（奖项 3）的预计奖励，定时刷新
+ */
+const POOL_REFRESH_INTERVAL_MS = 60 * 1000;
+
+function formatXwawaAmount(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return '--';
+    return num.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+async function refreshPrizePool() {
+    const balanceEl = document.getElementById('pool-balance-amount');
+    const dividendEl = document.getElementById('pool-dividend-amount');
+    if (!balanceEl && !dividendEl) return;
+
+    try {
+        const resp = await fetch(API_CONFIG.getEndpoint('/api/lottery/pool'));
+        if (!resp.ok) {
+            throw new Error(`HTTP ${resp.status}`);
+        }
+        const pool = await resp.json();
+        if (balanceEl) balanceEl.textContent = `${formatXwawaAmount(pool.pool_balance)} XWAWA`;
+        if (dividendEl) dividendEl.textContent = `${formatXwawaAmount(pool.expected_pool_dividend)} XWAWA`;
+    } catch (err) {
+        // 保留上一次的展示值，等待下次刷新
+        console.warn('获取奖池信息失败:', err);
+    }
+}
+
+function initPrizePoolWidget() {
+    refreshPrizePool();
+    setInterval(refreshPrizePool, POOL_REFRESH_INTERVAL_MS);
+}
+
 /**
  * 监听 WalletManager 派发的连接/断开事件，统一本模块的连接状态
  */
@@ -412,12 +421,13 @@ async function fetchAndRenderUserHistory(address) {
     container.innerHTML = `<div class="loading">${isEnglish ? 'Loading lottery records...' : '正在加载抽奖记录...'}</div>`;
 
     const apiUrl = `${API_CONFIG.getEndpoint('/api/lottery/history')}?address=${encodeURIComponent(address)}&limit=30`;
+    // 已签名登录时携带会话，后端才会返回本人记录中的邮箱
+    const session = loadWalletSession(address);
     let data;
     try {
-        const resp = await fetch(apiUrl);
+        const resp = await fetch(apiUrl, session ? { headers: { 'Authorization': `Bearer ${session.token}` } } : {});
         if (!resp.ok) throw new Error(`API返回错误: ${resp.status}`);
         data = await resp.json();
-        console.log('API返回的数据:', data);
     } catch (err) {
         console.warn('拉取抽奖历史API失败:', err);
         container.innerHTML = `<div class="no-results">${isEnglish ? 'Unable to retrieve lottery records at the moment' : '暂时无法获取抽奖记录'}</div>`;
@@ -425,7 +435,6 @@ async function fetchAndRenderUserHistory(address) {
     }
 
     const records = (data && Array.isArray(data.records)) ? data.records : [];
-    console.log('处理的记录数组:', records);
 
     if (!records.length) {
         container.innerHTML = `<div class="no-results">${isEnglish ? 'No lottery records yet. Try your luck!' : '还没有抽奖记录。试试您的运气吧！'}</div>`;
@@ -472,7 +481,6 @@ async function fetchAndRenderUserHistory(address) {
             detailBtn.title = currentLangIsEnglish ? 'View prize details' : '查看中奖详情';
             detailBtn.addEventListener('click', () => {
                 // 构造result对象传递给详情弹窗
-                console.log('原始记录数据 r:', r);
                 const resultObj = {
                     id: r.id,  // 使用数据库记录ID，而不是奖品ID
                     prize_id: prizeIdLike,  // 奖品ID单独存储
@@ -484,7 +492,6 @@ async function fetchAndRenderUserHistory(address) {
                     claim_status: r.claim_status,
                     claimed_at: r.claimed_at
                 };
-                console.log('构造的resultObj:', resultObj);
                 openPrizeDetailModal(resultObj);
             });
             trailing.appendChild(detailBtn);
@@ -492,18 +499,9 @@ async function fetchAndRenderUserHistory(address) {
             // 显示状态
             const statusSpan = document.createElement('span');
             statusSpan.className = 'result-status';
-            const statusLangIsEnglish = getCurrentLanguage() === 'en';
-            
-            if (r.claim_status === 'claimed') {
-                statusSpan.textContent = statusLangIsEnglish ? '✅ Claimed' : '✅ 已领取';
-                statusSpan.style.color = '#28a745';
-            } else if (r.email) {
-                statusSpan.textContent = statusLangIsEnglish ? '📧 Email Filled' : '📧 已填写邮箱';
-                statusSpan.style.color = '#007bff';
-            } else {
-                statusSpan.textContent = statusLangIsEnglish ? '⏳ Pending' : '⏳ 待领取';
-                statusSpan.style.color = '#ffc107';
-            }
+            const statusDisplay = getClaimStatusDisplay(r.claim_status);
+            statusSpan.textContent = `${statusDisplay.icon} ${statusDisplay.text}`;
+            statusSpan.style.color = statusDisplay.color;
             trailing.appendChild(statusSpan);
         } else {
             const statusSpan = document.createElement('span');
@@ -535,6 +533,29 @@ async function fetchAndRenderUserHistory(address) {
     container.appendChild(fragment);
 }
 
+// 实物奖品领取状态的显示文案与颜色，与服务端 server/fulfilment.js 的状态机一致
+const CLAIM_STATUS_DISPLAY = {
+    unclaimed: { en: 'Unclaimed', zh: '待领取', icon: '⏳', color: '#ffc107' },
+    email_submitted: { en: 'Claim Submitted', zh: '已提交领取', icon: '📧', color: '#007bff' },
+    address_confirmed: { en: 'Address Confirmed', zh: '地址已确认', icon: '📋', color: '#17a2b8' },
+    shipped: { en: 'Shipped', zh: '已发货', icon: '🚚', color: '#6f42c1' },
+    delivered: { en: 'Delivered', zh: '已送达', icon: '✅', color: '#28a745' },
+    expired: { en: 'Expired', zh: '已过期', icon: '⌛', color: '#6c757d' },
+    rejected: { en: 'Rejected', zh: '已驳回', icon: '❌', color: '#dc3545' }
+};
+
+// 仍可提交领取（填写收货信息）的状态
+const CLAIMABLE_STATUSES = ['unclaimed', 'email_submitted'];
+
+function getClaimStatusDisplay(status) {
+    const display = CLAIM_STATUS_DISPLAY[status || 'unclaimed'] || CLAIM_STATUS_DISPLAY.unclaimed;
+    return {
+        text: getCurrentLanguage() === 'en' ? display.en : display.zh,
+        icon: display.icon,
+        color: display.color
+    };
+}
+
 // 规范化奖项名称显示
 function normalizePrizeName(prize) {
     const isEnglish = getCurrentLanguage() === 'en';
@@ -889,10 +910,7 @@ async function startDraw() {
                     const txHash = (tx && (tx.transactionHash || tx.hash)) || null;
                     persistDrawResult({
                         wallet_address: (userAccount || '').toLowerCase(),
-                        prize: finalPrize.id,
-                        amount: null,
-                        tx_hash: txHash,
-                        status: 'confirmed'
+                        tx_hash: txHash
                     }).then(() => {
                         if (userAccount) fetchAndRenderUserHistory(userAccount);
                     }).catch(err => {
@@ -1066,16 +1084,25 @@ function updateUI() {
 
 /**
  * 将抽奖结果写入后端数据库（钱包地址作为"用户名"）
+ * 仅提交交易哈希，奖项由后端从链上 Draw 事件解析；
+ * 后端 RPC 节点可能稍晚同步到交易，遇到 TRANSACTION_NOT_FOUND 时短暂重试
  */
-async function persistDrawResult(payload) {
+async function persistDrawResult(payload, retries = 3) {
     const apiUrl = API_CONFIG.getEndpoint('/api/lottery/draw');
-    const resp = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-    if (!resp.ok) throw new Error(`写入抽奖记录失败: ${resp.status}`);
-    return await resp.json();
+    for (let attempt = 0; ; attempt++) {
+        const resp = await fetch(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await resp.json().catch(() => ({}));
+        if (resp.ok) return data;
+        if (data.code === 'TRANSACTION_NOT_FOUND' && attempt < retries) {
+            await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
+            continue;
+        }
+        throw new Error(`写入抽奖记录失败: ${data.code || resp.status} ${data.error || ''}`.trim());
+    }
 }
 
 /**
@@ -1840,16 +1867,17 @@ function openShippingModal(result) {
     const closeBtn = document.getElementById('shipping-close');
     const overlay = document.getElementById('shipping-overlay');
 
-    // 预填本地数据
+    // 仅预填邮箱；收货信息只保存在服务端，清理旧版本遗留在本地的地址数据
     try {
         const ls = window.localStorage;
         if (ls) {
-            emailInput && (emailInput.value = ls.getItem('xwawa_shipping_email') || '');
-            addressInput && (addressInput.value = ls.getItem('xwawa_shipping_address') || '');
-            nameInput && (nameInput.value = ls.getItem('xwawa_shipping_name') || '');
-            phoneInput && (phoneInput.value = ls.getItem('xwawa_shipping_phone') || '');
+            emailInput && (emailInput.value = (result && result.email) || ls.getItem('xwawa_shipping_email') || '');
+            ['xwawa_shipping_address', 'xwawa_shipping_name', 'xwawa_shipping_phone'].forEach(key => ls.removeItem(key));
         }
     } catch (e) {}
+    if (addressInput) addressInput.value = '';
+    if (nameInput) nameInput.value = '';
+    if (phoneInput) phoneInput.value = '';
 
     const handleClose = () => { modal.style.display = 'none'; };
     if (cancelBtn) cancelBtn.onclick = handleClose;
@@ -1858,7 +1886,7 @@ function openShippingModal(result) {
 
     const formEl = document.getElementById('shipping-form');
     if (formEl) {
-        formEl.onsubmit = (ev) => {
+        formEl.onsubmit = async (ev) => {
             ev.preventDefault();
             const email = (emailInput && emailInput.value || '').trim();
             const address = (addressInput && addressInput.value || '').trim();
@@ -1868,20 +1896,22 @@ function openShippingModal(result) {
             if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = '提交中...'; }
 
             try {
-                const ls = window.localStorage;
-                if (ls) {
-                    ls.setItem('xwawa_shipping_email', email);
-                    ls.setItem('xwawa_shipping_address', address);
-                    ls.setItem('xwawa_shipping_name', name);
-                    ls.setItem('xwawa_shipping_phone', phone);
+                // 收货信息加密保存在服务端；尚未领取的奖品随后提交领取
+                await submitShippingDetails(result, { name, phone, address });
+                if (CLAIMABLE_STATUSES.includes(result.claim_status || 'unclaimed')) {
+                    await claimPrizeWithEmail(result, email);
                 }
-            } catch (e) {}
-
-            setTimeout(() => {
+                try { window.localStorage && window.localStorage.setItem('xwawa_shipping_email', email); } catch (e) {}
                 alert('提交成功！我们将尽快安排发货，请留意邮箱或电话通知。');
-                if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = '提交信息'; }
                 handleClose();
-            }, 300);
+                if (userAccount) {
+                    await fetchAndRenderUserHistory(userAccount);
+                }
+            } catch (error) {
+                alert('提交失败：' + (error.message || '网络错误'));
+            } finally {
+                if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = '提交信息'; }
+            }
         };
     }
 
@@ -1984,12 +2014,14 @@ function openPrizeDetailModal(result) {
     // 设置领取状态
     const claimStatus = result.claim_status || 'unclaimed';
     if (claimStatusEl) {
-        claimStatusEl.textContent = claimStatus === 'claimed' ? 
-            (isEnglish ? 'Claimed' : '已领取') : 
-            (isEnglish ? 'Unclaimed' : '未领取');
-        claimStatusEl.style.color = claimStatus === 'claimed' ? '#28a745' : '#dc3545';
+        const statusDisplay = getClaimStatusDisplay(claimStatus);
+        claimStatusEl.textContent = statusDisplay.text;
+        claimStatusEl.style.color = statusDisplay.color;
     }
 
+    // 领取进度时间线
+    renderClaimTimeline(result, isEnglish);
+
     // 设置邮箱
     if (emailInput) {
         emailInput.value = result.email || '';
@@ -1997,7 +2029,7 @@ function openPrizeDetailModal(result) {
 
     // 设置按钮状态
     if (claimPrizeBtn) {
-        if (claimStatus === 'claimed') {
+        if (!CLAIMABLE_STATUSES.includes(claimStatus)) {
             claimPrizeBtn.style.display = 'none';
         } else {
             claimPrizeBtn.style.display = 'inline-block';
@@ -2008,16 +2040,9 @@ function openPrizeDetailModal(result) {
                     return; 
                 }
                 
-                try {
-                    await claimPrizeWithEmail(result, email);
-                    alert(isEnglish ? 'Claim successful!' : '领取成功！');
-                    closeModal();
-                    if (userAccount) {
-                        await fetchAndRenderUserHistory(userAccount);
-                    }
-                } catch (error) {
-                    alert((isEnglish ? 'Claim failed: ' : '领取失败：') + (error.message || (isEnglish ? 'Network error' : '网络错误')));
-                }
+                // 领取时一并填写收货信息，由收货信息弹窗提交
+                closeModal();
+                openShippingModal({ ...result, email });
             };
         }
     }
@@ -2072,21 +2097,166 @@ function openPrizeDetailModal(result) {
 }
 
 /**
- * 调用后端API领取奖励
+ * 渲染中奖详情中的领取进度时间线
+ * 时间线含运单号，需钱包签名后读取：已有会话时直接加载，否则显示“查看进度”按钮
  */
-async function claimPrizeWithEmail(result, email) {
-    const response = await fetch(API_CONFIG.getEndpoint('/api/lottery/claim'), {
+function renderClaimTimeline(result, isEnglish) {
+    const container = document.getElementById('detail-claim-timeline');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const recordId = result.id || result.record_id;
+    if (!recordId) return;
+
+    const load = async () => {
+        container.textContent = isEnglish ? 'Loading...' : '加载中...';
+        try {
+            const timeline = await getWithWalletSession(`/api/lottery/records/${encodeURIComponent(recordId)}/timeline`);
+            container.innerHTML = '';
+            if (timeline.carrier || timeline.tracking_number) {
+                const shipment = document.createElement('div');
+                shipment.className = 'timeline-shipment';
+                shipment.textContent = (isEnglish ? 'Carrier / Tracking No.: ' : '承运商 / 运单号：')
+                    + `${timeline.carrier || '-'} / ${timeline.tracking_number || '-'}`;
+                container.appendChild(shipment);
+            }
+
+            const steps = [{ status: 'unclaimed', created_at: result.created_at }]
+                .concat(timeline.events.map(e => ({ status: e.to_status, created_at: e.created_at, note: e.note })));
+            const list = document.createElement('ol');
+            list.className = 'claim-timeline';
+            steps.forEach(step => {
+                const display = getClaimStatusDisplay(step.status);
+                const item = document.createElement('li');
+                item.style.borderLeftColor = display.color;
+                const title = document.createElement('div');
+                title.className = 'timeline-status';
+                title.textContent = `${display.icon} ${display.text}`;
+                const time = document.createElement('div');
+                time.className = 'timeline-time';
+                time.textContent = step.created_at ? new Date(step.created_at).toLocaleString() : '';
+                item.appendChild(title);
+                item.appendChild(time);
+                if (step.note) {
+                    const note = document.createElement('div');
+                    note.className = 'timeline-note';
+                    note.textContent = step.note;
+                    item.appendChild(note);
+                }
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        } catch (error) {
+            container.textContent = (isEnglish ? 'Failed to load progress: ' : '加载进度失败：') + (error.message || '');
+        }
+    };
+
+    syncConnectionFromWalletManager();
+    if (userAccount && loadWalletSession(userAccount)) {
+        load();
+        return;
+    }
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'btn btn-small';
+    viewBtn.textContent = isEnglish ? 'View Progress' : '查看进度';
+    viewBtn.onclick = load;
+    container.appendChild(viewBtn);
+}
+
+/**
+ * 钱包签名会话
+ * 领取奖励、更新邮箱等接口要求先用钱包签名登录，会话令牌按钱包地址缓存在 sessionStorage
+ */
+const WALLET_SESSION_STORAGE_KEY = 'xwawa_wallet_session';
+
+function loadWalletSession(address) {
+    try {
+        const raw = window.sessionStorage.getItem(WALLET_SESSION_STORAGE_KEY);
+        const session = raw ? JSON.parse(raw) : null;
+        if (!session || !address || session.address !== address.toLowerCase()) return null;
+        if (new Date(session.expires_at).getTime() <= Date.now()) return null;
+        return session;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveWalletSession(session) {
+    try {
+        if (session) {
+            window.sessionStorage.setItem(WALLET_SESSION_STORAGE_KEY, JSON.stringify(session));
+        } else {
+            window.sessionStorage.removeItem(WALLET_SESSION_STORAGE_KEY);
+        }
+    } catch (e) {}
+}
+
+/**
+ * 通过当前连接的钱包签名消息，优先使用 WalletManager
+ */
+async function signWithConnectedWallet(message) {
+    if (window.walletManager && typeof window.walletManager.signMessage === 'function') {
+        const status = window.walletManager.getConnectionStatus();
+        if (status && status.isConnected) {
+            return await window.walletManager.signMessage(message);
+        }
+    }
+    if (web3 && userAccount) {
+        return await web3.eth.personal.sign(message, userAccount, '');
+    }
+    throw new Error('钱包未连接');
+}
+
+/**
+ * 确保当前钱包已签名登录后端，必要时自动发起签名
+ * @param {boolean} forceRenew - 忽略缓存的会话，重新签名
+ * @returns {Promise<string>} 会话令牌
+ */
+async function ensureWalletSession(forceRenew = false) {
+    syncConnectionFromWalletManager();
+    if (!userAccount) throw new Error('请先连接钱包');
+
+    const cached = forceRenew ? null : loadWalletSession(userAccount);
+    if (cached) return cached.token;
+
+    const nonceUrl = `${API_CONFIG.getEndpoint('/api/auth/nonce')}?address=${encodeURIComponent(userAccount)}`;
+    const nonceResp = await fetch(nonceUrl);
+    const nonceData = await nonceResp.json().catch(() => ({}));
+    if (!nonceResp.ok) throw new Error(nonceData.error || `HTTP ${nonceResp.status}`);
+
+    const signature = await signWithConnectedWallet(nonceData.message);
+
+    const verifyResp = await fetch(API_CONFIG.getEndpoint('/api/auth/verify'), {
         method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: userAccount, nonce: nonceData.nonce, signature })
+    });
+    const session = await verifyResp.json().catch(() => ({}));
+    if (!verifyResp.ok) throw new Error(session.error || `HTTP ${verifyResp.status}`);
+
+    saveWalletSession({ token: session.token, address: session.address, expires_at: session.expires_at });
+    return session.token;
+}
+
+/**
+ * 携带钱包会话调用后端接口；会话失效（401）时自动重新签名并重试一次
+ */
+async function fetchWithWalletSession(path, options = {}) {
+    const send = async (token) => fetch(API_CONFIG.getEndpoint(path), {
+        ...options,
         headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            record_id: result.id || result.record_id,
-            wallet_address: userAccount,
-            email: email
-        })
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${token}`
+        }
     });
 
+    let response = await send(await ensureWalletSession());
+    if (response.status === 401) {
+        saveWalletSession(null);
+        response = await send(await ensureWalletSession(true));
+    }
+
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error || `HTTP ${response.status}`);
@@ -2095,6 +2265,43 @@ async function claimPrizeWithEmail(result, email) {
     return await response.json();
 }
 
+async function postWithWalletSession(path, body) {
+    return await fetchWithWalletSession(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+async function getWithWalletSession(path) {
+    return await fetchWithWalletSession(path, { method: 'GET' });
+}
+
+/**
+ * 调用后端API领取奖励
+ */
+async function claimPrizeWithEmail(result, email) {
+    return await postWithWalletSession('/api/lottery/claim', {
+        record_id: result.id || result.record_id,
+        wallet_address: userAccount,
+        email: email,
+        lang: getCurrentLanguage()
+    });
+}
+
+/**
+ * 调用后端API提交收货信息（服务端加密保存）
+ */
+async function submitShippingDetails(result, shipping) {
+    return await postWithWalletSession('/api/lottery/shipping', {
+        record_id: result.id || result.record_id,
+        wallet_address: userAccount,
+        name: shipping.name,
+        phone: shipping.phone,
+        address: shipping.address
+    });
+}
+
 /**
  * 调用后端API更新邮箱
  */
@@ -2106,24 +2313,11 @@ async function updatePrizeEmail(result, email) {
     const requestBody = {
         record_id: result.id || result.record_id,
         wallet_address: userAccount,
-        email: email
+        email: email,
+        lang: getCurrentLanguage()  // 确认邮件按当前页面语言发送
     };
-    console.log('发送的请求体:', requestBody);
     
-    const response = await fetch(API_CONFIG.getEndpoint('/api/lottery/update-email'), {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}`);
-    }
-
-    return await response.json();
+    return await postWithWalletSession('/api/lottery/update-email', requestBody);
 }
 
 // 将关键展示与文案方法显式挂到 window，避免作用域问题
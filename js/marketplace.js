@@ -11,15 +11,15 @@
  * 
  * 后端API集成需求:
  * - POST /api/orders - 创建订单
- * - GET /api/orders/{id}/status - 查询订单状态
+ * - GET /api/orders/{id} - 查询订单（页面刷新后恢复未完成订单）
  * - POST /api/payments/verify - 验证支付交易
  * - GET /api/products - 获取商品列表
  * - PUT /api/orders/{id}/complete - 完成订单
  * 
- * 智能合约集成:
- * - 监听XWAWA代币转账事件
- * - 验证支付金额和接收地址
- * - 自动确认支付状态
+ * 支付核验（服务端 server/payment-verifier.js）:
+ * - 扫描转入收款地址的 XWAWA Transfer 事件
+ * - 按订单精确金额匹配，达到确认数后标记为已支付
+ * - 前端轮询 GET /api/orders/{id} 获取支付状态
  * 
  * 第三方服务:
  * - QRCode.js - 二维码生成
@@ -27,20 +27,11 @@
  * - 区块链浏览器API - 交易验证
  */
 document.addEventListener('DOMContentLoaded', function() {
-    // 只读 Web3：商城支付无需连接钱包，用于监听收款地址余额
-    let readOnlyWeb3 = null;
-    let initialBalanceWei = null;
+    // API配置见 js/api-config.js（window.API_CONFIG）
+
+    // 未完成订单的订单号保存在本地，刷新页面后从服务端恢复
+    const ACTIVE_ORDER_STORAGE_KEY = 'marketplace-active-order';
 
-    function initReadOnlyWeb3() {
-        const rpcUrl = (window.ContractConfig && window.ContractConfig.rpcUrl) || 'https://rpc.ankr.com/eth';
-        try {
-            readOnlyWeb3 = new Web3(rpcUrl);
-            console.log('只读Web3已初始化:', rpcUrl);
-        } catch (e) {
-            console.error('初始化只读Web3失败:', e);
-        }
-    }
-    
     /**
      * 多语言切换功能
      * 支持中文和英文界面切换
@@ -80,6 +71,13 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
+    // 当前页面语言，订单邮件按此语言发送
+    function getCurrentLanguage() {
+        const activeButton = document.querySelector('.language-switcher button.active');
+        return (activeButton && activeButton.getAttribute('data-lang'))
+            || localStorage.getItem('marketplace-language') || 'en';
+    }
+
     /**
      * 支付模态框功能管理
      * 处理商品购买流程的用户界面交互
@@ -255,79 +253,106 @@ document.addEventListener('DOMContentLoaded', function() {
      * @param {string} productId - 商品ID
      * 
      * API调用流程:
-     * 1. POST /api/orders - 创建订单
-     * 2. 生成唯一的支付钱包地址
-     * 3. 设置订单过期时间 (15分钟)
+     * 1. POST /api/orders - 创建订单（服务端按商品目录计算 XWAWA 金额）
+     * 2. 保存订单号到本地，刷新页面后可恢复
+     * 3. 按服务端过期时间 (15分钟) 启动倒计时
      * 4. 生成支付二维码
-     * 5. 启动倒计时器
      * 
      * 安全考虑:
-     * - 每个订单使用唯一的支付地址
+     * - 收款地址与应付金额均由服务端下发，不使用前端展示价格
      * - 设置订单过期时间防止长期占用
      * - 验证邮箱格式和商品有效性
      */
-    function createOrder(email, productId) {
-        const productName = document.getElementById('modal-product-name').textContent;
-        const productPrice = document.getElementById('modal-product-price').textContent;
-        const tokenAmount = document.getElementById('modal-token-amount').textContent;
-        
+    async function createOrder(email, productId) {
         // 显示加载状态
         createOrderBtn.textContent = '创建订单中...';
         createOrderBtn.disabled = true;
-        
-        // TODO: 替换为实际的API调用
-        // const orderData = {
-        //     productId: productId,
-        //     customerEmail: email,
-        //     productName: productName,
-        //     usdPrice: productPrice,
-        //     tokenAmount: tokenAmount
-        // };
-        // 
-        // fetch('/api/orders', {
-        //     method: 'POST',
-        //     headers: { 'Content-Type': 'application/json' },
-        //     body: JSON.stringify(orderData)
-        // })
-        
-        // 模拟API调用延迟
-        setTimeout(() => {
-            // 生成模拟订单数据 (实际应从API返回)
-            const orderId = 'XW' + Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
-            const walletAddress = (window.ContractConfig && window.ContractConfig.paymentAddress) || '';
-            if (!walletAddress) {
-                alert('未配置支付地址。请在 js/contract-config.js 中设置 paymentAddress');
+
+        try {
+            const resp = await fetch(API_CONFIG.getEndpoint('/api/orders'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ product_id: productId, email, lang: getCurrentLanguage() })
+            });
+            const data = await resp.json().catch(() => ({}));
+            if (!resp.ok) {
+                throw new Error(data.error || `HTTP ${resp.status}`);
             }
-            
-            // 更新UI显示订单详情
-            document.getElementById('order-id').textContent = orderId;
-            document.getElementById('wallet-address').value = walletAddress;
-            document.getElementById('payment-token-amount').textContent = tokenAmount;
-            
-            // 生成支付二维码
-            generatePaymentQRCode(walletAddress);
-            
-            // 启动订单过期倒计时
-            startExpiryCountdown();
 
-            // 初始化只读Web3并开始监听收款
-            initReadOnlyWeb3();
-            startPaymentMonitor(orderId, email, walletAddress);
-            
-            // 更新UI状态：显示支付信息，隐藏创建按钮
-            paymentInfo.classList.remove('hidden');
-            createOrderBtn.classList.add('hidden');
-            checkPaymentBtn.classList.remove('hidden');
-            
+            localStorage.setItem(ACTIVE_ORDER_STORAGE_KEY, data.order_id);
+            showOrder(data);
+            console.log('订单创建成功:', { orderId: data.order_id, productId });
+        } catch (err) {
+            console.error('创建订单失败:', err);
+            alert('创建订单失败：' + (err.message || '未知错误'));
+        } finally {
             // 重置按钮状态
             createOrderBtn.textContent = '创建订单';
             createOrderBtn.disabled = false;
-            
-            console.log('订单创建成功:', { orderId, email, productId });
-            
-        }, 1500);
+        }
     }
-    
+
+    /**
+     * 展示服务端返回的订单：金额、订单号与过期时间均以服务端为准
+     * @param {Object} order - POST /api/orders 或 GET /api/orders/{id} 的响应
+     */
+    function showOrder(order) {
+        document.getElementById('modal-product-name').textContent = order.product_name;
+        document.getElementById('modal-product-price').textContent = order.usd_price;
+        document.getElementById('modal-token-amount').textContent = order.token_amount;
+        modal.setAttribute('data-current-product-id', order.product_id);
+
+        // 更新UI显示订单详情
+        document.getElementById('order-id').textContent = order.order_id;
+        document.getElementById('wallet-address').value = order.payment_address;
+        document.getElementById('payment-token-amount').textContent = order.token_amount;
+
+        // 生成支付二维码
+        generatePaymentQRCode(order);
+
+        // 按服务端过期时间启动倒计时
+        startExpiryCountdown(order.expires_at);
+
+        // 轮询服务端订单状态，到账由服务端核验链上转账后更新
+        startPaymentMonitor(order.order_id);
+
+        // 更新UI状态：显示支付信息，隐藏创建按钮
+        paymentInfo.classList.remove('hidden');
+        createOrderBtn.classList.add('hidden');
+        checkPaymentBtn.classList.remove('hidden');
+    }
+
+    /**
+     * 恢复未完成订单
+     * 页面刷新后读取本地保存的订单号，仍待支付时重新打开支付弹窗
+     */
+    async function restoreActiveOrder() {
+        const orderId = localStorage.getItem(ACTIVE_ORDER_STORAGE_KEY);
+        if (!orderId) return;
+
+        try {
+            const resp = await fetch(API_CONFIG.getEndpoint(`/api/orders/${encodeURIComponent(orderId)}`));
+            if (resp.status === 404) {
+                localStorage.removeItem(ACTIVE_ORDER_STORAGE_KEY);
+                return;
+            }
+            if (!resp.ok) {
+                throw new Error(`HTTP ${resp.status}`);
+            }
+            const order = await resp.json();
+            if (order.status !== 'pending') {
+                localStorage.removeItem(ACTIVE_ORDER_STORAGE_KEY);
+                return;
+            }
+            resetModal();
+            modal.style.display = 'block';
+            showOrder(order);
+        } catch (err) {
+            // 网络异常时保留订单号，下次进入页面再尝试
+            console.warn('恢复订单失败:', err);
+        }
+    }
+
     /**
      * 生成支付地址 (模拟函数)
      * 实际生产环境中应由后端安全生成
@@ -337,16 +362,18 @@ document.addEventListener('DOMContentLoaded', function() {
     
     /**
      * 生成支付二维码
-     * 使用QRCode.js库生成包含钱包地址的二维码
-     * @param {string} walletAddress - 钱包地址
+     * 配置了代币地址时使用 EIP-681 代币转账链接（含收款地址与精确金额），否则仅编码收款地址
+     * @param {Object} order - 订单信息
      */
-    function generatePaymentQRCode(walletAddress) {
+    function generatePaymentQRCode(order) {
         if (window.QRCode) {
             const qrCodeElement = document.getElementById('payment-qr-code');
             qrCodeElement.innerHTML = '';
-            // 生成简单地址二维码；如需金额/链ID可改为 EIP-681 格式
+            const text = order.token_address
+                ? `ethereum:${order.token_address}@${order.chain_id}/transfer?address=${order.payment_address}&uint256=${order.token_amount_wei}`
+                : order.payment_address;
             new QRCode(qrCodeElement, {
-                text: walletAddress,
+                text,
                 width: 170,
                 height: 170,
                 colorDark: '#000000',
@@ -357,99 +384,74 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // 启动支付监听：轮询收款地址余额变化（10s）
-    function startPaymentMonitor(orderId, email, walletAddress) {
-        if (!readOnlyWeb3 || !walletAddress) return;
-        try {
-            readOnlyWeb3.eth.getBalance(walletAddress).then(bal => {
-                initialBalanceWei = bal;
-                console.log('初始余额(wei):', bal);
-            }).catch(err => console.error('获取初始余额失败:', err));
-        } catch (e) {
-            console.error('初始化余额失败:', e);
+    /**
+     * 查询订单状态
+     * @param {string} orderId - 订单号
+     * @returns {Promise<Object>} GET /api/orders/{id} 的响应
+     */
+    async function fetchOrder(orderId) {
+        const resp = await fetch(API_CONFIG.getEndpoint(`/api/orders/${encodeURIComponent(orderId)}`));
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) {
+            throw new Error(data.error || `HTTP ${resp.status}`);
         }
+        return data;
+    }
 
+    // 订单已支付：清理本地订单号与定时器并提示用户
+    function handleOrderPaid(order) {
+        localStorage.removeItem(ACTIVE_ORDER_STORAGE_KEY);
+        if (window.paymentMonitorInterval) {
+            clearInterval(window.paymentMonitorInterval);
+        }
+        if (window.currentCountdownInterval) {
+            clearInterval(window.currentCountdownInterval);
+        }
+        console.log('订单已支付:', order.order_id, order.tx_hash);
+        alert('支付已确认，订单 ' + order.order_id + ' 已完成。');
+        modal.style.display = 'none';
+        resetModal();
+    }
+
+    // 启动支付监听：每 10 秒查询一次订单状态
+    function startPaymentMonitor(orderId) {
         if (window.paymentMonitorInterval) {
             clearInterval(window.paymentMonitorInterval);
         }
         window.paymentMonitorInterval = setInterval(async () => {
             try {
-                const bal = await readOnlyWeb3.eth.getBalance(walletAddress);
-                if (initialBalanceWei && readOnlyWeb3.utils.toBN(bal).gt(readOnlyWeb3.utils.toBN(initialBalanceWei))) {
-                    clearInterval(window.paymentMonitorInterval);
-                    console.log('检测到收款到账:', bal);
-                    try {
-                        await notifyPaymentReceived(orderId, email, walletAddress, bal);
-                    } catch (notifyErr) {
-                        console.warn('通知后端失败:', notifyErr);
-                    }
-                    alert('已检测到收款到账，确认邮件已发送。');
-                    modal.style.display = 'none';
-                    resetModal();
+                const order = await fetchOrder(orderId);
+                if (order.status === 'paid') {
+                    handleOrderPaid(order);
                 }
             } catch (pollErr) {
-                console.error('轮询余额失败:', pollErr);
+                console.error('查询订单状态失败:', pollErr);
             }
         }, 10000);
     }
-
-    async function notifyPaymentReceived(orderId, email, walletAddress, balanceWei) {
-        const webhook = (window.ContractConfig && window.ContractConfig.notifyWebhookUrl) || '';
-        if (!webhook) {
-            console.log('未配置支付通知Webhook，跳过后端通知。');
-            return;
-        }
-        const payload = {
-            orderId,
-            email,
-            walletAddress,
-            balanceWei,
-            chainId: (window.ContractConfig && window.ContractConfig.chainId) || null,
-            receivedAt: new Date().toISOString()
-        };
-        const res = await fetch(webhook, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-        if (!res.ok) {
-            throw new Error('通知Webhook失败: ' + res.status);
-        }
-    }
     
     /**
      * 检查支付状态函数
-     * 查询区块链交易状态并更新订单状态
-     * 
-     * API调用流程:
-     * 1. GET /api/orders/{orderId}/payment-status - 查询支付状态
-     * 2. 验证区块链交易哈希
-     * 3. 检查代币转账金额和接收地址
-     * 4. 更新订单状态为已支付
-     * 5. 发送确认邮件给用户
+     * 查询服务端订单状态并更新UI
      * 
-     * 区块链验证:
-     * - 验证交易确认数 (建议至少6个确认)
-     * - 检查转账金额是否匹配
-     * - 验证接收地址是否正确
-     * - 检查交易时间是否在订单有效期内
+     * 服务端核验 (server/payment-verifier.js):
+     * - 扫描转入收款地址的 XWAWA Transfer 事件
+     * - 按订单的精确金额匹配订单
+     * - 达到确认数后将订单标记为已支付并记录交易哈希
      */
     async function checkPaymentStatus() {
         const orderId = document.getElementById('order-id').textContent;
-        const walletAddress = document.getElementById('wallet-address').value;
         
         checkPaymentBtn.textContent = '检查中...';
         checkPaymentBtn.disabled = true;
         try {
-            if (!readOnlyWeb3) initReadOnlyWeb3();
-            const bal = await readOnlyWeb3.eth.getBalance(walletAddress);
-            if (initialBalanceWei && readOnlyWeb3.utils.toBN(bal).gt(readOnlyWeb3.utils.toBN(initialBalanceWei))) {
-                await notifyPaymentReceived(orderId, customerEmail.value, walletAddress, bal);
-                alert('已检测到收款到账，确认邮件已发送。');
-                modal.style.display = 'none';
-                resetModal();
+            const order = await fetchOrder(orderId);
+            if (order.status === 'paid') {
+                handleOrderPaid(order);
+            } else if (order.status === 'expired') {
+                alert('订单已过期，请重新创建订单。');
             } else {
-                alert('暂未检测到支付，请稍后重试。');
+                alert('暂未确认支付，链上转账需要等待若干区块确认，请稍后重试。');
             }
         } catch (e) {
             console.error('检查支付失败:', e);
@@ -461,7 +463,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     /**
      * 启动订单过期倒计时
-     * 15分钟倒计时，过期后订单自动失效
+     * 以服务端返回的 expires_at 为准（默认15分钟），刷新页面后倒计时不会重置
      * 
      * 功能特性:
      * - 实时显示剩余时间 (MM:SS格式)
@@ -473,48 +475,56 @@ document.addEventListener('DOMContentLoaded', function() {
      * - 实际过期验证应在后端进行
      * - 过期订单应自动释放支付地址
      */
-    function startExpiryCountdown() {
-        let minutes = 15; // 订单有效期15分钟
-        let seconds = 0;
+    function startExpiryCountdown(expiresAt) {
         const expiryElement = document.getElementById('expiry-time');
-        
-        const countdownInterval = setInterval(() => {
+        const deadline = new Date(expiresAt).getTime();
+
+        // 清理上一个订单的倒计时
+        if (window.currentCountdownInterval) {
+            clearInterval(window.currentCountdownInterval);
+        }
+        expiryElement.style.color = '';
+
+        function tick() {
+            const remainingMs = deadline - Date.now();
+
             // 检查是否已过期
-            if (minutes === 0 && seconds === 0) {
-                clearInterval(countdownInterval);
+            if (!(remainingMs > 0)) {
+                clearInterval(window.currentCountdownInterval);
                 expiryElement.textContent = '已过期';
                 expiryElement.style.color = 'red';
-                
-                // TODO: 过期处理
-                // - 禁用支付按钮
-                // - 显示重新创建订单选项
-                // - 通知后端释放支付地址
-                
+
+                // 订单已由服务端标记过期：停止收款监听，允许重新创建订单
+                localStorage.removeItem(ACTIVE_ORDER_STORAGE_KEY);
+                if (window.paymentMonitorInterval) {
+                    clearInterval(window.paymentMonitorInterval);
+                }
+                checkPaymentBtn.classList.add('hidden');
+                createOrderBtn.classList.remove('hidden');
+
                 console.log('订单已过期');
                 return;
             }
-            
-            // 倒计时逻辑
-            if (seconds === 0) {
-                minutes--;
-                seconds = 59;
-            } else {
-                seconds--;
-            }
-            
+
+            const totalSeconds = Math.ceil(remainingMs / 1000);
+            const minutes = Math.floor(totalSeconds / 60);
+            const seconds = totalSeconds % 60;
+
             // 更新显示 (MM:SS格式)
             const displayMinutes = minutes.toString().padStart(2, '0');
             const displaySeconds = seconds.toString().padStart(2, '0');
             expiryElement.textContent = `${displayMinutes}:${displaySeconds}`;
-            
+
             // 最后5分钟显示警告颜色
             if (minutes < 5) {
                 expiryElement.style.color = '#ff6b35';
             }
-            
-        }, 1000);
-        
+        }
+
         // 存储定时器ID以便后续清理
-        window.currentCountdownInterval = countdownInterval;
+        window.currentCountdownInterval = setInterval(tick, 1000);
+        tick();
     }
+
+    restoreActiveOrder();
 });
\ No newline at end of file
@@ -543,6 +543,33 @@ class WalletManager {
     getProvider() {
         return this.web3ModalManager ? this.web3ModalManager.provider : null;
     }
+
+    /**
+     * 使用当前连接的钱包对消息签名（personal_sign）
+     * 用于后端钱包签名登录，不会发起链上交易
+     */
+    async signMessage(message) {
+        if (!this.isConnected || !this.currentAccount) {
+            throw new Error('钱包未连接');
+        }
+
+        const provider = this.getProvider();
+        if (provider && typeof provider.request === 'function') {
+            const bytes = new TextEncoder().encode(message);
+            const hexMessage = '0x' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+            return await provider.request({
+                method: 'personal_sign',
+                params: [hexMessage, this.currentAccount]
+            });
+        }
+
+        // 兼容仅支持 send/sendAsync 的旧版提供者
+        const web3 = this.getWeb3Instance();
+        if (web3) {
+            return await web3.eth.personal.sign(message, this.currentAccount, '');
+        }
+        throw new Error('当前钱包不支持消息签名');
+    }
 }
 
 // 全局钱包管理器实例
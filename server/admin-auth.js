@@ -0,0 +1,116 @@
+const jwt = require('jsonwebtoken');
+const { readBearerToken, issueNonce, verifySignInSignature } = require('./auth');
+const { ADMIN_ROLES, config } = require('./config');
+const { logger } = require('./logger');
+
+// 管理员登录：运营人员用白名单内的钱包签名登录，服务端签发 JWT（HS256，密钥 JWT_SECRET）
+// 流程：GET /api/admin/auth/nonce -> 钱包 personal_sign -> POST /api/admin/auth/login -> 管理接口携带 Authorization: Bearer <jwt>
+// 白名单 ADMIN_OPERATORS 格式为 "地址:角色"，逗号分隔（由 server/config.js 校验）；每次请求按当前白名单取角色，移出白名单或降级立即生效
+// 角色权限依次递增：viewer（只读）< fulfilment（履约操作、查看收货信息）< superadmin（全部，含开发排查接口）
+
+const JWT_ISSUER = 'xwawa-admin';
+
+const settings = {
+  secret: config.admin.jwtSecret,
+  expiresIn: config.admin.jwtExpiresIn,
+};
+
+// 白名单：Map<小写地址, 角色>
+const operators = new Map(config.admin.operators.map(({ address, role }) => [address, role]));
+
+function adminError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function isAdminConfigured() {
+  return !!settings.secret && operators.size > 0;
+}
+
+function assertAdminConfigured() {
+  if (!isAdminConfigured()) {
+    throw adminError(
+      '服务端未配置管理员登录（需要至少 32 个字符的 JWT_SECRET 与 ADMIN_OPERATORS），管理接口不可用',
+      'ADMIN_DISABLED',
+      503
+    );
+  }
+}
+
+function hasRole(role, required) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+}
+
+// 领取管理员登录用的 nonce 与待签名消息
+function issueAdminNonce(req, address) {
+  assertAdminConfigured();
+  return issueNonce(req, address, 'admin');
+}
+
+/**
+ * 校验签名并签发管理员 JWT；签名地址不在白名单时返回 403
+ * @returns {{token: string, address: string, role: string, expires_at: string}}
+ */
+function adminLogin({ address, nonce, signature }) {
+  assertAdminConfigured();
+  let signer;
+  try {
+    signer = verifySignInSignature({ address, nonce, signature }, 'admin');
+  } catch (err) {
+    throw adminError(err.message, err.code, 401);
+  }
+  const role = operators.get(signer);
+  if (!role) {
+    throw adminError('该钱包地址不是管理员', 'FORBIDDEN', 403);
+  }
+  const token = jwt.sign({ role }, settings.secret, {
+    algorithm: 'HS256',
+    subject: signer,
+    issuer: JWT_ISSUER,
+    expiresIn: settings.expiresIn,
+  });
+  const { exp } = jwt.decode(token);
+  logger.info('管理员登录', { address: signer, role });
+  return { token, address: signer, role, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Express 中间件：要求管理员 JWT 且角色不低于 role，并将 { address, role } 挂到 req.admin
+ * @param {'viewer'|'fulfilment'|'superadmin'} role - 最低角色
+ */
+function requireAdminRole(role) {
+  return (req, res, next) => {
+    try {
+      assertAdminConfigured();
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(readBearerToken(req) || '', settings.secret, { algorithms: ['HS256'], issuer: JWT_ISSUER });
+    } catch (err) {
+      return res.status(401).json({ error: '管理员登录已失效，请重新签名登录', code: 'UNAUTHORIZED' });
+    }
+
+    const current = operators.get(String(claims.sub || '').toLowerCase());
+    if (!current) {
+      return res.status(401).json({ error: '该钱包地址已不是管理员', code: 'UNAUTHORIZED' });
+    }
+    if (!hasRole(current, role)) {
+      return res.status(403).json({ error: `需要 ${role} 或更高权限`, code: 'FORBIDDEN' });
+    }
+    req.admin = { address: claims.sub.toLowerCase(), role: current };
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  hasRole,
+  issueAdminNonce,
+  adminLogin,
+  requireAdminRole,
+};
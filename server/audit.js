@@ -0,0 +1,58 @@
+const { getRepository } = require('./repository');
+const { logger } = require('./logger');
+
+// 审计日志：记录每个写操作（以及管理员查看收货信息等敏感读取）的操作者、会话钱包、来源 IP、请求ID与变更前后的值
+// 只追加，存储层不提供修改与删除；写入失败只输出日志，不影响接口本身
+// 操作者：admin:<地址>（管理员）、wallet:<地址>（中奖人会话）、system:<进程>（后台任务）、anonymous（公开接口）
+
+function requestActor(req) {
+  if (req && req.admin) return `admin:${req.admin.address}`;
+  if (req && req.walletAddress) return `wallet:${req.walletAddress}`;
+  return 'anonymous';
+}
+
+/**
+ * 追加一条审计记录
+ * @param {object|null} req - Express 请求（取操作者、会话钱包、IP 与请求ID）；后台任务传 null
+ * @param {string} action - 操作，如 lottery.claim、admin.claim_status
+ * @param {object} entry - { actor, target, before, after, details }；actor 缺省时按请求推断
+ */
+async function recordAudit(req, action, { actor, target = null, before = null, after = null, details = null } = {}) {
+  try {
+    await getRepository().appendAuditLog({
+      action,
+      actor: actor || requestActor(req),
+      walletAddress: (req && req.walletAddress) || null,
+      ip: req ? req.ip : null,
+      requestId: req ? req.id : null,
+      target,
+      before,
+      after,
+      details,
+    });
+  } catch (err) {
+    (req && req.log ? req.log : logger).error('写入审计日志失败', { action, err });
+  }
+}
+
+/**
+ * Express 中间件：请求完成后记录一条审计日志（含响应状态码）；放在 requireAdminRole 之前，401/403 的尝试同样留痕
+ * （记录在请求结束时写入，通过校验的请求操作者为当前管理员，被拒绝的请求为 anonymous）
+ * @param {string} action - 操作
+ * @param {function} [describe] - (req) => 额外详情
+ */
+function auditRequest(action, describe) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      recordAudit(req, action, {
+        details: { status: res.statusCode, ...(describe ? describe(req) : {}) },
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  recordAudit,
+  auditRequest,
+};
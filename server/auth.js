@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { verifyMessage, getAddress } = require('ethers');
+const { config } = require('./config');
+
+// 钱包签名登录（Sign-In with Ethereum, EIP-4361 消息格式）
+// 流程：GET /api/auth/nonce 领取一次性 nonce 与待签名消息 -> 钱包 personal_sign ->
+//       POST /api/auth/verify 恢复签名地址并签发会话令牌 -> 奖品相关写接口携带 Authorization: Bearer <token>
+// 管理员登录（server/admin-auth.js）复用同一流程，使用不同的登录声明（purpose = 'admin'），两种 nonce 不能混用
+
+const NONCE_TTL_MS = 5 * 60 * 1000;          // nonce 有效期 5 分钟
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;  // 会话有效期 24 小时
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+
+// 内存存储：服务重启后需要重新签名登录
+const pendingNonces = new Map(); // nonce -> { address, purpose, message, expiresAt }
+const sessions = new Map();      // token -> { address, expiresAt }
+
+// 登录消息中的声明，按用途区分
+const SIGN_IN_STATEMENTS = {
+  wallet: 'Sign in to Xwawa Lottery to manage your prize claims. This request will not trigger a blockchain transaction or cost any gas fees.',
+  admin: 'Sign in to the Xwawa admin console as an operator. This request will not trigger a blockchain transaction or cost any gas fees.',
+};
+
+// 构造 EIP-4361 登录消息；domain/uri 取自发起请求的页面来源
+function buildSignInMessage({ domain, uri, address, purpose, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    SIGN_IN_STATEMENTS[purpose],
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${config.chain.chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`,
+  ].join('\n');
+}
+
+// 解析请求来源（优先 Origin，其次 Host），用于消息中的 domain 与 URI
+function resolveOrigin(req) {
+  const origin = req.get('origin');
+  if (origin) {
+    try {
+      const url = new URL(origin);
+      return { domain: url.host, uri: url.origin };
+    } catch (e) {
+      // Origin 非法时回退到 Host
+    }
+  }
+  const host = req.get('host') || 'localhost';
+  return { domain: host, uri: `${req.protocol}://${host}` };
+}
+
+/**
+ * 领取一次性 nonce 与待签名消息
+ * @param {string} purpose - wallet（中奖人会话）或 admin（管理员登录）
+ */
+function issueNonce(req, address, purpose = 'wallet') {
+  if (!address || !ADDRESS_RE.test(address)) {
+    const err = new Error('缺少有效的钱包地址address');
+    err.code = 'INVALID_ADDRESS';
+    throw err;
+  }
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + NONCE_TTL_MS;
+  const { domain, uri } = resolveOrigin(req);
+  const message = buildSignInMessage({
+    domain, uri, address: getAddress(address.toLowerCase()), purpose, nonce, issuedAt, expiresAt,
+  });
+  pendingNonces.set(nonce, { address: address.toLowerCase(), purpose, message, expiresAt });
+  return { nonce, message, expires_at: new Date(expiresAt).toISOString() };
+}
+
+// 校验登录签名，返回签名的钱包地址（小写）；nonce 一次性使用，无论成功与否都会被消费
+function verifySignInSignature({ address, nonce, signature }, purpose = 'wallet') {
+  const fail = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  };
+
+  if (!address || !ADDRESS_RE.test(address)) throw fail('INVALID_ADDRESS', '缺少有效的钱包地址address');
+  if (!nonce || !signature) throw fail('INVALID_REQUEST', '缺少必需参数: nonce, signature');
+
+  const pending = pendingNonces.get(nonce);
+  pendingNonces.delete(nonce);
+  if (!pending || pending.expiresAt < Date.now() || pending.purpose !== purpose) {
+    throw fail('NONCE_EXPIRED', '登录请求已过期，请重新签名');
+  }
+  if (pending.address !== address.toLowerCase()) {
+    throw fail('INVALID_SIGNATURE', '签名地址与请求地址不一致');
+  }
+
+  let recovered;
+  try {
+    recovered = verifyMessage(pending.message, signature);
+  } catch (e) {
+    throw fail('INVALID_SIGNATURE', '签名格式不正确');
+  }
+  if (recovered.toLowerCase() !== pending.address) {
+    throw fail('INVALID_SIGNATURE', '签名验证失败');
+  }
+  return pending.address;
+}
+
+// 校验签名并签发中奖人会话
+function verifySignIn({ address, nonce, signature }) {
+  const signer = verifySignInSignature({ address, nonce, signature });
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(token, { address: signer, expiresAt });
+  return { token, address: signer, expires_at: new Date(expiresAt).toISOString() };
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+function getSession(token) {
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+function revokeSession(req) {
+  const token = readBearerToken(req);
+  if (token) sessions.delete(token);
+}
+
+// Express 中间件：要求有效的钱包会话，并将会话地址挂到 req.walletAddress
+function requireWalletSession(req, res, next) {
+  const session = getSession(readBearerToken(req));
+  if (!session) {
+    return res.status(401).json({ error: '请先使用钱包签名登录', code: 'UNAUTHORIZED' });
+  }
+  req.walletAddress = session.address;
+  next();
+}
+
+// Express 中间件：携带有效钱包会话时挂上 req.walletAddress，未登录也放行（用于按身份裁剪响应的公开接口）
+function optionalWalletSession(req, res, next) {
+  const session = getSession(readBearerToken(req));
+  req.walletAddress = session ? session.address : null;
+  next();
+}
+
+// 定期清理过期的 nonce 与会话，避免内存增长
+setInterval(() => {
+  const now = Date.now();
+  for (const [nonce, entry] of pendingNonces) {
+    if (entry.expiresAt < now) pendingNonces.delete(nonce);
+  }
+  for (const [token, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(token);
+  }
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  readBearerToken,
+  issueNonce,
+  verifySignInSignature,
+  verifySignIn,
+  revokeSession,
+  requireWalletSession,
+  optionalWalletSession,
+};
@@ -0,0 +1,52 @@
+// 进程内 TTL 缓存：用于链上读取与统计聚合等开销较大的只读接口
+// 同一 key 的并发请求共享同一次加载，加载失败不写入缓存
+
+function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const inflight = new Map(); // key -> Promise
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    // 超出容量时淘汰最早写入的条目
+    if (entries.size >= maxEntries && !entries.has(key)) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // 命中缓存直接返回，否则调用 loader 并缓存其结果
+  async function wrap(key, loader) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        set(key, value);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { get, set, wrap, clear };
+}
+
+module.exports = { createTtlCache };
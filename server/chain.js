@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonRpcProvider, Interface, Contract, zeroPadValue } = require('ethers');
+const { createTtlCache } = require('./cache');
+const { config } = require('./config');
+
+// 链上读取：通过 RPC_URL 访问 X Layer 节点，解析 Lottery 合约事件
+// Lottery.abi 与前端共用（仓库根目录），保证事件签名一致
+
+const XWAWA_DECIMALS = 18;
+
+// 最小 ERC-20 ABI，用于读取 XWAWA 余额与解析转账事件
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+const erc20Interface = new Interface(ERC20_ABI);
+
+const TX_HASH_RE = /^0x[a-fA-F0-9]{64}$/;
+
+let provider;
+let lotteryInterface;
+// 区块时间缓存：键为区块哈希（或已确认的区块高度），区块内容不可变，重组后的新区块哈希不同
+const blockTimeCache = createTtlCache({ ttlMs: 60 * 60 * 1000, maxEntries: 1000 });
+
+function chainError(code, message, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// 获取 RPC Provider；未配置 RPC_URL 时返回 null
+function getRpcProvider() {
+  if (!config.chain.rpcUrl) return null;
+  if (!provider) {
+    // 固定网络，避免每次请求前重复探测 chainId
+    provider = new JsonRpcProvider(config.chain.rpcUrl, config.chain.chainId, { staticNetwork: true });
+  }
+  return provider;
+}
+
+function getLotteryInterface() {
+  if (!lotteryInterface) {
+    const abiPath = path.resolve(__dirname, '..', 'Lottery.abi');
+    lotteryInterface = new Interface(JSON.parse(fs.readFileSync(abiPath, 'utf8')));
+  }
+  return lotteryInterface;
+}
+
+// 抽奖合约地址（CONTRACT_ADDRESS），统一小写；未配置时为 null
+function getLotteryAddress() {
+  return config.chain.lotteryAddress;
+}
+
+// XWAWA 代币地址（XWAWA_TOKEN_ADDRESS），统一小写
+function getXwawaTokenAddress() {
+  return config.chain.xwawaTokenAddress;
+}
+
+// 商城收款地址（PAYMENT_ADDRESS），统一小写
+function getPaymentAddress() {
+  return config.chain.paymentAddress;
+}
+
+// 只读的 Lottery 合约实例；未配置 RPC_URL 或 CONTRACT_ADDRESS 时返回 null
+function getLotteryContract() {
+  const rpc = getRpcProvider();
+  const address = getLotteryAddress();
+  if (!rpc || !address) return null;
+  return new Contract(address, getLotteryInterface(), rpc);
+}
+
+// 当前单次抽奖费用（XWAWA 最小单位，bigint）
+async function readDrawCost() {
+  const contract = getLotteryContract();
+  if (!contract) {
+    throw chainError('CHAIN_NOT_CONFIGURED', '服务端未配置 RPC_URL 或 CONTRACT_ADDRESS', 503);
+  }
+  try {
+    return await contract.drawCost();
+  } catch (e) {
+    throw chainError('RPC_UNAVAILABLE', `读取抽奖费用失败: ${e.shortMessage || e.message}`, 502);
+  }
+}
+
+/**
+ * 读取奖池相关的链上状态（均为原始值，金额单位为 XWAWA 最小单位）
+ * - poolBalance: 抽奖合约持有的 XWAWA 余额
+ * - partOfPoolRate: 奖池分红比例 rateOf_partOfPool_（百万分制）
+ * - feeToCommunity: 社区费用比例（百万分制）
+ * - treasuryBalance: communityTreasury 持有的 XWAWA 余额
+ */
+async function readPoolInfo() {
+  const contract = getLotteryContract();
+  if (!contract) {
+    throw chainError('CHAIN_NOT_CONFIGURED', '服务端未配置 RPC_URL 或 CONTRACT_ADDRESS', 503);
+  }
+  try {
+    const [tokenAddress, treasury, partOfPoolRate, feeToCommunity] = await Promise.all([
+      contract.XWAWA_COIN(),
+      contract.communityTreasury(),
+      contract.rateOf_partOfPool_(),
+      contract.feeToCommunity(),
+    ]);
+    const token = new Contract(tokenAddress, ERC20_ABI, getRpcProvider());
+    const [poolBalance, treasuryBalance] = await Promise.all([
+      token.balanceOf(getLotteryAddress()),
+      token.balanceOf(treasury),
+    ]);
+    return {
+      tokenAddress: tokenAddress.toLowerCase(),
+      treasury: treasury.toLowerCase(),
+      poolBalance,
+      partOfPoolRate,
+      feeToCommunity,
+      treasuryBalance,
+    };
+  } catch (e) {
+    throw chainError('RPC_UNAVAILABLE', `读取奖池信息失败: ${e.shortMessage || e.message}`, 502);
+  }
+}
+
+/**
+ * 读取区块时间（链上出块时间，而非服务端处理时间）
+ * @param {string|number} blockTag - 区块哈希或高度
+ * @returns {Promise<Date>}
+ */
+function getBlockTime(blockTag) {
+  return blockTimeCache.wrap(String(blockTag), async () => {
+    const block = await getRpcProvider().getBlock(blockTag);
+    if (!block) throw new Error(`区块 ${blockTag} 不存在`);
+    return new Date(block.timestamp * 1000);
+  });
+}
+
+// 为 Draw 事件补充区块时间 blockTime，作为抽奖记录的 created_at（补录历史区块时仍是抽奖发生的时间）
+async function attachBlockTimes(draws) {
+  for (const draw of draws) {
+    draw.blockTime = await getBlockTime(draw.blockHash);
+  }
+  return draws;
+}
+
+// 从日志中解析 Draw(address player, uint8[] winningType) 事件，忽略其他合约与事件
+function decodeDrawLogs(logs) {
+  const iface = getLotteryInterface();
+  const drawTopic = iface.getEvent('Draw').topicHash;
+  const lotteryAddress = getLotteryAddress();
+
+  return (logs || [])
+    .filter(log => log.address && log.address.toLowerCase() === lotteryAddress
+      && log.topics && log.topics[0] === drawTopic)
+    .map(log => {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      return {
+        player: parsed.args.player.toLowerCase(),
+        winningTypes: Array.from(parsed.args.winningType, v => Number(v)),
+        txHash: log.transactionHash.toLowerCase(),
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        logIndex: Number(log.index ?? log.logIndex),
+      };
+    });
+}
+
+// 查询转入 toAddress 的 XWAWA Transfer 日志所用的过滤条件
+function buildTransferFilter(tokenAddress, toAddress, fromBlock, toBlock) {
+  return {
+    address: tokenAddress,
+    topics: [erc20Interface.getEvent('Transfer').topicHash, null, zeroPadValue(toAddress, 32)],
+    fromBlock,
+    toBlock,
+  };
+}
+
+// 解析 ERC-20 Transfer 事件，value 为最小单位的 bigint
+function decodeTransferLogs(logs) {
+  const transferTopic = erc20Interface.getEvent('Transfer').topicHash;
+  return (logs || [])
+    .filter(log => log.topics && log.topics[0] === transferTopic && log.topics.length === 3)
+    .map(log => {
+      const parsed = erc20Interface.parseLog({ topics: log.topics, data: log.data });
+      return {
+        from: parsed.args.from.toLowerCase(),
+        to: parsed.args.to.toLowerCase(),
+        value: parsed.args.value,
+        txHash: log.transactionHash.toLowerCase(),
+        blockNumber: Number(log.blockNumber),
+        logIndex: Number(log.index ?? log.logIndex),
+      };
+    });
+}
+
+/**
+ * 按交易哈希拉取回执并验证抽奖结果
+ * 仅当交易成功、包含本合约的 Draw 事件且 player 与 expectedPlayer 一致时返回解析结果；
+ * 否则抛出带 code/status 的错误，供接口直接返回
+ */
+async function verifyDrawTransaction(txHash, expectedPlayer) {
+  if (!txHash || !TX_HASH_RE.test(txHash)) {
+    throw chainError('INVALID_TX_HASH', '缺少有效的交易哈希tx_hash', 400);
+  }
+  const rpc = getRpcProvider();
+  if (!rpc || !getLotteryAddress()) {
+    throw chainError('CHAIN_NOT_CONFIGURED', '服务端未配置 RPC_URL 或 CONTRACT_ADDRESS，无法验证链上抽奖', 503);
+  }
+
+  let receipt;
+  try {
+    receipt = await rpc.getTransactionReceipt(txHash);
+  } catch (e) {
+    throw chainError('RPC_UNAVAILABLE', `查询交易回执失败: ${e.shortMessage || e.message}`, 502);
+  }
+  if (!receipt) {
+    throw chainError('TRANSACTION_NOT_FOUND', '交易未找到或尚未上链', 404);
+  }
+  if (receipt.status !== 1) {
+    throw chainError('TRANSACTION_FAILED', '交易执行失败，无抽奖结果', 422);
+  }
+
+  const draws = decodeDrawLogs(receipt.logs);
+  if (draws.length === 0) {
+    throw chainError('DRAW_EVENT_NOT_FOUND', '交易中未找到抽奖合约的 Draw 事件', 422);
+  }
+  const player = (expectedPlayer || '').toLowerCase();
+  if (draws.some(d => d.player !== player)) {
+    throw chainError('PLAYER_MISMATCH', '链上抽奖玩家与提交的钱包地址不一致', 422);
+  }
+  try {
+    return await attachBlockTimes(draws);
+  } catch (e) {
+    throw chainError('RPC_UNAVAILABLE', `读取区块时间失败: ${e.shortMessage || e.message}`, 502);
+  }
+}
+
+module.exports = {
+  XWAWA_DECIMALS,
+  getRpcProvider,
+  getLotteryInterface,
+  getLotteryAddress,
+  getLotteryContract,
+  getXwawaTokenAddress,
+  getPaymentAddress,
+  readDrawCost,
+  readPoolInfo,
+  getBlockTime,
+  attachBlockTimes,
+  decodeDrawLogs,
+  buildTransferFilter,
+  decodeTransferLogs,
+  verifyDrawTransaction,
+};
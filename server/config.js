@@ -0,0 +1,421 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+// 服务端配置：启动时从环境变量（及仓库根目录运行时的 .env）一次性读取、校验并填充默认值，各模块只从这里读取配置
+// - 未设置或为空的变量使用默认值；已设置但格式不正确时收集全部错误，输出一行 JSON 错误日志后以退出码 1 退出
+// - 数据库连接变量（DB_HOST、DB_PORT、DB_USER、DB_PASSWORD、DB_NAME）不完整时进入“无数据库模式”，不视为错误
+// - 导出的配置对象已冻结，运行期间不可修改
+
+dotenv.config({ quiet: true });
+
+const ADMIN_ROLES = ['viewer', 'fulfilment', 'superadmin'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const READY_COMPONENTS = ['database', 'smtp', 'rpc'];
+const DB_REQUIRED = ['DB_HOST', 'DB_PORT', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'];
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+const ORIGIN_RE = /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:(\d{1,5}|\*))?$/i;
+// 未设置 CORS_ORIGINS 时，非生产环境允许本机任意端口的前端访问
+const DEV_CORS_ORIGINS = ['http://localhost:*', 'https://localhost:*', 'http://127.0.0.1:*', 'https://127.0.0.1:*'];
+// CSP 来源：scheme://host[:port]，host 可用 *. 匹配任意子域名
+const CSP_SOURCE_RE = /^(https?|wss?):\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i;
+const MIN_JWT_SECRET_LENGTH = 32;
+
+const errors = [];
+const env = process.env;
+
+function raw(name) {
+  const value = env[name];
+  return value === undefined || value.trim() === '' ? null : value.trim();
+}
+
+function str(name, fallback = null) {
+  const value = raw(name);
+  return value === null ? fallback : value;
+}
+
+// 整数；min/max 为闭区间
+function int(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  const n = Number(value);
+  if (!/^-?\d+$/.test(value) || n < min || n > max) {
+    errors.push(`${name} 必须是 ${min} 到 ${max} 之间的整数（当前值: ${value}）`);
+    return fallback;
+  }
+  return n;
+}
+
+function port(name, fallback) {
+  return int(name, fallback, { min: 1, max: 65535 });
+}
+
+function bool(name, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  const lower = value.toLowerCase();
+  if (lower === 'true' || lower === '1') return true;
+  if (lower === 'false' || lower === '0') return false;
+  errors.push(`${name} 必须是 true 或 false（当前值: ${value}）`);
+  return fallback;
+}
+
+function oneOf(name, values, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  const lower = value.toLowerCase();
+  if (!values.includes(lower)) {
+    errors.push(`${name} 必须是 ${values.join(' | ')} 之一（当前值: ${value}）`);
+    return fallback;
+  }
+  return lower;
+}
+
+// 逗号分隔的列表，元素必须属于 values
+function list(name, values, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  const items = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = items.filter(item => !values.includes(item));
+  if (unknown.length > 0) {
+    errors.push(`${name} 包含未知项 ${unknown.join(', ')}（可用: ${values.join(', ')}）`);
+    return fallback;
+  }
+  return items;
+}
+
+// 允许跨域的来源列表：scheme://host[:port]，host 可用 *. 前缀匹配任意子域名，port 可用 * 匹配任意端口
+function origins(name, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  const items = value.split(',').map(s => s.trim().replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+  const invalid = items.filter(item => !ORIGIN_RE.test(item));
+  if (invalid.length > 0) {
+    errors.push(`${name} 包含无效来源 ${invalid.join(', ')}（格式: https://example.com、https://*.example.com、http://localhost:*）`);
+    return fallback;
+  }
+  return items;
+}
+
+// Content-Security-Policy 附加来源，逗号分隔
+function cspSources(name) {
+  const value = raw(name);
+  if (value === null) return [];
+  const items = value.split(',').map(s => s.trim().replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+  const invalid = items.filter(item => !CSP_SOURCE_RE.test(item));
+  if (invalid.length > 0) {
+    errors.push(`${name} 包含无效来源 ${invalid.join(', ')}（格式: https://rpc.example.com、wss://*.example.com）`);
+    return [];
+  }
+  return items;
+}
+
+// 钱包或合约地址，统一小写
+function address(name) {
+  const value = raw(name);
+  if (value === null) return null;
+  if (!ADDRESS_RE.test(value)) {
+    errors.push(`${name} 不是有效的地址（需要 0x 开头的 40 位十六进制）`);
+    return null;
+  }
+  return value.toLowerCase();
+}
+
+function url(name, protocols) {
+  const value = raw(name);
+  if (value === null) return null;
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (err) {
+    parsed = null;
+  }
+  if (!parsed || !protocols.includes(parsed.protocol)) {
+    errors.push(`${name} 不是有效的 URL（支持 ${protocols.join(' ')}）`);
+    return null;
+  }
+  return value;
+}
+
+// 正的十进制数，保留字符串形式供 ethers parseUnits 使用
+function decimal(name, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  if (!/^\d+(\.\d+)?$/.test(value) || Number(value) <= 0) {
+    errors.push(`${name} 必须是大于 0 的数字（当前值: ${value}）`);
+    return fallback;
+  }
+  return value;
+}
+
+// mysql2 时区：local、Z 或 +HH:MM / -HH:MM
+function timezone(name, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  if (!/^(local|Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/.test(value)) {
+    errors.push(`${name} 必须是 local、Z 或 +HH:MM 格式（当前值: ${value}）`);
+    return fallback;
+  }
+  return value;
+}
+
+// 时区对应的 UTC 偏移（毫秒）；local 取进程所在时区的当前偏移
+function timezoneOffsetMs(tz) {
+  if (tz === 'Z') return 0;
+  if (tz === 'local') return 0 - new Date().getTimezoneOffset() * 60 * 1000;
+  const [, sign, hours, minutes] = /^([+-])(\d\d):(\d\d)$/.exec(tz);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+// UTC 偏移（毫秒）格式化为 MySQL 会话时区 +HH:MM
+function formatUtcOffset(offsetMs) {
+  const minutes = Math.abs(offsetMs) / 60000;
+  const pad = n => String(Math.floor(n)).padStart(2, '0');
+  return `${offsetMs < 0 ? '-' : '+'}${pad(minutes / 60)}:${pad(minutes % 60)}`;
+}
+
+// ENCRYPTION_KEY：32 字节，64 位十六进制或 base64
+function encryptionKey(name) {
+  const value = raw(name);
+  if (value === null) return null;
+  if (/^[0-9a-fA-F]{64}$/.test(value)) return Buffer.from(value, 'hex');
+  if (/^[A-Za-z0-9+/]{43}=?$/.test(value)) {
+    const decoded = Buffer.from(value, 'base64');
+    if (decoded.length === 32) return decoded;
+  }
+  errors.push(`${name} 必须是 32 字节密钥（64 位十六进制或 base64）`);
+  return null;
+}
+
+// TRUST_PROXY：跳数、true/false，或 Express 支持的地址列表（如 loopback、10.0.0.0/8）
+function trustProxy(name) {
+  const value = raw(name);
+  if (value === null) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+// ADMIN_OPERATORS：0x地址:角色，逗号分隔
+function operators(name) {
+  const result = [];
+  for (const entry of (raw(name) || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [operator, role] = entry.split(':').map(s => s.trim());
+    if (!ADDRESS_RE.test(operator || '') || !ADMIN_ROLES.includes(role)) {
+      errors.push(`${name} 条目无效: ${entry.trim()}（格式: 0x地址:${ADMIN_ROLES.join('|')}）`);
+      continue;
+    }
+    result.push({ address: operator.toLowerCase(), role });
+  }
+  return result;
+}
+
+function jwtSecret(name) {
+  const value = raw(name);
+  if (value !== null && value.length < MIN_JWT_SECRET_LENGTH) {
+    errors.push(`${name} 至少需要 ${MIN_JWT_SECRET_LENGTH} 个字符`);
+    return null;
+  }
+  return value;
+}
+
+function duration(name, fallback) {
+  const value = raw(name);
+  if (value === null) return fallback;
+  if (!/^\d+[smhd]?$/.test(value)) {
+    errors.push(`${name} 必须是秒数或带单位的时长，如 3600、30m、8h、1d（当前值: ${value}）`);
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function budget(name, defaults) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    max: int(`${prefix}_MAX`, defaults.max, { min: 1 }),
+    windowMs: int(`${prefix}_WINDOW_MS`, defaults.windowMs, { min: 1000 }),
+  };
+}
+
+const MINUTE = 60 * 1000;
+
+const dbMissing = DB_REQUIRED.filter(name => raw(name) === null);
+const dbConfigured = dbMissing.length === 0;
+const dbTimezone = timezone('DB_TIMEZONE', '+08:00');
+const dbUtcOffsetMs = timezoneOffsetMs(dbTimezone);
+const smtpPort = port('SMTP_PORT', 587);
+const smtpUser = str('SMTP_USER');
+const smtpPass = str('SMTP_PASS');
+
+const config = {
+  env: str('NODE_ENV', 'development'),
+  isProduction: str('NODE_ENV') === 'production',
+  port: port('PORT', 3001),
+  trustProxy: trustProxy('TRUST_PROXY'),
+  logLevel: oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+
+  db: {
+    configured: dbConfigured,
+    missing: dbMissing,
+    host: str('DB_HOST'),
+    port: port('DB_PORT', 3306),
+    user: str('DB_USER'),
+    password: str('DB_PASSWORD'),
+    database: str('DB_NAME'),
+    connectionLimit: int('DB_CONNECTION_LIMIT', 5, { min: 1 }),
+    maxIdle: int('DB_MAX_IDLE', 2, { min: 0 }),
+    idleTimeoutMs: int('DB_IDLE_TIMEOUT', 5 * MINUTE, { min: 1000 }),
+    connectTimeoutMs: int('DB_CONNECT_TIMEOUT', 20000, { min: 1000 }),
+    enableKeepAlive: bool('DB_ENABLE_KEEP_ALIVE', true),
+    keepAliveInitialDelayMs: int('DB_KEEP_ALIVE_INITIAL_DELAY', 30000, { min: 0 }),
+    charset: str('DB_CHARSET', 'utf8mb4'),
+    timezone: dbTimezone,
+    // 连接建立后设置的会话时区，使 NOW()/CURRENT_TIMESTAMP 与驱动读写 DATETIME 使用同一时区
+    sessionTimeZone: formatUtcOffset(dbUtcOffsetMs),
+    // 统计与按日期筛选按该时区的自然日划分（文件存储后端同样适用）
+    utcOffsetMs: dbUtcOffsetMs,
+  },
+
+  storage: {
+    backend: oneOf('STORAGE_BACKEND', ['mysql', 'file'], dbConfigured ? 'mysql' : 'file'),
+    filePath: path.resolve(__dirname, '..', str('FILE_STORAGE_PATH', 'data/xwawa-dev.json')),
+  },
+
+  smtp: {
+    configured: !!(str('SMTP_HOST') && smtpUser && smtpPass),
+    host: str('SMTP_HOST'),
+    port: smtpPort,
+    secure: smtpPort === 465,
+    user: smtpUser,
+    pass: smtpPass,
+    authMethod: str('SMTP_AUTH_METHOD'),
+  },
+
+  imap: {
+    host: str('IMAP_HOST'),
+    port: port('IMAP_PORT', 993),
+    user: str('IMAP_USER', smtpUser),
+    pass: str('IMAP_PASS', smtpPass),
+    secure: bool('IMAP_SECURE', true),
+    sentFolder: str('IMAP_SENT_FOLDER', 'Sent'),
+    inboxFolder: str('IMAP_INBOX_FOLDER', 'INBOX'),
+  },
+
+  outbox: {
+    pollIntervalMs: int('MAIL_POLL_INTERVAL_MS', 5000, { min: 100 }),
+    batchSize: int('MAIL_BATCH_SIZE', 10, { min: 1 }),
+    maxAttempts: int('MAIL_MAX_ATTEMPTS', 8, { min: 1 }),
+    retryBaseMs: int('MAIL_RETRY_BASE_MS', 30 * 1000, { min: 0 }),
+    retryMaxMs: int('MAIL_RETRY_MAX_MS', 60 * MINUTE, { min: 0 }),
+  },
+
+  inbox: {
+    enabled: bool('IMAP_INBOX_ENABLED', false),
+    pollIntervalMs: int('IMAP_INBOX_POLL_INTERVAL_MS', 2 * MINUTE, { min: 1000 }),
+    batchSize: int('IMAP_INBOX_BATCH_SIZE', 50, { min: 1 }),
+  },
+
+  chain: {
+    rpcUrl: url('RPC_URL', ['http:', 'https:']),
+    chainId: int('CHAIN_ID', 1952, { min: 1 }),
+    lotteryAddress: address('CONTRACT_ADDRESS'),
+    xwawaTokenAddress: address('XWAWA_TOKEN_ADDRESS'),
+    paymentAddress: address('PAYMENT_ADDRESS'),
+  },
+
+  orders: {
+    xwawaPerUsd: decimal('XWAWA_PER_USD', '10'),
+  },
+
+  indexer: {
+    startBlock: int('INDEXER_START_BLOCK', 0),
+    confirmations: int('INDEXER_CONFIRMATIONS', 12),
+    batchSize: int('INDEXER_BATCH_SIZE', 2000, { min: 1 }),
+    pollIntervalMs: int('INDEXER_POLL_INTERVAL_MS', 15000, { min: 100 }),
+  },
+
+  paymentVerifier: {
+    startBlock: int('PAYMENT_START_BLOCK', 0),
+    confirmations: int('PAYMENT_CONFIRMATIONS', 12),
+    batchSize: int('PAYMENT_BATCH_SIZE', 2000, { min: 1 }),
+    pollIntervalMs: int('PAYMENT_POLL_INTERVAL_MS', 15000, { min: 100 }),
+  },
+
+  admin: {
+    jwtSecret: jwtSecret('JWT_SECRET'),
+    jwtExpiresIn: duration('ADMIN_JWT_EXPIRES_IN', '8h'),
+    operators: operators('ADMIN_OPERATORS'),
+  },
+
+  encryptionKey: encryptionKey('ENCRYPTION_KEY'),
+
+  rateLimit: {
+    enabled: bool('RATE_LIMIT_ENABLED', true),
+    store: oneOf('RATE_LIMIT_STORE', ['memory', 'database'], 'memory'),
+    budgets: {
+      read: budget('read', { max: 120, windowMs: MINUTE }),
+      write: budget('write', { max: 20, windowMs: MINUTE }),
+      mail: budget('mail', { max: 5, windowMs: 60 * MINUTE }),
+    },
+  },
+
+  readiness: {
+    required: list('READY_REQUIRED', READY_COMPONENTS, ['database', 'rpc']),
+    timeoutsMs: {
+      database: int('READY_DB_TIMEOUT_MS', 2000, { min: 1 }),
+      smtp: int('READY_SMTP_TIMEOUT_MS', 5000, { min: 1 }),
+      rpc: int('READY_RPC_TIMEOUT_MS', 3000, { min: 1 }),
+    },
+    cacheMs: int('READY_CACHE_MS', 10000),
+  },
+
+  cors: {
+    origins: origins('CORS_ORIGINS', str('NODE_ENV') === 'production' ? [] : DEV_CORS_ORIGINS),
+    credentials: bool('CORS_CREDENTIALS', true),
+    maxAgeSeconds: int('CORS_MAX_AGE', 600),
+  },
+
+  site: {
+    enabled: bool('SERVE_SITE', false),
+    root: path.resolve(__dirname, '..', str('SITE_ROOT', '.')),
+    assetMaxAgeSeconds: int('SITE_ASSET_MAX_AGE', 3600),
+    cspConnectSrc: cspSources('CSP_CONNECT_SRC'),
+    cspReportOnly: bool('CSP_REPORT_ONLY', false),
+  },
+
+  metrics: {
+    token: str('METRICS_TOKEN'),
+    headCacheMs: int('INDEXER_HEAD_CACHE_MS', 15000),
+    rpcTimeoutMs: int('METRICS_RPC_TIMEOUT_MS', 3000, { min: 1 }),
+  },
+};
+
+if (config.storage.backend === 'mysql' && !dbConfigured) {
+  errors.push(`STORAGE_BACKEND=mysql 但数据库环境变量不完整（缺少 ${dbMissing.join(', ')}）`);
+}
+
+// 配置无效时直接退出；日志模块依赖本模块，这里按同样的 JSON 行格式写标准错误
+if (errors.length > 0) {
+  process.stderr.write(`${JSON.stringify({
+    time: new Date().toISOString(),
+    level: 'error',
+    msg: '环境变量配置无效，进程退出',
+    errors,
+  })}\n`);
+  process.exit(1);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  LOG_LEVELS,
+  READY_COMPONENTS,
+  config: deepFreeze(config),
+};
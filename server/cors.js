@@ -0,0 +1,61 @@
+const cors = require('cors');
+const { config } = require('./config');
+
+// 跨域访问：来源白名单 CORS_ORIGINS（逗号分隔，由 server/config.js 校验）
+// - https://xwawa.io 精确匹配；https://*.xwawa.io 匹配任意层级子域名（不含 xwawa.io 本身）；http://localhost:* 匹配任意端口
+// - 未设置时非生产环境允许 localhost 与 127.0.0.1 任意端口，生产环境只允许同源访问
+// - 白名单外的来源不返回 CORS 头（浏览器拦截响应），并记录一条告警日志
+// - CORS_CREDENTIALS=true（默认）时允许携带 Cookie 等凭据；不支持 * 通配所有来源
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 将白名单条目编译为正则：scheme://[*.]host[:port|:*]
+function compileOrigin(entry) {
+  const match = /^(https?):\/\/(\*\.)?([^:]+)(?::(\d+|\*))?$/.exec(entry);
+  const [, scheme, wildcard, host, port] = match;
+  const subdomain = wildcard ? '([a-z0-9-]+\\.)+' : '';
+  const portPart = port === '*' ? '(:\\d+)?' : port ? `:${port}` : '';
+  return new RegExp(`^${scheme}://${subdomain}${escapeRegExp(host)}${portPart}$`);
+}
+
+const allowedOrigins = config.cors.origins.map(compileOrigin);
+
+function isOriginAllowed(origin) {
+  const normalized = String(origin).toLowerCase();
+  return allowedOrigins.some(re => re.test(normalized));
+}
+
+// 浏览器同源的 POST 等请求也会带 Origin 头，与 Host 一致时视为同源，不做白名单判断
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Express 中间件：按请求来源决定是否返回 CORS 头；无 Origin 头的请求（非浏览器或同源 GET）直接放行
+const corsMiddleware = cors((req, callback) => {
+  const origin = req.get('origin');
+  const allowed = !!origin && (isOriginAllowed(origin) || isSameOrigin(req, origin));
+  if (origin && !allowed) {
+    req.log.warn('跨域请求来源不在白名单，已拒绝', { origin, method: req.method, path: req.path });
+  }
+  callback(null, {
+    origin: allowed,
+    credentials: config.cors.credentials,
+    methods: METHODS,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After'],
+    maxAge: config.cors.maxAgeSeconds,
+  });
+});
+
+module.exports = {
+  corsMiddleware,
+  isOriginAllowed,
+};
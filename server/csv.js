@@ -0,0 +1,28 @@
+// CSV 导出：RFC 4180 格式（CRLF 换行、双引号转义），带 UTF-8 BOM，Excel/WPS 直接打开中文不乱码
+// 以 = + - @ 开头的单元格前加单引号，防止被电子表格当作公式执行（CSV 注入）
+
+const BOM = '\uFEFF';
+const FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成 CSV 文本
+ * @param {Array<{header: string, value: function(object): *}>} columns - 列标题与取值函数
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => formatCell(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => formatCell(c.value(row))).join(','));
+  }
+  return `${BOM}${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -1,64 +1,59 @@
 const mysql = require('mysql2/promise');
+const { config } = require('./config');
+const { logger } = require('./logger');
 
-// 验证必需的环境变量（开发环境下缺失时不阻断服务启动）
-let DB_CONFIG_MISSING = false;
-function validateConfigSoft() {
-  const required = ['DB_HOST', 'DB_PORT', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'];
-  const missing = required.filter(key => !process.env[key]);
-  if (missing.length > 0) {
-    DB_CONFIG_MISSING = true;
-    console.warn(`数据库环境变量缺失: ${missing.join(', ')}，服务将以“无数据库模式”启动。`);
-  }
+// 数据库连接变量缺失时不阻断服务启动（开发环境进入“无数据库模式”）
+if (!config.db.configured) {
+  logger.warn('数据库环境变量缺失，服务将以“无数据库模式”启动', { missing: config.db.missing });
 }
 
-// 软验证配置
-validateConfigSoft();
-
-// 从环境变量读取数据库连接信息
-const DB_CONFIG = DB_CONFIG_MISSING ? null : {
-  host: process.env.DB_HOST,
-  port: Number(process.env.DB_PORT),
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  
-  // 连接池配置 - 针对远程数据库优化
+// 连接池参数来自 server/config.js（DB_CONNECTION_LIMIT、DB_TIMEZONE 等），默认值针对远程数据库优化
+// mysql2 连接池不支持获取连接超时、自动重连等选项（传入会被忽略并告警），连接失效由健康检查与查询重试处理
+const DB_CONFIG = config.db.configured ? {
+  host: config.db.host,
+  port: config.db.port,
+  user: config.db.user,
+  password: config.db.password,
+  database: config.db.database,
+
+  // 连接池配置
   waitForConnections: true,
-  connectionLimit: 5,          // 减少连接数，避免过多连接
+  connectionLimit: config.db.connectionLimit,
   queueLimit: 0,
-  acquireTimeout: 30000,       // 减少获取连接超时时间
-  timeout: 30000,              // 查询超时时间
-  
+
   // 防止连接断开的关键配置
-  idleTimeout: 300000,         // 5分钟空闲超时（更短的超时时间）
-  maxIdle: 2,                  // 减少最大空闲连接数
-  
-  // TCP层面的保活机制 - 针对远程连接优化
-  enableKeepAlive: true,
-  keepAliveInitialDelay: 30000, // 30秒后开始保活
-  
+  idleTimeout: config.db.idleTimeoutMs,
+  maxIdle: config.db.maxIdle,
+
+  // TCP层面的保活机制
+  enableKeepAlive: config.db.enableKeepAlive,
+  keepAliveInitialDelay: config.db.keepAliveInitialDelayMs,
+
   // MySQL连接选项
-  charset: 'utf8mb4',
-  timezone: '+08:00',
-  
-  // 重连配置
-  reconnect: true,
-  
+  charset: config.db.charset,
+  timezone: config.db.timezone,
+
   // 针对网络不稳定的额外配置
-  connectTimeout: 20000,       // 连接超时20秒
-  
-  // SQL模式
-  sql_mode: 'TRADITIONAL',
-};
+  connectTimeout: config.db.connectTimeoutMs,
+} : null;
 
 let pool;
+let healthCheckTimer;
+// 最近一次健康检查结果：{ ok, checkedAt, durationMs }，尚未检查时为 null
+let lastHealthCheck = null;
 
 function getPool() {
-  if (DB_CONFIG_MISSING) {
+  if (!DB_CONFIG) {
     return null; // 无数据库模式
   }
   if (!pool) {
     pool = mysql.createPool(DB_CONFIG);
+    // 会话时区与 DB_TIMEZONE 一致：数据库写入的 NOW() 与驱动按 DB_TIMEZONE 转换的 JS 时间可直接比较
+    pool.on('connection', (connection) => {
+      connection.query('SET time_zone = ?', [config.db.sessionTimeZone], (err) => {
+        if (err) logger.error('设置数据库会话时区失败', { time_zone: config.db.sessionTimeZone, err });
+      });
+    });
     // 启动连接健康检查
     startHealthCheck(pool);
   }
@@ -68,42 +63,68 @@ function getPool() {
 // 连接健康检查函数
 function startHealthCheck(pool) {
   // 每15分钟检查一次连接健康状态（减少频率）
-  setInterval(async () => {
+  healthCheckTimer = setInterval(async () => {
+    const startedAt = Date.now();
     try {
       const connection = await pool.getConnection();
       await connection.ping();
       connection.release();
-      console.log('数据库连接健康检查: ✓ 正常');
+      lastHealthCheck = { ok: true, checkedAt: new Date(), durationMs: Date.now() - startedAt };
+      logger.info('数据库连接健康检查正常', { duration_ms: lastHealthCheck.durationMs });
     } catch (error) {
-      console.error('数据库连接健康检查失败:', error.message);
+      lastHealthCheck = { ok: false, checkedAt: new Date(), durationMs: Date.now() - startedAt };
+      logger.error('数据库连接健康检查失败', { err: error });
     }
   }, 15 * 60 * 1000); // 15分钟
 }
 
+function getHealthCheckResult() {
+  return lastHealthCheck;
+}
+
+// 连接池使用情况（读取 mysql2 连接池内部队列）；连接池尚未创建时返回 null
+function getPoolStats() {
+  if (!pool) return null;
+  const core = pool.pool;
+  const total = core._allConnections.length;
+  const idle = core._freeConnections.length;
+  return {
+    limit: core.config.connectionLimit,
+    total,
+    idle,
+    inUse: total - idle,
+    queued: core._connectionQueue.length,
+  };
+}
+
 // 优雅关闭连接池
 async function closePool() {
+  if (healthCheckTimer) {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = null;
+  }
   if (pool) {
     await pool.end();
     pool = null;
-    console.log('数据库连接池已关闭');
+    logger.info('数据库连接池已关闭');
   }
 }
 
 // 监听进程退出事件
 process.on('SIGINT', async () => {
-  console.log('收到退出信号，正在关闭数据库连接...');
+  logger.info('收到退出信号，正在关闭数据库连接');
   await closePool();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
-  console.log('收到终止信号，正在关闭数据库连接...');
+  logger.info('收到终止信号，正在关闭数据库连接');
   await closePool();
   process.exit(0);
 });
 
 function isDbConfigured() {
-  return !DB_CONFIG_MISSING;
+  return config.db.configured;
 }
 
-module.exports = { getPool, closePool, isDbConfigured };
\ No newline at end of file
+module.exports = { getPool, closePool, isDbConfigured, getHealthCheckResult, getPoolStats };
\ No newline at end of file
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// 敏感数据加密（收货信息等）：AES-256-GCM，密钥来自 ENCRYPTION_KEY（32 字节，64 位十六进制或 base64）
+// 密文格式 v1:<iv>:<tag>:<ciphertext>（各段 base64）；调用方传入 aad（如 lottery_record:12）
+// 将密文绑定到所属记录，密文被挪到其他记录上时解密失败
+
+const VERSION = 'v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function encryptionError(message) {
+  const err = new Error(message);
+  err.code = 'ENCRYPTION_NOT_CONFIGURED';
+  err.status = 503;
+  return err;
+}
+
+// 密钥由 server/config.js 解析与校验，未配置时为 null
+function isEncryptionConfigured() {
+  return config.encryptionKey !== null;
+}
+
+function requireKey() {
+  const key = config.encryptionKey;
+  if (!key) {
+    throw encryptionError('服务端未配置有效的 ENCRYPTION_KEY（32 字节，64 位十六进制或 base64）');
+  }
+  return key;
+}
+
+/**
+ * 加密 JSON 值
+ * @param {*} value
+ * @param {string} aad - 附加认证数据，解密时必须一致
+ * @returns {string} 密文
+ */
+function encryptJson(value, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', requireKey(), iv, { authTagLength: TAG_BYTES });
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// 解密 encryptJson 的结果；密钥错误、aad 不一致、认证标签不是 16 字节或密文被篡改时抛出
+function decryptJson(envelope, aad) {
+  const [version, iv, tag, ciphertext] = String(envelope || '').split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('密文格式不正确');
+  }
+  // 固定标签长度：否则 Node 接受截短到 4 字节的标签，完整性校验大幅减弱
+  const decipher = crypto.createDecipheriv('aes-256-gcm', requireKey(), Buffer.from(iv, 'base64'), { authTagLength: TAG_BYTES });
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptJson,
+  decryptJson,
+};
@@ -0,0 +1,135 @@
+const { getRepository } = require('./repository');
+const { enqueueEmail } = require('./outbox');
+const { logger } = require('./logger');
+
+// 实物奖品（一二三等奖）履约状态机：
+//   unclaimed → email_submitted → address_confirmed → shipped → delivered
+// 确认收货地址前可标记过期（expired），发货前可驳回（rejected）；delivered、expired、rejected 为终态
+// 每次状态变更写入 claim_events 作为时间线，并按收件人语言邮件通知中奖人
+
+const TRANSITIONS = {
+  unclaimed: ['email_submitted', 'expired', 'rejected'],
+  email_submitted: ['address_confirmed', 'expired', 'rejected'],
+  address_confirmed: ['shipped', 'rejected'],
+  shipped: ['delivered'],
+  delivered: [],
+  expired: [],
+  rejected: [],
+};
+
+// 进入各状态时发给中奖人的邮件模板
+const STATUS_EMAIL_TEMPLATES = {
+  email_submitted: 'claim_received',
+  address_confirmed: 'address_confirmed',
+  shipped: 'shipped',
+  delivered: 'delivered',
+  expired: 'claim_expired',
+  rejected: 'claim_rejected',
+};
+
+// 中奖人仍可修改收货信息的状态（地址经人工确认后不再接受修改）
+const SHIPPING_EDITABLE_STATUSES = ['unclaimed', 'email_submitted'];
+
+function claimError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// 早期记录的 claim_status 可能为空，视为 unclaimed
+function currentClaimStatus(record) {
+  return record.claim_status || 'unclaimed';
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// 奖品邮件的模板变量；奖项名称由模板按语言渲染，recordId 生成正文中的回复参考编号
+function prizeEmailPayload(record) {
+  return {
+    recordId: record.id,
+    prize: record.prize,
+    walletAddress: record.wallet_address,
+    txHash: record.tx_hash || null,
+  };
+}
+
+/**
+ * 变更领取状态并记录时间线；状态流转不合法或记录已被并发修改时抛出（err.code / err.status）
+ * @param {object} record - 当前中奖记录
+ * @param {string} to - 目标状态
+ * @param {object} details - { carrier, trackingNumber, note, actor }；发货（shipped）必须提供承运商与运单号
+ * @returns {{from: string, to: string}}
+ */
+async function transitionClaim(record, to, { carrier = null, trackingNumber = null, note = null, actor }) {
+  const from = currentClaimStatus(record);
+  if (!TRANSITIONS[to]) {
+    throw claimError(`未知的领取状态: ${to}`, 'INVALID_REQUEST', 400);
+  }
+  if (!canTransition(from, to)) {
+    throw claimError(`领取状态不能从 ${from} 变更为 ${to}`, 'INVALID_TRANSITION', 409);
+  }
+  if (to === 'shipped' && (!carrier || !trackingNumber)) {
+    throw claimError('发货时必须填写承运商（carrier）与运单号（tracking_number）', 'INVALID_REQUEST', 400);
+  }
+
+  const changed = await getRepository().transitionClaim(record.id, from, to, { carrier, trackingNumber, note, actor });
+  if (!changed) {
+    throw claimError('领取状态已被修改，请刷新后重试', 'CLAIM_STATUS_CHANGED', 409);
+  }
+  logger.info('中奖记录领取状态变更', { record_id: record.id, from, to, actor });
+  return { from, to };
+}
+
+/**
+ * 中奖人提交领取邮箱：保存邮箱与语言，未领取的记录同时变更为 email_submitted（同一次仓储写入，不会只改其一）
+ * 已提交过邮箱的记录只更新邮箱；其他状态或记录已被并发修改时抛出（err.code / err.status）
+ * @param {object} record - 当前中奖记录
+ * @param {object} details - { email, lang, actor }
+ * @returns {{from: string, to: string}}
+ */
+async function submitClaimEmail(record, { email, lang, actor }) {
+  const from = currentClaimStatus(record);
+  if (from !== 'unclaimed' && from !== 'email_submitted') {
+    throw claimError(`领取状态为 ${from} 时不能提交领取邮箱`, 'INVALID_TRANSITION', 409);
+  }
+  const to = 'email_submitted';
+
+  const saved = await getRepository().markRecordClaimed(record.id, record.wallet_address, { email, lang, from, to, actor });
+  if (!saved) {
+    throw claimError('领取状态已被修改，请刷新后重试', 'CLAIM_STATUS_CHANGED', 409);
+  }
+  if (from !== to) {
+    logger.info('中奖记录领取状态变更', { record_id: record.id, from, to, actor });
+  }
+  return { from, to };
+}
+
+/**
+ * 将状态变更通知加入发件箱；记录没有邮箱时跳过
+ * @returns {number|null} 发件箱任务ID
+ */
+async function notifyClaimStatus(record, status, { carrier = null, trackingNumber = null, note = null } = {}) {
+  const template = STATUS_EMAIL_TEMPLATES[status];
+  if (!template || !record.email) return null;
+  return enqueueEmail({
+    template,
+    lang: record.lang,
+    recipient: record.email,
+    payload: { ...prizeEmailPayload(record), carrier, trackingNumber, note },
+    reference: `lottery_record:${record.id}`,
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  SHIPPING_EDITABLE_STATUSES,
+  currentClaimStatus,
+  canTransition,
+  prizeEmailPayload,
+  transitionClaim,
+  submitClaimEmail,
+  notifyClaimStatus,
+};
@@ -0,0 +1,288 @@
+const { simpleParser } = require('mailparser');
+const { getImapConfig, createImapClient, parseReplyReference } = require('./mailer');
+const { parseOutboxMessageId } = require('./outbox');
+const { getRepository } = require('./repository');
+const { MERCH_PRIZE_IDS } = require('./repository/rows');
+const { isEncryptionConfigured, encryptJson, decryptJson } = require('./encryption');
+const { SHIPPING_FIELD_LIMITS, saveShippingDetails } = require('./shipping');
+const { SHIPPING_EDITABLE_STATUSES, currentClaimStatus } = require('./fulfilment');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// 收件箱读取：定期读取 IMAP 收件箱中的新邮件，把中奖人回复的收货地址保存到对应的中奖记录
+// - 关联方式：回复的 In-Reply-To / References 指向发件箱发出的邮件（Message-ID 含任务ID，任务 reference 为 lottery_record:<id>），
+//   或回复中引用的正文带有参考编号 XWAWA-LR-<id>
+// - 发件人必须与中奖记录的邮箱一致，且记录仍可修改收货信息，才自动保存地址；否则标记为 needs_review 待人工处理
+// - 按 UID 增量读取，不修改邮件的已读状态；每封邮件处理一次，结果（含加密的正文）记录在 inbox_replies
+// - 需要 IMAP_INBOX_ENABLED=true 与有效的 ENCRYPTION_KEY
+
+const settings = config.inbox;
+
+const REPLY_STATUSES = ['linked', 'needs_review', 'ignored', 'dismissed'];
+const MAX_STORED_TEXT = 20000;
+const QUOTE_START_RES = [
+  /\bwrote:\s*$/i, // On Mon, Jan 1, 2024 at 10:00 AM Xwawa Marketing <...> wrote:
+  /写道[:：]\s*$/,
+  /^-{2,}\s*(Original Message|原始邮件)\s*-{2,}/i,
+  /^_{10,}$/,
+  /^(From|发件人)[:：]\s/i,
+];
+
+let timer = null;
+let running = false;
+
+function inboxAad(mailbox, uidValidity, uid) {
+  return `inbox_reply:${mailbox}:${uidValidity}:${uid}`;
+}
+
+// 退信、自动回复等不需要处理的邮件，返回原因；正常邮件返回 null
+function ignoreReason(parsed, from) {
+  const headers = parsed.headers;
+  const autoSubmitted = String(headers.get('auto-submitted') || 'no').toLowerCase();
+  const precedence = String(headers.get('precedence') || '').toLowerCase();
+  const contentType = headers.get('content-type');
+  if (!from) return '缺少发件人';
+  if (/^(mailer-daemon|postmaster)@/i.test(from)) return '退信';
+  if (contentType && contentType.value === 'multipart/report') return '退信';
+  if (autoSubmitted !== 'no' || ['auto_reply', 'bulk', 'junk', 'list'].includes(precedence)) return '自动回复';
+  if (from === String(config.smtp.user || '').toLowerCase()) return '本账号发出的邮件';
+  return null;
+}
+
+/**
+ * 提取回复中新写的内容：去掉引用的原邮件（> 开头的行、“… wrote:” 之后的内容）与参考编号行
+ * @returns {string}
+ */
+function extractReplyText(text) {
+  const lines = [];
+  for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const trimmed = line.trim();
+    if (QUOTE_START_RES.some(re => re.test(trimmed))) {
+      // “On … wrote:” 较长时会被折成两行，前一行也属于引用说明
+      if (/\bwrote:\s*$/i.test(trimmed) && lines.length && /^On\s/i.test(lines[lines.length - 1].trim())) lines.pop();
+      break;
+    }
+    if (trimmed.startsWith('>') || parseReplyReference(trimmed)) continue;
+    lines.push(line.trimEnd());
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// 根据邮件头与正文找到关联的中奖记录ID：{ recordId, method } 或 null
+async function matchRecord(repo, parsed, text) {
+  const references = [].concat(parsed.inReplyTo || [], parsed.references || []);
+  for (const header of references) {
+    const emailId = parseOutboxMessageId(header);
+    const email = emailId ? await repo.findEmail(emailId) : null;
+    const match = email && /^lottery_record:(\d+)$/.exec(email.reference || '');
+    if (match) return { recordId: Number(match[1]), method: 'message_id' };
+  }
+  const recordId = parseReplyReference(`${parsed.subject || ''}\n${text}`);
+  return recordId ? { recordId, method: 'token' } : null;
+}
+
+/**
+ * 处理一封收件箱邮件并记录结果
+ * @param {Buffer|string} source - 原始邮件
+ * @param {object} location - { mailbox, uidValidity, uid }
+ * @returns {object|null} 保存的 inbox_replies 行（不含密文）；邮件已处理过时返回 null
+ */
+async function processInboxMessage(source, { mailbox, uidValidity, uid }) {
+  const repo = getRepository();
+  const parsed = await simpleParser(source);
+  const from = parsed.from && parsed.from.value[0] && parsed.from.value[0].address
+    ? parsed.from.value[0].address.toLowerCase()
+    : null;
+  const text = parsed.text || '';
+  const address = extractReplyText(text);
+
+  const reply = {
+    mailbox,
+    uid_validity: uidValidity,
+    uid,
+    message_id: parsed.messageId || null,
+    from_address: from,
+    subject: (parsed.subject || '').slice(0, 500),
+    received_at: parsed.date || null,
+    record_id: null,
+    match_method: null,
+    status: 'needs_review',
+    review_reason: null,
+  };
+
+  const ignored = ignoreReason(parsed, from);
+  const match = ignored ? null : await matchRecord(repo, parsed, text);
+  const record = match ? await repo.findRecord(match.recordId) : null;
+  if (record) {
+    reply.record_id = record.id;
+    reply.match_method = match.method;
+  }
+
+  if (ignored) {
+    reply.status = 'ignored';
+    reply.review_reason = ignored;
+  } else if (!record) {
+    reply.review_reason = '未找到关联的中奖记录';
+  } else if (!record.email || record.email.toLowerCase() !== from) {
+    reply.review_reason = '发件人与中奖记录邮箱不一致';
+  } else if (!MERCH_PRIZE_IDS.includes(record.prize)) {
+    reply.review_reason = '关联的记录不是实物奖品';
+  } else if (!SHIPPING_EDITABLE_STATUSES.includes(currentClaimStatus(record))) {
+    reply.review_reason = `收货地址已确认（${currentClaimStatus(record)}），需人工核对`;
+  } else if (!address) {
+    reply.review_reason = '未能从回复中解析出地址';
+  } else if (address.length > SHIPPING_FIELD_LIMITS.address) {
+    reply.review_reason = `回复内容超过 ${SHIPPING_FIELD_LIMITS.address} 个字符，需人工整理地址`;
+  } else {
+    reply.status = 'linked';
+  }
+
+  reply.encrypted = encryptJson(
+    { text: text.slice(0, MAX_STORED_TEXT), address: address.slice(0, MAX_STORED_TEXT) },
+    inboxAad(mailbox, uidValidity, uid)
+  );
+  // 先写入回复记录（同一 UID 已记录时直接跳过），再保存收货地址，避免同一回复被重复合并
+  const id = await repo.saveInboxReply(reply);
+  if (id === null) return null;
+  if (reply.status === 'linked') {
+    try {
+      await saveShippingDetails(repo, record.id, { address, source: 'email_reply' }, { merge: true });
+    } catch (err) {
+      logger.error('保存回复中的收货地址失败，已转为待人工处理', { reply_id: id, record_id: record.id, err });
+      reply.status = 'needs_review';
+      reply.review_reason = '保存收货地址失败，需人工关联';
+      await repo.flagInboxReply(id, reply.review_reason);
+    }
+  }
+  logger.info('收件箱邮件已处理', {
+    mailbox,
+    uid,
+    from: from || null,
+    status: reply.status,
+    record_id: reply.record_id || null,
+    review_reason: reply.review_reason || null,
+  });
+  const { encrypted, ...saved } = reply;
+  return { id, ...saved };
+}
+
+/**
+ * 处理失败的邮件（MIME 解析错误、数据库写入失败等）记为 needs_review，游标得以越过该邮件，不会每轮重复失败
+ * 原始邮件（截断后）加密保存供人工查看；记录本身也写入失败时抛出错误，本轮中止，下一轮重试
+ */
+async function recordFailedMessage(source, { mailbox, uidValidity, uid }, err) {
+  let encrypted = null;
+  try {
+    const raw = Buffer.isBuffer(source) ? source.toString('utf8') : String(source || '');
+    encrypted = encryptJson({ text: raw.slice(0, MAX_STORED_TEXT), address: '' }, inboxAad(mailbox, uidValidity, uid));
+  } catch (encryptErr) {
+    logger.warn('加密处理失败的邮件原文失败，只记录处理结果', { mailbox, uid, err: encryptErr });
+  }
+  const id = await getRepository().saveInboxReply({
+    mailbox,
+    uid_validity: uidValidity,
+    uid,
+    status: 'needs_review',
+    review_reason: `邮件处理失败，需人工核对（${String(err && err.message ? err.message : err)}）`.slice(0, 255),
+    encrypted,
+  });
+  logger.error('收件箱邮件处理失败，已标记为待人工处理', { mailbox, uid, reply_id: id, err });
+}
+
+// 解密 inbox_replies 行中的正文与解析出的地址；处理失败且未能保存原文的邮件返回空内容
+function decryptInboxReply(reply) {
+  if (!reply.encrypted) return { text: '', address: '' };
+  return decryptJson(reply.encrypted, inboxAad(reply.mailbox, reply.uid_validity, reply.uid));
+}
+
+/**
+ * 读取收件箱中上次处理之后的新邮件（每轮最多 batchSize 封）
+ * @returns {{processed: number}}
+ */
+async function pollInboxOnce() {
+  const imapConfig = getImapConfig();
+  if (!imapConfig) {
+    throw new Error('IMAP 未配置，无法读取收件箱');
+  }
+  const repo = getRepository();
+  const mailbox = imapConfig.inboxFolder;
+  const client = createImapClient(imapConfig);
+  let processed = 0;
+
+  await client.connect();
+  try {
+    const lock = await client.getMailboxLock(mailbox);
+    try {
+      const uidValidity = Number(client.mailbox.uidValidity);
+      const cursor = await repo.getInboxCursor(mailbox, uidValidity);
+      const uids = (await client.search({ uid: `${cursor + 1}:*` }, { uid: true }) || [])
+        .filter(uid => uid > cursor) // 没有新邮件时 * 会匹配到最后一封
+        .sort((a, b) => a - b)
+        .slice(0, settings.batchSize);
+      if (uids.length === 0) return { processed };
+
+      // 先取回全部原始邮件再处理，避免在 FETCH 进行中穿插数据库写入
+      const messages = [];
+      for await (const message of client.fetch(uids, { uid: true, source: true }, { uid: true })) {
+        messages.push(message);
+      }
+      messages.sort((a, b) => a.uid - b.uid);
+      for (const message of messages) {
+        const location = { mailbox, uidValidity, uid: message.uid };
+        try {
+          await processInboxMessage(message.source, location);
+        } catch (err) {
+          await recordFailedMessage(message.source, location, err);
+        }
+        processed++;
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout();
+  }
+  return { processed };
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await pollInboxOnce();
+  } catch (err) {
+    logger.error('读取收件箱失败，稍后重试', { err });
+  } finally {
+    running = false;
+  }
+}
+
+function startInboxPoller() {
+  if (timer || !settings.enabled) return;
+  if (!getImapConfig()) {
+    logger.warn('IMAP_INBOX_ENABLED=true 但 IMAP 未配置，收件箱读取未启动');
+    return;
+  }
+  if (!isEncryptionConfigured()) {
+    logger.warn('IMAP_INBOX_ENABLED=true 但未配置有效的 ENCRYPTION_KEY，收件箱读取未启动');
+    return;
+  }
+  timer = setInterval(tick, settings.pollIntervalMs);
+  timer.unref();
+  logger.info('收件箱读取已启动', { mailbox: getImapConfig().inboxFolder, ...settings });
+}
+
+function stopInboxPoller() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  REPLY_STATUSES,
+  extractReplyText,
+  processInboxMessage,
+  decryptInboxReply,
+  pollInboxOnce,
+  startInboxPoller,
+  stopInboxPoller,
+};
@@ -1,154 +1,161 @@
-const dotenv = require('dotenv');
-dotenv.config();
-
+const { config } = require('./config');
+const crypto = require('crypto');
 const express = require('express');
-const cors = require('cors');
-const { getPool, isDbConfigured } = require('./db');
-const { sendPrizeEmail } = require('./mailer');
+const { normalizeLang, composeEmail, sendEmail, verifySmtp } = require('./mailer');
+const {
+  issueNonce, verifySignIn, revokeSession, requireWalletSession, optionalWalletSession,
+} = require('./auth');
+const {
+  hasRole, issueAdminNonce, adminLogin, requireAdminRole,
+} = require('./admin-auth');
+const { formatUnits } = require('ethers');
+const {
+  XWAWA_DECIMALS, verifyDrawTransaction, readDrawCost, readPoolInfo, getLotteryAddress, getXwawaTokenAddress, getPaymentAddress,
+} = require('./chain');
+const { getRepository } = require('./repository');
+const {
+  PRIZE_IDS, PRIZE_NAMES, MERCH_PRIZE_IDS, CLAIM_STATUSES, CLAIMED_STATUSES,
+} = require('./repository/rows');
+const { createTtlCache } = require('./cache');
+const { getProduct, quoteTokenAmount } = require('./products');
+const { enqueueEmail, startOutboxWorker } = require('./outbox');
+const { REPLY_STATUSES, decryptInboxReply, startInboxPoller } = require('./inbox');
+const { toCsv } = require('./csv');
+const { isEncryptionConfigured } = require('./encryption');
+const { SHIPPING_FIELD_LIMITS, loadShippingDetails, saveShippingDetails } = require('./shipping');
+const {
+  SHIPPING_EDITABLE_STATUSES, currentClaimStatus, prizeEmailPayload, transitionClaim, submitClaimEmail,
+  notifyClaimStatus,
+} = require('./fulfilment');
+const { rateLimit } = require('./rate-limit');
+const { recordAudit, auditRequest } = require('./audit');
+const { logger, assignRequestId, requestLogger } = require('./logger');
+const { metricsMiddleware, metricsHandler } = require('./metrics');
+const { checkReadiness } = require('./readiness');
+const { corsMiddleware } = require('./cors');
+const { createSiteRouter } = require('./site');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
-
-// 更宽松的本地开发CORS，允许 localhost 与 127.0.0.1 各端口
-app.use(cors({
-  origin: function (origin, callback) {
-    if (!origin) return callback(null, true); // 允许非浏览器或同源
-    const ok = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
-    callback(ok ? null : new Error('Not allowed by CORS'), ok);
-  },
-  methods: ['GET', 'POST', 'OPTIONS'],
-}));
+const RATE_DENOMINATOR = 1000000n; // 合约比例参数为百万分制
+
+// 部署在反向代理之后时设置 TRUST_PROXY（如 1 或 loopback），限流才能取到真实的客户端 IP
+if (config.trustProxy !== null) {
+  app.set('trust proxy', config.trustProxy);
+}
+
+app.use(assignRequestId);
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
+// 跨域来源白名单见 server/cors.js（CORS_ORIGINS）
+app.use(corsMiddleware);
 // 预检请求由全局 cors 中间件处理，这里不再单独注册 options 路由
 app.use(express.json());
 
+// 服务器内部错误：错误详情只写入日志，响应中返回请求ID供排查
+function sendInternalError(req, res, err, logMessage, error = '服务器处理失败') {
+  req.log.error(logMessage, { err });
+  res.status(500).json({ error, code: 'INTERNAL_ERROR', request_id: req.id });
+}
+
 // 健康检查
 app.get('/api/health', (req, res) => {
   res.json({ ok: true });
 });
 
-// SMTP 登录验证（仅用于开发排查）
-app.get('/api/mail/verify', async (req, res) => {
+// 就绪检查：逐个检查数据库、SMTP 与 RPC，必需组件失败时返回 503
+app.get('/api/ready', async (req, res) => {
+  const result = await checkReadiness();
+  res.status(result.status === 'fail' ? 503 : 200).json(result);
+});
+
+// Prometheus 指标（设置 METRICS_TOKEN 后需携带 Bearer 令牌）
+app.get('/metrics', metricsHandler);
+
+// 钱包签名登录：领取一次性 nonce 与待签名消息
+app.get('/api/auth/nonce', rateLimit('write'), (req, res) => {
   try {
-    const { sendPrizeEmail } = require('./mailer');
-    const nodemailer = require('nodemailer');
-    // 使用 mailer 的同构造逻辑创建 transporter 并执行 verify
-    const host = process.env.SMTP_HOST;
-    const port = parseInt(process.env.SMTP_PORT || '587', 10);
-    const user = process.env.SMTP_USER;
-    const pass = process.env.SMTP_PASS;
-
-    const transporter = nodemailer.createTransport({
-      host,
-      port,
-      secure: port === 465,
-      auth: { user, pass },
-    });
+    const address = (req.query.address || '').trim();
+    res.json(issueNonce(req, address));
+  } catch (err) {
+    res.status(400).json({ error: err.message, code: err.code });
+  }
+});
+
+// 钱包签名登录：校验签名并签发会话令牌
+app.post('/api/auth/verify', rateLimit('write'), (req, res) => {
+  const { address, nonce, signature } = req.body || {};
+  try {
+    const session = verifySignIn({ address, nonce, signature });
+    res.json({ ok: true, ...session });
+  } catch (err) {
+    res.status(401).json({ error: err.message, code: err.code });
+  }
+});
+
+// 注销当前钱包会话
+app.post('/api/auth/logout', rateLimit('write'), (req, res) => {
+  revokeSession(req);
+  res.json({ ok: true });
+});
+
+// 开发排查接口：NODE_ENV=production 时整体关闭（返回 404），其余环境需 superadmin 登录且每次调用写入审计日志
+function devEndpointsOnly(req, res, next) {
+  if (config.isProduction) {
+    return res.status(404).json({ error: '接口不存在', code: 'NOT_FOUND' });
+  }
+  next();
+}
 
-    await transporter.verify();
+// SMTP 登录验证（仅用于开发排查）
+app.get('/api/mail/verify', devEndpointsOnly, auditRequest('mail.verify'), requireAdminRole('superadmin'), rateLimit('mail'), async (req, res) => {
+  try {
+    await verifySmtp();
     res.json({ ok: true, message: 'SMTP authentication success' });
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+    // 开发排查接口直接返回 SMTP 错误信息
+    req.log.warn('SMTP 登录验证失败', { err: e });
+    res.status(500).json({ ok: false, error: String(e.message || e), request_id: req.id });
   }
 });
 
-// 发送测试邮件（不依赖数据库，用于端到端验证）
-app.post('/api/mail/send-test', async (req, res) => {
+// 发送测试邮件（不经过发件箱，直接发送并返回 SMTP 结果，用于端到端验证）
+const auditSendTest = auditRequest('mail.send_test', req => ({ to: (req.body && req.body.to) || config.smtp.user }));
+app.post('/api/mail/send-test', devEndpointsOnly, auditSendTest, requireAdminRole('superadmin'), rateLimit('mail'), async (req, res) => {
   try {
-    const { to, wallet_address, prize_name, tx_hash } = req.body || {};
-    const recipient = (to || process.env.SMTP_USER);
+    const { to, wallet_address, prize_name, tx_hash, lang } = req.body || {};
+    const recipient = (to || config.smtp.user);
     const wallet = (wallet_address || '0x1111111111111111111111111111111111111111').toLowerCase();
     const prizeName = prize_name || 'Test Prize';
     const txHash = tx_hash || null;
 
-    await sendPrizeEmail({
-      to: recipient,
+    await sendEmail(composeEmail('prize_confirmation', lang, recipient, {
       walletAddress: wallet,
       txHash,
       prizeName,
-    });
-    console.log('Test prize email sent to', recipient);
+    }));
+    req.log.info('测试邮件已发送', { recipient });
     res.json({ ok: true, message: 'Test email sent', to: recipient });
   } catch (e) {
-    console.warn('测试邮件发送失败:', e && e.message ? e.message : e);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+    req.log.warn('测试邮件发送失败', { err: e });
+    res.status(500).json({ ok: false, error: String(e.message || e), request_id: req.id });
   }
 });
 
-// 数据库连通性检测（Ping）
-app.get('/api/db/ping', async (req, res) => {
+// 存储连通性检测（Ping，仅用于开发排查）
+app.get('/api/db/ping', devEndpointsOnly, auditRequest('db.ping'), requireAdminRole('superadmin'), async (req, res) => {
   try {
-    const pool = getPool();
-    const [okRows] = await pool.query('SELECT 1 AS ok');
-    const [verRows] = await pool.query('SELECT VERSION() AS version');
-    res.json({
-      ok: true,
-      db_host: process.env.DB_HOST,
-      result: okRows && okRows[0],
-      version: verRows && verRows[0] && verRows[0].version,
-    });
+    const info = await getRepository().ping();
+    res.json({ ok: true, ...info });
   } catch (err) {
-    console.error('数据库Ping失败:', err);
-    res.status(500).json({ ok: false, error: String(err.message || err) });
+    req.log.error('数据库Ping失败', { err });
+    res.status(500).json({ ok: false, error: String(err.message || err), request_id: req.id });
   }
 });
 
-// 启动时确保基础表存在
-async function ensureSchema() {
-  try {
-    if (!isDbConfigured()) {
-      console.log('跳过数据库初始化：当前为无数据库模式');
-      return;
-    }
-    const pool = getPool();
-    const sql = `
-      CREATE TABLE IF NOT EXISTS lottery_records (
-        id BIGINT AUTO_INCREMENT PRIMARY KEY,
-        wallet_address VARCHAR(64) NOT NULL,
-        prize INT NULL,
-        amount DECIMAL(32,8) NULL,
-        tx_hash VARCHAR(128) NULL,
-        status VARCHAR(32) DEFAULT 'pending',
-        email VARCHAR(255) NULL COMMENT '中奖者邮箱地址',
-        claim_status VARCHAR(32) DEFAULT 'unclaimed' COMMENT '领取状态: unclaimed, claimed',
-        claimed_at DATETIME NULL COMMENT '领取时间',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_wallet_address (wallet_address),
-        INDEX idx_claim_status (claim_status)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-    `;
-    await pool.query(sql);
-    
-    // 检查并添加新字段（兼容已存在的表）
-    const fieldsToAdd = [
-      { name: 'email', sql: `ALTER TABLE lottery_records ADD COLUMN email VARCHAR(255) NULL COMMENT '中奖者邮箱地址'` },
-      { name: 'claim_status', sql: `ALTER TABLE lottery_records ADD COLUMN claim_status VARCHAR(32) DEFAULT 'unclaimed' COMMENT '领取状态: unclaimed, claimed'` },
-      { name: 'claimed_at', sql: `ALTER TABLE lottery_records ADD COLUMN claimed_at DATETIME NULL COMMENT '领取时间'` },
-      { name: 'updated_at', sql: `ALTER TABLE lottery_records ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP` }
-    ];
-    
-    for (const field of fieldsToAdd) {
-      try {
-        // 先检查字段是否存在
-        const [columns] = await pool.query(`SHOW COLUMNS FROM lottery_records LIKE '${field.name}'`);
-        if (columns.length === 0) {
-          // 字段不存在，添加它
-          await pool.query(field.sql);
-          console.log(`已添加字段: ${field.name}`);
-        }
-      } catch (e) {
-        console.warn(`添加字段 ${field.name} 失败:`, e.message);
-      }
-    }
-    
-    console.log('数据库表 lottery_records 已准备');
-  } catch (e) {
-    console.warn('初始化数据库表失败（继续运行）:', e);
-  }
-}
-
 // 获取指定钱包地址的最新抽奖记录（默认30条）
-app.get('/api/lottery/history', async (req, res) => {
+// 中奖邮箱与语言只返回给该钱包本人（携带匹配的钱包会话），其他调用方只能看到抽奖结果
+app.get('/api/lottery/history', rateLimit('read'), optionalWalletSession, async (req, res) => {
   const address = (req.query.address || '').trim().toLowerCase();
   const limit = Math.min(Number(req.query.limit || 30), 100);
 
@@ -156,78 +163,138 @@ app.get('/api/lottery/history', async (req, res) => {
     return res.status(400).json({ error: '缺少有效的地址参数address' });
   }
 
-  // 数据库查询重试函数
-  async function executeWithRetry(pool, sql, params, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const [rows] = await pool.execute(sql, params);
-        return rows;
-      } catch (err) {
-        console.error(`数据库查询尝试 ${attempt}/${maxRetries} 失败:`, err.message);
-        
-        if (attempt === maxRetries) {
-          throw err;
-        }
-        
-        // 如果是连接错误，等待一段时间后重试
-        if (err.code === 'ECONNRESET' || err.code === 'PROTOCOL_CONNECTION_LOST') {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        } else {
-          throw err; // 非连接错误直接抛出
-        }
+  try {
+    const rows = await getRepository().listRecordsByWallet(address, limit);
+    const records = req.walletAddress === address ? rows : rows.map(({ email, lang, ...rest }) => rest);
+    res.json({ address, count: records.length, records });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询抽奖历史失败', '服务器查询失败');
+  }
+});
+
+// 抽奖统计：聚合结果缓存 30 分钟；抽奖费用单独缓存，读取失败时不影响其余统计
+const statsCache = createTtlCache({ ttlMs: 30 * 60 * 1000 });
+const drawCostCache = createTtlCache({ ttlMs: 30 * 60 * 1000 });
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 日期查询参数（YYYY-MM-DD）：未提供返回 null，格式错误返回 undefined
+function parseDateParam(value) {
+  const date = (value || '').trim();
+  if (!date) return null;
+  // 往返校验，拒绝 2024-02-30 这类会被 Date 自动进位的日期
+  if (!DATE_RE.test(date) || Number.isNaN(Date.parse(date))) return undefined;
+  return new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date ? date : undefined;
+}
+
+app.get('/api/lottery/stats', rateLimit('read'), async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD', code: 'INVALID_REQUEST' });
+  }
+  if (from && to && from > to) {
+    return res.status(400).json({ error: '开始日期不能晚于结束日期', code: 'INVALID_REQUEST' });
+  }
+
+  try {
+    const stats = await statsCache.wrap(`${from || ''}|${to || ''}`, async () => ({
+      ...(await getRepository().getLotteryStats({ from, to })),
+      generatedAt: new Date().toISOString(),
+    }));
+
+    let drawCost = null;
+    try {
+      drawCost = await drawCostCache.wrap('drawCost', readDrawCost);
+    } catch (err) {
+      if (err.code !== 'CHAIN_NOT_CONFIGURED') {
+        req.log.warn('读取抽奖费用失败，统计中省略 XWAWA 消耗', { err });
       }
     }
-  }
 
-  // 数据库缺失时的回退
-  if (!isDbConfigured()) {
-    return res.json({ address, count: 0, records: [] });
+    res.json({
+      from,
+      to,
+      total_draws: stats.totalDraws,
+      unique_players: stats.uniquePlayers,
+      prizes: PRIZE_IDS.map(id => ({ prize: id, name: PRIZE_NAMES[id], count: stats.prizeCounts[id] || 0 })),
+      draws_per_day: stats.drawsPerDay,
+      draw_cost: drawCost === null ? null : formatUnits(drawCost, XWAWA_DECIMALS),
+      xwawa_spent: drawCost === null ? null : formatUnits(drawCost * BigInt(stats.totalDraws), XWAWA_DECIMALS),
+      merch: stats.merch,
+      generated_at: stats.generatedAt,
+    });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询抽奖统计失败', '服务器查询失败');
   }
+});
+
+// 奖池信息：链上读取结果缓存 1 分钟
+const poolCache = createTtlCache({ ttlMs: 60 * 1000 });
+
+app.get('/api/lottery/pool', rateLimit('read'), async (req, res) => {
   try {
-    const pool = getPool();
-    // 这里假设表名为 lottery_records，字段如下：
-    // id, wallet_address, prize, amount, tx_hash, status, created_at
-    const sql = `
-      SELECT id, wallet_address, prize, amount, tx_hash, status, email, 
-             claim_status, claimed_at, created_at, updated_at
-      FROM lottery_records
-      WHERE wallet_address = ?
-      ORDER BY created_at DESC
-      LIMIT ?
-    `;
-
-    const rows = await executeWithRetry(pool, sql, [address, limit]);
-    res.json({ address, count: rows.length, records: rows });
+    const pool = await poolCache.wrap('pool', async () => {
+      const info = await readPoolInfo();
+      return {
+        contract: getLotteryAddress(),
+        token: info.tokenAddress,
+        pool_balance: formatUnits(info.poolBalance, XWAWA_DECIMALS),
+        part_of_pool_rate: Number(info.partOfPoolRate),
+        fee_to_community: Number(info.feeToCommunity),
+        rate_denominator: Number(RATE_DENOMINATOR),
+        // 下一次抽中“奖池分红”（奖项 3）时按当前奖池计算的预计奖励
+        expected_pool_dividend: formatUnits(info.poolBalance * info.partOfPoolRate / RATE_DENOMINATOR, XWAWA_DECIMALS),
+        community_treasury: info.treasury,
+        community_treasury_balance: formatUnits(info.treasuryBalance, XWAWA_DECIMALS),
+        updated_at: new Date().toISOString(),
+      };
+    });
+    res.json(pool);
   } catch (err) {
-    console.error('查询抽奖历史失败:', err);
-    res.status(500).json({ error: '服务器查询失败', detail: String(err.message || err) });
+    if (!err.status) return sendInternalError(req, res, err, '读取奖池信息失败', '服务器读取失败');
+    req.log.warn('读取奖池信息失败', { err });
+    res.status(err.status).json({ error: err.message, code: err.code });
   }
 });
 
-// 可选：记录抽奖结果（如需从前端或合约事件写入）
-app.post('/api/lottery/draw', async (req, res) => {
-  const { wallet_address, prize, amount, tx_hash, status } = req.body || {};
+// 记录抽奖结果：服务端按 tx_hash 拉取链上回执并解析 Draw 事件，不信任客户端提交的奖项
+app.post('/api/lottery/draw', rateLimit('write'), async (req, res) => {
+  const { wallet_address, tx_hash } = req.body || {};
   if (!wallet_address || !/^0x[a-fA-F0-9]{40}$/.test(wallet_address)) {
-    return res.status(400).json({ error: '缺少有效的钱包地址wallet_address' });
+    return res.status(400).json({ error: '缺少有效的钱包地址wallet_address', code: 'INVALID_REQUEST' });
+  }
+
+  let draws;
+  try {
+    draws = await verifyDrawTransaction(tx_hash, wallet_address);
+  } catch (err) {
+    if (!err.status) return sendInternalError(req, res, err, '抽奖交易验证失败', '服务器验证失败');
+    req.log.warn('抽奖交易验证失败', { err });
+    return res.status(err.status).json({ error: err.message, code: err.code });
   }
 
   try {
-    const pool = getPool();
-    const sql = `
-      INSERT INTO lottery_records (wallet_address, prize, amount, tx_hash, status, created_at)
-      VALUES (?, ?, ?, ?, ?, NOW())
-    `;
-    const [result] = await pool.execute(sql, [wallet_address.toLowerCase(), prize ?? null, amount ?? null, tx_hash ?? null, status ?? 'pending']);
-    res.json({ ok: true, id: result.insertId });
+    const records = await getRepository().insertDrawResults(draws);
+    await recordAudit(req, 'lottery.draw', {
+      details: { tx_hash, wallet_address: wallet_address.toLowerCase() },
+      after: records.map(r => ({ id: r.id, prize: r.prize })),
+    });
+    res.json({ ok: true, id: records.length ? records[0].id : null, records });
   } catch (err) {
-    console.error('写入抽奖记录失败:', err);
-    res.status(500).json({ error: '服务器写入失败', detail: String(err.message || err) });
+    sendInternalError(req, res, err, '写入抽奖记录失败', '服务器写入失败');
   }
 });
 
+// 领取状态变更失败（流转不合法、并发修改等）时返回对应的错误响应，其他错误继续抛出
+function sendClaimError(res, err) {
+  if (!err.status || !err.code) throw err;
+  return res.status(err.status).json({ error: err.message, code: err.code });
+}
+
 // 更新中奖记录的邮箱地址
-app.post('/api/lottery/update-email', async (req, res) => {
-  const { record_id, email, wallet_address } = req.body || {};
+app.post('/api/lottery/update-email', rateLimit('write'), rateLimit('mail'), requireWalletSession,
+  rateLimit('write', { scope: 'wallet' }), rateLimit('mail', { scope: 'wallet' }), async (req, res) => {
+  const { record_id, email, wallet_address, lang } = req.body || {};
   
   if (!record_id || !email || !wallet_address) {
     return res.status(400).json({ error: '缺少必需参数: record_id, email, wallet_address' });
@@ -244,82 +311,67 @@ app.post('/api/lottery/update-email', async (req, res) => {
     return res.status(400).json({ error: '钱包地址格式不正确' });
   }
 
+  // 会话钱包必须与请求操作的钱包一致
+  if (wallet_address.toLowerCase() !== req.walletAddress) {
+    return res.status(403).json({ error: '签名钱包与记录钱包不一致', code: 'FORBIDDEN' });
+  }
+
   try {
-    const pool = getPool();
-    
+    const repo = getRepository();
+
     // 验证记录是否属于该钱包地址
-    const checkSql = `
-      SELECT id, prize, wallet_address FROM lottery_records 
-      WHERE id = ? AND wallet_address = ?
-    `;
-    const [checkRows] = await pool.execute(checkSql, [record_id, wallet_address.toLowerCase()]);
-    
-    if (checkRows.length === 0) {
+    const record = await repo.findRecordForWallet(record_id, wallet_address.toLowerCase());
+    if (!record) {
       return res.status(404).json({ error: '未找到对应的中奖记录' });
     }
     
-    const record = checkRows[0];
-    console.log('调试信息 - 记录详情:', { 
-      id: record.id, 
-      prize: record.prize, 
-      prizeType: typeof record.prize,
-      wallet_address: record.wallet_address 
-    });
-    
     // 只有一二三等奖才能填写邮箱 (奖项ID: 0=一等奖, 1=二等奖, 2=三等奖)
     if (record.prize === null || record.prize === undefined || record.prize < 0 || record.prize > 2) {
-      console.log('奖项验证失败:', { prize: record.prize, condition: 'prize < 0 || prize > 2' });
       return res.status(400).json({ error: '只有一二三等奖可以填写邮箱地址' });
     }
-    
-    // 更新邮箱地址
-    const updateSql = `
-      UPDATE lottery_records 
-      SET email = ?, updated_at = NOW()
-      WHERE id = ? AND wallet_address = ?
-    `;
-    const [result] = await pool.execute(updateSql, [email, record_id, wallet_address.toLowerCase()]);
-    
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: '更新失败，记录不存在' });
-    }
-    // 构造奖品名称文案（英文），可按需调整映射
-    const prizeMap = {
-      0: 'First Prize',
-      1: 'Second Prize',
-      2: 'Third Prize'
-    };
-
-    const prizeName = prizeMap[record.prize] || `Prize #${record.prize}`;
-
-    // 获取链上交易哈希（如果存在）
-    const txQuery = 'SELECT tx_hash FROM lottery_records WHERE id = ?';
-    const [txRows] = await pool.execute(txQuery, [record_id]);
-    const txHash = (txRows[0] && txRows[0].tx_hash) ? txRows[0].tx_hash : null;
 
-    // 发送邮件（失败不应阻断业务流程，记录日志）
+    // 收货信息确认后（含已发货、已送达、已拒绝、已过期）不能再修改联系邮箱，避免改写履约联系人并重发确认邮件
+    if (!SHIPPING_EDITABLE_STATUSES.includes(currentClaimStatus(record))) {
+      return res.status(409).json({ error: '领取已进入履约流程，如需修改邮箱请联系客服', code: 'CLAIM_LOCKED' });
+    }
+    
+    // 更新邮箱地址与收件人语言（未提交 lang 时沿用记录中已保存的语言）
+    const language = normalizeLang(lang || record.lang);
     try {
-      await sendPrizeEmail({
-        to: email,
-        walletAddress: wallet_address.toLowerCase(),
-        txHash,
-        prizeName,
-      });
-      console.log('Prize email sent to', email);
-    } catch (mailErr) {
-      console.warn('发送邮件失败（不阻断接口返回）:', mailErr.message || mailErr);
+      await submitClaimEmail(record, { email, lang: language, actor: `wallet:${req.walletAddress}` });
+    } catch (err) {
+      return sendClaimError(res, err);
     }
+    await recordAudit(req, 'lottery.update_email', {
+      target: `lottery_record:${record.id}`,
+      before: { email: record.email, lang: record.lang, claim_status: currentClaimStatus(record) },
+      after: {
+        email,
+        lang: language,
+        claim_status: 'email_submitted',
+      },
+    });
 
-    res.json({ ok: true, message: '邮箱地址更新成功，并已发送确认邮件' });
+    // 确认邮件加入发件箱，由后台任务按收件人语言渲染模板并发送，失败时重试
+    const emailId = await enqueueEmail({
+      template: 'prize_confirmation',
+      lang: language,
+      recipient: email,
+      payload: prizeEmailPayload(record),
+      reference: `lottery_record:${record.id}`,
+    });
+    req.log.info('确认邮件已入队', { email_id: emailId, record_id: record.id });
+
+    res.json({ ok: true, message: '邮箱地址更新成功，确认邮件将稍后发送' });
   } catch (err) {
-    console.error('更新邮箱地址失败:', err);
-    res.status(500).json({ error: '服务器更新失败', detail: String(err.message || err) });
+    sendInternalError(req, res, err, '更新邮箱地址失败', '服务器更新失败');
   }
 });
 
 // 标记中奖记录为已领取
-app.post('/api/lottery/claim', async (req, res) => {
-  const { record_id, wallet_address, email } = req.body || {};
+app.post('/api/lottery/claim', rateLimit('write'), rateLimit('mail'), requireWalletSession,
+  rateLimit('write', { scope: 'wallet' }), rateLimit('mail', { scope: 'wallet' }), async (req, res) => {
+  const { record_id, wallet_address, email, lang } = req.body || {};
   
   if (!record_id || !wallet_address || !email) {
     return res.status(400).json({ error: '缺少必需参数: record_id, wallet_address, email' });
@@ -336,46 +388,53 @@ app.post('/api/lottery/claim', async (req, res) => {
     return res.status(400).json({ error: '钱包地址格式不正确' });
   }
 
+  // 会话钱包必须与请求操作的钱包一致
+  if (wallet_address.toLowerCase() !== req.walletAddress) {
+    return res.status(403).json({ error: '签名钱包与记录钱包不一致', code: 'FORBIDDEN' });
+  }
+
   try {
-    const pool = getPool();
-    
+    const repo = getRepository();
+
     // 验证记录是否属于该钱包地址且为一二三等奖
-    const checkSql = `
-      SELECT id, prize, claim_status FROM lottery_records 
-      WHERE id = ? AND wallet_address = ?
-    `;
-    const [checkRows] = await pool.execute(checkSql, [record_id, wallet_address.toLowerCase()]);
-    
-    if (checkRows.length === 0) {
+    const record = await repo.findRecordForWallet(record_id, wallet_address.toLowerCase());
+    if (!record) {
       return res.status(404).json({ error: '未找到对应的中奖记录' });
     }
     
-    const record = checkRows[0];
-    
     // 只有一二三等奖才能领取 (奖项ID: 0=一等奖, 1=二等奖, 2=三等奖)
     if (record.prize === null || record.prize === undefined || record.prize < 0 || record.prize > 2) {
       return res.status(400).json({ error: '只有一二三等奖可以领取' });
     }
     
-    // 检查是否已经领取
-    if (record.claim_status === 'claimed') {
+    // 检查是否已经领取（地址已确认及之后的状态不能再次领取）
+    const status = currentClaimStatus(record);
+    if (status === 'expired' || status === 'rejected') {
+      return res.status(409).json({ error: '该奖品已过期或领取申请已被驳回', code: 'INVALID_TRANSITION' });
+    }
+    if (status !== 'unclaimed' && status !== 'email_submitted') {
       return res.status(400).json({ error: '该奖品已经领取过了' });
     }
     
-    // 更新为已领取状态并保存邮箱
-    const updateSql = `
-      UPDATE lottery_records 
-      SET email = ?, claim_status = 'claimed', claimed_at = NOW(), updated_at = NOW()
-      WHERE id = ? AND wallet_address = ?
-    `;
-    const [result] = await pool.execute(updateSql, [email, record_id, wallet_address.toLowerCase()]);
-    
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: '领取失败，记录不存在' });
+    // 保存邮箱与收件人语言，未领取的记录同时变更为 email_submitted
+    const language = normalizeLang(lang || record.lang);
+    try {
+      await submitClaimEmail(record, { email, lang: language, actor: `wallet:${req.walletAddress}` });
+    } catch (err) {
+      return sendClaimError(res, err);
     }
-    
-    // TODO: 这里可以添加发送邮件的逻辑
-    console.log(`中奖记录 ${record_id} 已标记为领取，邮箱: ${email}`);
+
+    await recordAudit(req, 'lottery.claim', {
+      target: `lottery_record:${record.id}`,
+      before: { email: record.email, lang: record.lang, claim_status: status },
+      after: { email, lang: language, claim_status: 'email_submitted' },
+    });
+
+    // 只在首次提交或邮箱变更时通知，重复提交同一邮箱不再重复发信
+    if (status === 'unclaimed' || email !== record.email) {
+      await notifyClaimStatus({ ...record, email, lang: language }, 'email_submitted');
+    }
+    req.log.info('中奖记录已提交领取', { record_id: record.id });
     
     res.json({ 
       ok: true, 
@@ -383,13 +442,811 @@ app.post('/api/lottery/claim', async (req, res) => {
       email: email
     });
   } catch (err) {
-    console.error('领取奖品失败:', err);
-    res.status(500).json({ error: '服务器处理失败', detail: String(err.message || err) });
+    sendInternalError(req, res, err, '领取奖品失败', '服务器处理失败');
+  }
+});
+
+// ---- 收货信息 ----
+// 姓名、电话、地址加密后保存在服务端（shipping_details，见 server/shipping.js），中奖用户只能提交与覆盖，只有管理接口可以读取
+
+// 提交或更新中奖记录的收货信息
+app.post('/api/lottery/shipping', rateLimit('write'), requireWalletSession, rateLimit('write', { scope: 'wallet' }), async (req, res) => {
+  const { record_id, wallet_address } = req.body || {};
+  const shipping = {};
+  for (const [field, maxLength] of Object.entries(SHIPPING_FIELD_LIMITS)) {
+    shipping[field] = String((req.body || {})[field] || '').trim();
+    if (shipping[field].length > maxLength) {
+      return res.status(400).json({ error: `${field} 长度不能超过 ${maxLength} 个字符`, code: 'INVALID_REQUEST' });
+    }
+  }
+
+  if (!record_id || !wallet_address || !shipping.address) {
+    return res.status(400).json({ error: '缺少必需参数: record_id, wallet_address, address', code: 'INVALID_REQUEST' });
+  }
+  if (!/^0x[a-fA-F0-9]{40}$/.test(wallet_address)) {
+    return res.status(400).json({ error: '钱包地址格式不正确', code: 'INVALID_REQUEST' });
+  }
+  if (wallet_address.toLowerCase() !== req.walletAddress) {
+    return res.status(403).json({ error: '签名钱包与记录钱包不一致', code: 'FORBIDDEN' });
+  }
+  if (!isEncryptionConfigured()) {
+    return res.status(503).json({ error: '服务端未配置 ENCRYPTION_KEY，暂无法保存收货信息', code: 'ENCRYPTION_NOT_CONFIGURED' });
+  }
+
+  try {
+    const repo = getRepository();
+    const record = await repo.findRecordForWallet(record_id, wallet_address.toLowerCase());
+    if (!record) {
+      return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+    }
+    if (!MERCH_PRIZE_IDS.includes(record.prize)) {
+      return res.status(400).json({ error: '只有一二三等奖需要填写收货信息', code: 'INVALID_REQUEST' });
+    }
+    if (!SHIPPING_EDITABLE_STATUSES.includes(currentClaimStatus(record))) {
+      return res.status(409).json({ error: '收货信息已确认，如需修改请联系客服', code: 'SHIPPING_LOCKED' });
+    }
+
+    await saveShippingDetails(repo, record.id, { ...shipping, source: 'web' });
+    // 收货信息只记录提交了哪些字段，不记录内容
+    await recordAudit(req, 'lottery.shipping', {
+      target: `lottery_record:${record.id}`,
+      details: { source: 'web', fields: Object.keys(shipping).filter(field => shipping[field]) },
+    });
+    req.log.info('收货信息已保存', { record_id: record.id });
+    res.json({ ok: true, message: '收货信息已保存' });
+  } catch (err) {
+    sendInternalError(req, res, err, '保存收货信息失败', '服务器保存失败');
+  }
+});
+
+// 中奖人查看领取进度：当前状态、承运商与运单号，以及状态变更时间线
+app.get('/api/lottery/records/:id/timeline', rateLimit('read'), requireWalletSession, rateLimit('read', { scope: 'wallet' }), async (req, res) => {
+  const recordId = Number(req.params.id);
+  if (!Number.isInteger(recordId) || recordId < 1) {
+    return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+  }
+
+  try {
+    const repo = getRepository();
+    const record = await repo.findRecordForWallet(recordId, req.walletAddress);
+    if (!record) {
+      return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+    }
+    const events = await repo.listClaimEvents(recordId);
+    const shipment = [...events].reverse().find(e => e.tracking_number) || {};
+    res.json({
+      record_id: recordId,
+      claim_status: currentClaimStatus(record),
+      carrier: shipment.carrier || null,
+      tracking_number: shipment.tracking_number || null,
+      events: events.map(e => ({
+        from_status: e.from_status,
+        to_status: e.to_status,
+        carrier: e.carrier,
+        tracking_number: e.tracking_number,
+        note: e.note,
+        created_at: e.created_at,
+      })),
+    });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询领取进度失败', '服务器查询失败');
+  }
+});
+
+// ---- 商城订单 ----
+// 订单价格由服务端商品目录计算，客户端提交的价格与数量不被采信；待支付订单 15 分钟后过期
+// 应付金额附加随机尾数（1e-8 XWAWA 的整数倍），保证同一时间的待支付订单金额互不相同，
+// 支付核验进程（server/payment-verifier.js）据此将链上转账匹配到订单
+
+const ORDER_TTL_SECONDS = 15 * 60;
+const ORDER_ID_RE = /^XW[0-9A-F]{10}$/;
+const PAYMENT_DUST_UNIT = 10n ** 10n;
+const PAYMENT_DUST_SLOTS = 100000;
+
+async function allocateOrderAmount(repo, paymentAddress, baseAmount) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const dust = BigInt(crypto.randomInt(1, PAYMENT_DUST_SLOTS)) * PAYMENT_DUST_UNIT;
+    const amount = (baseAmount + dust).toString();
+    if (!(await repo.hasPendingOrderWithAmount(paymentAddress, amount))) return amount;
+  }
+  throw new Error('无法分配唯一的支付金额，请稍后重试');
+}
+
+function generateOrderId() {
+  return `XW${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+// 订单号可被他人获知，查询结果中的邮箱做脱敏处理
+function maskEmail(email) {
+  const [name, domain] = String(email || '').split('@');
+  if (!domain) return null;
+  return `${name.slice(0, 1)}***@${domain}`;
+}
+
+// 只读查询不写库：已过支付截止时间、尚未被支付核验进程标记的订单按 expired 返回
+function formatOrder(order) {
+  const overdue = order.status === 'pending' && new Date(order.expires_at) <= new Date();
+  return {
+    order_id: order.id,
+    product_id: order.product_id,
+    product_name: order.product_name,
+    usd_price: String(order.usd_price),
+    token_amount: formatUnits(order.token_amount, XWAWA_DECIMALS),
+    token_amount_wei: order.token_amount,
+    payment_address: order.payment_address,
+    token_address: getXwawaTokenAddress(),
+    chain_id: config.chain.chainId,
+    email: maskEmail(order.email),
+    status: overdue ? 'expired' : order.status,
+    tx_hash: order.tx_hash,
+    paid_at: order.paid_at,
+    expires_at: order.expires_at,
+    created_at: order.created_at,
+  };
+}
+
+// 创建订单
+app.post('/api/orders', rateLimit('write'), async (req, res) => {
+  const { product_id, email, lang } = req.body || {};
+
+  const product = getProduct(product_id);
+  if (!product) {
+    return res.status(404).json({ error: '商品不存在', code: 'PRODUCT_NOT_FOUND' });
+  }
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: '邮箱格式不正确', code: 'INVALID_REQUEST' });
+  }
+  const paymentAddress = getPaymentAddress();
+  if (!paymentAddress) {
+    return res.status(503).json({ error: '服务端未配置收款地址 PAYMENT_ADDRESS', code: 'PAYMENT_NOT_CONFIGURED' });
+  }
+
+  try {
+    const repo = getRepository();
+    const order = await repo.createOrder({
+      id: generateOrderId(),
+      product_id: product.id,
+      product_name: product.name,
+      usd_price: product.usd_price,
+      email: email.trim(),
+      lang: normalizeLang(lang),
+      token_amount: await allocateOrderAmount(repo, paymentAddress, quoteTokenAmount(product)),
+      payment_address: paymentAddress,
+      ttl_seconds: ORDER_TTL_SECONDS,
+    });
+    req.log.info('订单已创建', { order_id: order.id, product_id: order.product_id });
+    await recordAudit(req, 'order.create', {
+      target: `order:${order.id}`,
+      after: { status: order.status, product_id: order.product_id, token_amount: order.token_amount, email: order.email },
+    });
+    res.status(201).json(formatOrder(order));
+  } catch (err) {
+    sendInternalError(req, res, err, '创建订单失败', '服务器创建订单失败');
+  }
+});
+
+// 查询订单
+app.get('/api/orders/:id', rateLimit('read'), async (req, res) => {
+  const orderId = String(req.params.id || '').toUpperCase();
+  if (!ORDER_ID_RE.test(orderId)) {
+    return res.status(404).json({ error: '订单不存在', code: 'ORDER_NOT_FOUND' });
+  }
+
+  try {
+    const order = await getRepository().findOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ error: '订单不存在', code: 'ORDER_NOT_FOUND' });
+    }
+    res.json(formatOrder(order));
+  } catch (err) {
+    sendInternalError(req, res, err, '查询订单失败', '服务器查询失败');
+  }
+});
+
+// ---- 管理员登录 ----
+
+// 管理员登录：领取一次性 nonce 与待签名消息
+app.get('/api/admin/auth/nonce', rateLimit('write'), (req, res) => {
+  try {
+    const address = (req.query.address || '').trim();
+    res.json(issueAdminNonce(req, address));
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message, code: err.code });
+  }
+});
+
+// 管理员登录：校验签名，白名单内的地址签发 JWT
+app.post('/api/admin/auth/login', rateLimit('write'), async (req, res) => {
+  const { address, nonce, signature } = req.body || {};
+  let session;
+  try {
+    session = adminLogin({ address, nonce, signature });
+  } catch (err) {
+    return res.status(err.status || 401).json({ error: err.message, code: err.code });
   }
+  await recordAudit(req, 'admin.login', { actor: `admin:${session.address}`, after: { role: session.role } });
+  res.json({ ok: true, ...session });
 });
 
-ensureSchema().finally(() => {
-  app.listen(PORT, () => {
-    console.log(`Xwawa Lottery API running on http://localhost:${PORT}`);
+// 当前管理员信息
+app.get('/api/admin/me', requireAdminRole('viewer'), (req, res) => {
+  res.json({ address: req.admin.address, role: req.admin.role });
+});
+
+// ---- 管理接口：邮件发件箱 ----
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+function formatEmail(email) {
+  return {
+    id: email.id,
+    kind: email.kind,
+    template: email.template,
+    lang: email.lang,
+    recipient: email.recipient,
+    reference: email.reference,
+    parent_id: email.parent_id,
+    status: email.status,
+    attempts: email.attempts,
+    max_attempts: email.max_attempts,
+    last_error: email.last_error,
+    next_attempt_at: email.next_attempt_at,
+    sent_at: email.sent_at,
+    created_at: email.created_at,
+    updated_at: email.updated_at,
+  };
+}
+
+// 发件箱列表（默认仅失败的邮件）：?status=failed|pending|sending|sent|all&limit=50&offset=0
+app.get('/api/admin/emails', requireAdminRole('viewer'), async (req, res) => {
+  const status = (req.query.status || 'failed').trim();
+  if (status !== 'all' && !EMAIL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status 取值应为 ${EMAIL_STATUSES.join(', ')} 或 all`, code: 'INVALID_REQUEST' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { total, emails } = await getRepository().listEmails({
+      status: status === 'all' ? null : status,
+      limit,
+      offset,
+    });
+    res.json({ status, total, limit, offset, emails: emails.map(formatEmail) });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询发件箱失败', '服务器查询失败');
+  }
+});
+
+// 重新发送失败的邮件：清零尝试次数并放回队列
+app.post('/api/admin/emails/:id/resend', requireAdminRole('fulfilment'), async (req, res) => {
+  const emailId = Number(req.params.id);
+  if (!Number.isInteger(emailId) || emailId < 1) {
+    return res.status(404).json({ error: '邮件不存在', code: 'EMAIL_NOT_FOUND' });
+  }
+
+  try {
+    const repo = getRepository();
+    const email = await repo.findEmail(emailId);
+    if (!email) {
+      return res.status(404).json({ error: '邮件不存在', code: 'EMAIL_NOT_FOUND' });
+    }
+    if (!(await repo.requeueEmail(emailId))) {
+      return res.status(409).json({ error: '只有发送失败的邮件可以重新发送', code: 'EMAIL_NOT_FAILED' });
+    }
+    req.log.info('发件箱任务已重新入队', { email_id: emailId });
+    await recordAudit(req, 'admin.email_resend', {
+      target: `email:${emailId}`,
+      before: { status: email.status, attempts: email.attempts },
+      after: { status: 'pending', attempts: 0 },
+    });
+    res.json({ ok: true, email: formatEmail(await repo.findEmail(emailId)) });
+  } catch (err) {
+    sendInternalError(req, res, err, '重新发送邮件失败', '服务器处理失败');
+  }
+});
+
+// ---- 管理接口：中奖记录与领取 ----
+
+const CLAIMS_EXPORT_PAGE_SIZE = 1000;
+const CLAIMS_EXPORT_MAX_ROWS = 50000;
+
+// 解析中奖记录筛选参数，返回 { filters } 或 { error }
+function parseClaimFilters(query) {
+  let prizes = MERCH_PRIZE_IDS;
+  const prizeParam = String(query.prize || '').trim();
+  if (prizeParam === 'all') {
+    prizes = null;
+  } else if (prizeParam) {
+    prizes = prizeParam.split(',').map(Number);
+    if (prizes.some(p => !PRIZE_IDS.includes(p))) {
+      return { error: `prize 取值应为 ${PRIZE_IDS.join(', ')} 的逗号分隔列表或 all` };
+    }
+  }
+
+  // claim_status 可为逗号分隔的多个状态；claimed 表示已提交领取的全部状态
+  let claimStatuses = null;
+  const claimStatusParam = String(query.claim_status || '').trim();
+  if (claimStatusParam) {
+    const requested = claimStatusParam.split(',').map(s => s.trim());
+    if (requested.some(s => s !== 'claimed' && !CLAIM_STATUSES.includes(s))) {
+      return { error: `claim_status 取值应为 ${CLAIM_STATUSES.join(', ')} 或 claimed 的逗号分隔列表` };
+    }
+    claimStatuses = [...new Set(requested.flatMap(s => (s === 'claimed' ? CLAIMED_STATUSES : [s])))];
+  }
+
+  const hasEmailParam = String(query.has_email || '').trim();
+  if (hasEmailParam && hasEmailParam !== 'true' && hasEmailParam !== 'false') {
+    return { error: 'has_email 取值应为 true 或 false' };
+  }
+
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: '日期格式应为 YYYY-MM-DD' };
+  }
+  if (from && to && from > to) {
+    return { error: '开始日期不能晚于结束日期' };
+  }
+
+  return {
+    filters: {
+      prizes,
+      claimStatuses,
+      hasEmail: hasEmailParam ? hasEmailParam === 'true' : null,
+      from,
+      to,
+    },
+  };
+}
+
+function formatClaim(record) {
+  return {
+    id: record.id,
+    prize: record.prize,
+    prize_name: PRIZE_NAMES[record.prize] || null,
+    wallet_address: record.wallet_address,
+    email: record.email,
+    lang: record.lang,
+    claim_status: currentClaimStatus(record),
+    claimed_at: record.claimed_at,
+    carrier: record.carrier,
+    tracking_number: record.tracking_number,
+    tx_hash: record.tx_hash,
+    block_number: record.block_number,
+    created_at: record.created_at,
+  };
+}
+
+// 导出时附加的收货信息列（include_shipping=true）
+const SHIPPING_CSV_COLUMNS = [
+  { header: 'shipping_name', value: c => c.shipping && (c.shipping.error || c.shipping.name) },
+  { header: 'shipping_phone', value: c => c.shipping && c.shipping.phone },
+  { header: 'shipping_address', value: c => c.shipping && c.shipping.address },
+  { header: 'shipping_source', value: c => c.shipping && c.shipping.source },
+  { header: 'shipping_updated_at', value: c => c.shipping && c.shipping.updated_at },
+];
+
+const CLAIM_CSV_COLUMNS = [
+  { header: 'record_id', value: c => c.id },
+  { header: 'prize', value: c => c.prize },
+  { header: 'prize_name', value: c => c.prize_name },
+  { header: 'wallet_address', value: c => c.wallet_address },
+  { header: 'email', value: c => c.email },
+  { header: 'lang', value: c => c.lang },
+  { header: 'claim_status', value: c => c.claim_status },
+  { header: 'claimed_at', value: c => c.claimed_at },
+  { header: 'carrier', value: c => c.carrier },
+  { header: 'tracking_number', value: c => c.tracking_number },
+  { header: 'tx_hash', value: c => c.tx_hash },
+  { header: 'created_at', value: c => c.created_at },
+];
+
+// 中奖记录列表：?prize=0,1,2|all&claim_status=<状态列表>|claimed&has_email=true|false&from&to&limit=50&offset=0
+// prize 默认为实物奖（一二三等奖）
+app.get('/api/admin/claims', requireAdminRole('viewer'), async (req, res) => {
+  const { filters, error } = parseClaimFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, code: 'INVALID_REQUEST' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { total, records } = await getRepository().listClaims(filters, { limit, offset });
+    res.json({ total, limit, offset, records: records.map(formatClaim) });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询中奖记录失败', '服务器查询失败');
+  }
+});
+
+// 导出中奖记录 CSV（筛选参数同列表接口），供履约人员用 Excel/WPS 打开
+app.get('/api/admin/claims/export', requireAdminRole('viewer'), async (req, res) => {
+  const { filters, error } = parseClaimFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error, code: 'INVALID_REQUEST' });
+  }
+  if (req.query.include_shipping === 'true' && !hasRole(req.admin.role, 'fulfilment')) {
+    return res.status(403).json({ error: '导出收货信息需要 fulfilment 或更高权限', code: 'FORBIDDEN' });
+  }
+
+  try {
+    const repo = getRepository();
+    const first = await repo.listClaims(filters, { limit: CLAIMS_EXPORT_PAGE_SIZE, offset: 0 });
+    if (first.total > CLAIMS_EXPORT_MAX_ROWS) {
+      return res.status(400).json({
+        error: `导出记录数 ${first.total} 超过上限 ${CLAIMS_EXPORT_MAX_ROWS}，请缩小日期范围`,
+        code: 'EXPORT_TOO_LARGE',
+      });
+    }
+    const records = [...first.records];
+    while (records.length < first.total) {
+      const page = await repo.listClaims(filters, { limit: CLAIMS_EXPORT_PAGE_SIZE, offset: records.length });
+      if (page.records.length === 0) break;
+      records.push(...page.records);
+    }
+
+    let columns = CLAIM_CSV_COLUMNS;
+    let rows = records.map(formatClaim);
+    if (req.query.include_shipping === 'true') {
+      const details = new Map();
+      for (let i = 0; i < rows.length; i += CLAIMS_EXPORT_PAGE_SIZE) {
+        const ids = rows.slice(i, i + CLAIMS_EXPORT_PAGE_SIZE).map(r => r.id);
+        for (const [id, detail] of await loadShippingDetails(repo, ids)) details.set(id, detail);
+      }
+      columns = [...CLAIM_CSV_COLUMNS, ...SHIPPING_CSV_COLUMNS];
+      rows = rows.map(r => ({ ...r, shipping: details.get(Number(r.id)) || null }));
+    }
+
+    await recordAudit(req, 'admin.claims_export', {
+      details: { query: req.query, rows: rows.length, include_shipping: req.query.include_shipping === 'true' },
+    });
+
+    const filename = `xwawa-claims-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(columns, rows));
+  } catch (err) {
+    sendInternalError(req, res, err, '导出中奖记录失败', '服务器导出失败');
+  }
+});
+
+// 查看中奖记录的收货信息（解密）
+app.get('/api/admin/claims/:id/shipping', requireAdminRole('fulfilment'), async (req, res) => {
+  const recordId = Number(req.params.id);
+  if (!Number.isInteger(recordId) || recordId < 1) {
+    return res.status(404).json({ error: '该记录尚未提交收货信息', code: 'SHIPPING_NOT_FOUND' });
+  }
+
+  try {
+    const detail = (await loadShippingDetails(getRepository(), [recordId])).get(recordId);
+    if (!detail) {
+      return res.status(404).json({ error: '该记录尚未提交收货信息', code: 'SHIPPING_NOT_FOUND' });
+    }
+    if (detail.error) {
+      return res.status(500).json({ error: detail.error, code: 'DECRYPTION_FAILED' });
+    }
+    await recordAudit(req, 'admin.shipping_view', { target: `lottery_record:${recordId}` });
+    res.json({
+      record_id: recordId,
+      name: detail.name,
+      phone: detail.phone,
+      address: detail.address,
+      source: detail.source || 'web',
+      updated_at: detail.updated_at,
+    });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询收货信息失败', '服务器查询失败');
+  }
+});
+
+const CLAIM_UPDATE_FIELD_LIMITS = { carrier: 64, tracking_number: 128, note: 500 };
+
+function formatClaimEvent(event) {
+  return {
+    id: event.id,
+    from_status: event.from_status,
+    to_status: event.to_status,
+    carrier: event.carrier,
+    tracking_number: event.tracking_number,
+    note: event.note,
+    actor: event.actor,
+    created_at: event.created_at,
+  };
+}
+
+// 变更实物奖品的领取状态：{ status, carrier, tracking_number, note }，发货时必须提供承运商与运单号
+// 流转规则见 server/fulfilment.js，变更成功后邮件通知中奖人
+app.post('/api/admin/claims/:id/status', requireAdminRole('fulfilment'), async (req, res) => {
+  const recordId = Number(req.params.id);
+  const body = req.body || {};
+  const status = String(body.status || '').trim();
+  const fields = {};
+  for (const [field, maxLength] of Object.entries(CLAIM_UPDATE_FIELD_LIMITS)) {
+    fields[field] = String(body[field] || '').trim() || null;
+    if (fields[field] && fields[field].length > maxLength) {
+      return res.status(400).json({ error: `${field} 长度不能超过 ${maxLength} 个字符`, code: 'INVALID_REQUEST' });
+    }
+  }
+  if (!CLAIM_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status 取值应为 ${CLAIM_STATUSES.join(', ')}`, code: 'INVALID_REQUEST' });
+  }
+  if (!Number.isInteger(recordId) || recordId < 1) {
+    return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+  }
+
+  try {
+    const repo = getRepository();
+    const record = await repo.findRecord(recordId);
+    if (!record) {
+      return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+    }
+    if (!MERCH_PRIZE_IDS.includes(record.prize)) {
+      return res.status(400).json({ error: '只有一二三等奖（实物奖品）有领取流程', code: 'INVALID_REQUEST' });
+    }
+
+    const details = { carrier: fields.carrier, trackingNumber: fields.tracking_number, note: fields.note };
+    try {
+      await transitionClaim(record, status, { ...details, actor: `admin:${req.admin.address}` });
+    } catch (err) {
+      return sendClaimError(res, err);
+    }
+
+    await recordAudit(req, 'admin.claim_status', {
+      target: `lottery_record:${recordId}`,
+      before: { claim_status: currentClaimStatus(record), carrier: record.carrier, tracking_number: record.tracking_number },
+      after: {
+        claim_status: status,
+        carrier: fields.carrier || record.carrier,
+        tracking_number: fields.tracking_number || record.tracking_number,
+      },
+      details: fields.note ? { note: fields.note } : null,
+    });
+
+    let emailId = null;
+    try {
+      emailId = await notifyClaimStatus(record, status, details);
+    } catch (err) {
+      req.log.error('领取状态通知邮件入队失败', { record_id: recordId, err });
+    }
+
+    const events = await repo.listClaimEvents(recordId);
+    res.json({
+      ok: true,
+      record: formatClaim(await repo.findRecord(recordId)),
+      event: formatClaimEvent(events[events.length - 1]),
+      email_id: emailId,
+    });
+  } catch (err) {
+    sendInternalError(req, res, err, '变更领取状态失败', '服务器处理失败');
+  }
+});
+
+// 中奖记录的领取状态时间线（含操作方）
+app.get('/api/admin/claims/:id/events', requireAdminRole('viewer'), async (req, res) => {
+  const recordId = Number(req.params.id);
+  try {
+    const repo = getRepository();
+    const record = Number.isInteger(recordId) && recordId > 0 ? await repo.findRecord(recordId) : null;
+    if (!record) {
+      return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+    }
+    const events = await repo.listClaimEvents(recordId);
+    res.json({ record: formatClaim(record), events: events.map(formatClaimEvent) });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询领取时间线失败', '服务器查询失败');
+  }
+});
+
+// ---- 管理接口：收件箱回复 ----
+
+function formatInboxReply(reply) {
+  return {
+    id: reply.id,
+    from_address: reply.from_address,
+    subject: reply.subject,
+    received_at: reply.received_at,
+    record_id: reply.record_id,
+    match_method: reply.match_method,
+    status: reply.status,
+    review_reason: reply.review_reason,
+    created_at: reply.created_at,
+    updated_at: reply.updated_at,
+  };
+}
+
+// 读取待处理的回复，不存在或已处理时返回错误响应
+async function findReplyForReview(repo, req, res) {
+  const replyId = Number(req.params.id);
+  const reply = Number.isInteger(replyId) && replyId > 0 ? await repo.findInboxReply(replyId) : null;
+  if (!reply) {
+    res.status(404).json({ error: '回复邮件不存在', code: 'REPLY_NOT_FOUND' });
+    return null;
+  }
+  if (reply.status !== 'needs_review') {
+    res.status(409).json({ error: '该回复已处理', code: 'REPLY_ALREADY_RESOLVED' });
+    return null;
+  }
+  return reply;
+}
+
+// 收件箱回复列表（默认仅待人工处理）：?status=needs_review|linked|ignored|dismissed|all&limit=50&offset=0
+app.get('/api/admin/inbox', requireAdminRole('viewer'), async (req, res) => {
+  const status = (req.query.status || 'needs_review').trim();
+  if (status !== 'all' && !REPLY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status 取值应为 ${REPLY_STATUSES.join(', ')} 或 all`, code: 'INVALID_REQUEST' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { total, replies } = await getRepository().listInboxReplies({
+      status: status === 'all' ? null : status,
+      limit,
+      offset,
+    });
+    res.json({ status, total, limit, offset, replies: replies.map(formatInboxReply) });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询收件箱回复失败', '服务器查询失败');
+  }
+});
+
+// 查看回复详情（解密正文与解析出的地址）
+app.get('/api/admin/inbox/:id', requireAdminRole('fulfilment'), async (req, res) => {
+  const replyId = Number(req.params.id);
+  try {
+    const reply = Number.isInteger(replyId) && replyId > 0 ? await getRepository().findInboxReply(replyId) : null;
+    if (!reply) {
+      return res.status(404).json({ error: '回复邮件不存在', code: 'REPLY_NOT_FOUND' });
+    }
+    let content;
+    try {
+      content = decryptInboxReply(reply);
+    } catch (err) {
+      req.log.error('解密回复邮件失败', { reply_id: replyId, err });
+      return res.status(500).json({ error: '回复内容解密失败', code: 'DECRYPTION_FAILED' });
+    }
+    await recordAudit(req, 'admin.inbox_view', { target: `inbox_reply:${reply.id}` });
+    res.json({ ...formatInboxReply(reply), text: content.text, parsed_address: content.address });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询收件箱回复失败', '服务器查询失败');
+  }
+});
+
+// 人工关联：将回复中的地址（可由管理员修正后提交 address）保存到指定中奖记录
+app.post('/api/admin/inbox/:id/link', requireAdminRole('fulfilment'), async (req, res) => {
+  const { record_id } = req.body || {};
+  const address = String((req.body || {}).address || '').trim();
+  if (!record_id) {
+    return res.status(400).json({ error: '缺少必需参数: record_id', code: 'INVALID_REQUEST' });
+  }
+  if (address.length > SHIPPING_FIELD_LIMITS.address) {
+    return res.status(400).json({ error: `address 长度不能超过 ${SHIPPING_FIELD_LIMITS.address} 个字符`, code: 'INVALID_REQUEST' });
+  }
+  if (!isEncryptionConfigured()) {
+    return res.status(503).json({ error: '服务端未配置 ENCRYPTION_KEY，暂无法保存收货信息', code: 'ENCRYPTION_NOT_CONFIGURED' });
+  }
+
+  try {
+    const repo = getRepository();
+    const reply = await findReplyForReview(repo, req, res);
+    if (!reply) return;
+    const record = await repo.findRecord(Number(record_id));
+    if (!record) {
+      return res.status(404).json({ error: '未找到对应的中奖记录', code: 'RECORD_NOT_FOUND' });
+    }
+    if (!MERCH_PRIZE_IDS.includes(record.prize)) {
+      return res.status(400).json({ error: '只有一二三等奖需要填写收货信息', code: 'INVALID_REQUEST' });
+    }
+
+    const shippingAddress = address || decryptInboxReply(reply).address;
+    if (!shippingAddress || shippingAddress.length > SHIPPING_FIELD_LIMITS.address) {
+      return res.status(400).json({ error: '请提交整理后的收货地址（address）', code: 'INVALID_REQUEST' });
+    }
+    if (!(await repo.resolveInboxReply(reply.id, { status: 'linked', recordId: record.id, matchMethod: 'manual' }))) {
+      return res.status(409).json({ error: '该回复已处理', code: 'REPLY_ALREADY_RESOLVED' });
+    }
+    await saveShippingDetails(repo, record.id, { address: shippingAddress, source: 'email_reply' }, { merge: true });
+    req.log.info('回复邮件已人工关联到中奖记录', { reply_id: reply.id, record_id: record.id });
+    await recordAudit(req, 'admin.inbox_link', {
+      target: `inbox_reply:${reply.id}`,
+      before: { status: reply.status, record_id: reply.record_id },
+      after: { status: 'linked', record_id: record.id },
+      details: { address_edited: Boolean(address) },
+    });
+    res.json({ ok: true, reply: formatInboxReply(await repo.findInboxReply(reply.id)) });
+  } catch (err) {
+    sendInternalError(req, res, err, '关联回复邮件失败', '服务器处理失败');
+  }
+});
+
+// 人工忽略无需处理的回复
+app.post('/api/admin/inbox/:id/dismiss', requireAdminRole('fulfilment'), async (req, res) => {
+  try {
+    const repo = getRepository();
+    const reply = await findReplyForReview(repo, req, res);
+    if (!reply) return;
+    if (!(await repo.resolveInboxReply(reply.id, { status: 'dismissed' }))) {
+      return res.status(409).json({ error: '该回复已处理', code: 'REPLY_ALREADY_RESOLVED' });
+    }
+    await recordAudit(req, 'admin.inbox_dismiss', {
+      target: `inbox_reply:${reply.id}`,
+      before: { status: reply.status },
+      after: { status: 'dismissed' },
+    });
+    res.json({ ok: true, reply: formatInboxReply(await repo.findInboxReply(reply.id)) });
+  } catch (err) {
+    sendInternalError(req, res, err, '忽略回复邮件失败', '服务器处理失败');
+  }
+});
+
+// ---- 管理接口：审计日志 ----
+
+// 审计日志查询（按ID倒序）：?action=&actor=&wallet=&target=&request_id=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=50&offset=0
+app.get('/api/admin/audit', requireAdminRole('superadmin'), async (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD', code: 'INVALID_REQUEST' });
+  }
+  const wallet = String(req.query.wallet || '').trim().toLowerCase();
+  if (wallet && !/^0x[a-f0-9]{40}$/.test(wallet)) {
+    return res.status(400).json({ error: '钱包地址格式不正确', code: 'INVALID_REQUEST' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const filters = {
+    action: String(req.query.action || '').trim() || null,
+    actor: String(req.query.actor || '').trim().toLowerCase() || null,
+    walletAddress: wallet || null,
+    target: String(req.query.target || '').trim() || null,
+    requestId: String(req.query.request_id || '').trim() || null,
+    from,
+    to,
+  };
+
+  try {
+    const { total, entries } = await getRepository().listAuditLog(filters, { limit, offset });
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    sendInternalError(req, res, err, '查询审计日志失败', '服务器查询失败');
+  }
+});
+
+// 静态站点（SERVE_SITE=true）：页面与 API 同源，详见 server/site.js
+if (config.site.enabled) {
+  app.use(createSiteRouter());
+}
+
+// 未被路由处理的错误（请求体 JSON 格式错误、CORS 拒绝等）：返回 JSON 错误与请求ID
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: '请求体不是有效的 JSON', code: 'INVALID_REQUEST', request_id: req.id });
+  }
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, code: 'INVALID_REQUEST', request_id: req.id });
+  }
+  sendInternalError(req, res, err, '未处理的请求错误');
+});
+
+// 启动前初始化存储层（MySQL 后端执行数据库迁移）；失败时终止启动，避免在不完整的表结构上运行
+async function start() {
+  const repo = getRepository();
+  const executed = await repo.init();
+  if (repo.backend === 'mysql') {
+    logger.info(executed.length ? '已执行数据库迁移' : '数据库已是最新版本', { migrations: executed });
+  } else {
+    logger.warn('无数据库模式：使用 JSON 文件存储（仅限本地开发与测试）');
+  }
+  startOutboxWorker();
+  startInboxPoller();
+  app.listen(config.port, () => {
+    logger.info('Xwawa Lottery API 已启动', { port: config.port, env: config.env });
   });
+}
+
+start().catch((err) => {
+  logger.error('服务启动失败', { err });
+  process.exit(1);
 });
\ No newline at end of file
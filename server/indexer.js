@@ -0,0 +1,149 @@
+const { getRpcProvider, getLotteryInterface, getLotteryAddress, decodeDrawLogs, attachBlockTimes } = require('./chain');
+const { getRepository } = require('./repository');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Draw 事件索引器（独立进程：node server/indexer.js）
+// 从 INDEXER_START_BLOCK 起按批次拉取 Lottery 合约的 Draw 事件并写入 lottery_records，
+// 游标持久化在 indexer_cursors 表；确认深度内的区块每轮复核哈希，发生重组时回滚对应记录并重新索引。
+// 与 POST /api/lottery/draw 共用唯一键 (tx_hash, log_index, result_index)，两条写入路径互不重复。
+
+const CURSOR_NAME = 'lottery_draw';
+
+// confirmations 为重组复核深度，batchSize 为单次 eth_getLogs 区块跨度
+const settings = config.indexer;
+
+let stopped = false;
+
+async function loadCursor(repo) {
+  const cursor = await repo.getIndexerCursor(CURSOR_NAME);
+  return cursor || { blockNumber: settings.startBlock - 1, blockHash: null };
+}
+
+async function saveCursor(repo, blockNumber, blockHash) {
+  await repo.saveIndexerCursor(CURSOR_NAME, blockNumber, blockHash);
+}
+
+async function getBlockHash(provider, blockNumber) {
+  if (blockNumber < 0) return null;
+  const block = await provider.getBlock(blockNumber);
+  return block ? block.hash : null;
+}
+
+/**
+ * 复核确认深度内的记录：区块哈希与当前链不一致的记录视为被重组，删除之
+ * @returns {number|null} 被重组的最低区块号，无重组时为 null
+ */
+async function rollbackOrphanedRecords(repo, provider, head) {
+  const fromBlock = Math.max(settings.startBlock, head - settings.confirmations);
+  const blocks = await repo.listRecordBlocksSince(fromBlock);
+
+  let lowestOrphan = null;
+  for (const { blockNumber, blockHash } of blocks) {
+    const canonicalHash = await getBlockHash(provider, blockNumber);
+    if (canonicalHash === blockHash) continue;
+
+    const deleted = await repo.deleteRecordsInBlock(blockNumber, blockHash);
+    logger.warn('检测到区块重组，已回滚抽奖记录', { block: blockNumber, deleted });
+    if (lowestOrphan === null || blockNumber < lowestOrphan) lowestOrphan = blockNumber;
+  }
+  return lowestOrphan;
+}
+
+/**
+ * 执行一轮索引
+ * @returns {boolean} 是否已追上链头（调用方据此决定是否等待）
+ */
+async function runIndexerOnce() {
+  const repo = getRepository();
+  const provider = getRpcProvider();
+  const lotteryAddress = getLotteryAddress();
+  const drawTopic = getLotteryInterface().getEvent('Draw').topicHash;
+
+  const head = await provider.getBlockNumber();
+  let cursor = await loadCursor(repo);
+
+  // 1. 回滚确认深度内被重组的记录；游标若越过重组点则回退
+  const lowestOrphan = await rollbackOrphanedRecords(repo, provider, head);
+  if (lowestOrphan !== null && cursor.blockNumber >= lowestOrphan) {
+    const rewindTo = lowestOrphan - 1;
+    cursor = { blockNumber: rewindTo, blockHash: await getBlockHash(provider, rewindTo) };
+    await saveCursor(repo, cursor.blockNumber, cursor.blockHash);
+  }
+
+  // 2. 游标所在区块本身被重组（该区块可能没有抽奖记录）时，回退一个确认深度
+  if (cursor.blockHash) {
+    const canonicalHash = await getBlockHash(provider, cursor.blockNumber);
+    if (canonicalHash !== cursor.blockHash) {
+      const rewindTo = Math.max(settings.startBlock - 1, cursor.blockNumber - settings.confirmations);
+      logger.warn('游标区块已被重组，回退游标', { block: cursor.blockNumber, rewind_to: rewindTo });
+      cursor = { blockNumber: rewindTo, blockHash: await getBlockHash(provider, rewindTo) };
+      await saveCursor(repo, cursor.blockNumber, cursor.blockHash);
+      await rollbackOrphanedRecords(repo, provider, head);
+    }
+  }
+
+  // 3. 向前索引一批区块
+  const fromBlock = cursor.blockNumber + 1;
+  if (fromBlock > head) return true;
+  const toBlock = Math.min(head, fromBlock + settings.batchSize - 1);
+
+  const logs = await provider.getLogs({
+    address: lotteryAddress,
+    topics: [drawTopic],
+    fromBlock,
+    toBlock,
+  });
+  const draws = decodeDrawLogs(logs);
+  if (draws.length > 0) {
+    await attachBlockTimes(draws);
+    await repo.insertDrawResults(draws);
+  }
+  await saveCursor(repo, toBlock, await getBlockHash(provider, toBlock));
+  logger.info('已索引区块', { from_block: fromBlock, to_block: toBlock, head, draws: draws.length });
+
+  return toBlock >= head;
+}
+
+async function startIndexer() {
+  const repo = getRepository();
+  // JSON 文件存储仅支持单进程访问，索引器与 API 服务需共享 MySQL
+  if (repo.backend !== 'mysql') {
+    throw new Error('索引器需要数据库：请配置 DB_HOST、DB_PORT、DB_USER、DB_PASSWORD、DB_NAME');
+  }
+  if (!getRpcProvider() || !getLotteryAddress()) {
+    throw new Error('索引器需要链上配置：请配置 RPC_URL 与 CONTRACT_ADDRESS');
+  }
+
+  await repo.init();
+  logger.info('Draw 事件索引器已启动', { contract: getLotteryAddress(), ...settings });
+
+  while (!stopped) {
+    let caughtUp = true;
+    try {
+      caughtUp = await runIndexerOnce();
+    } catch (err) {
+      logger.error('索引失败，稍后重试', { err });
+    }
+    if (caughtUp && !stopped) {
+      await new Promise(resolve => setTimeout(resolve, settings.pollIntervalMs));
+    }
+  }
+}
+
+function stopIndexer() {
+  stopped = true;
+}
+
+if (require.main === module) {
+  startIndexer().catch(err => {
+    logger.error('索引器启动失败', { err });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startIndexer,
+  stopIndexer,
+  runIndexerOnce,
+};
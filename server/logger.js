@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// 结构化日志：每行一个 JSON 对象（time、level、msg 与附加字段），debug/info 写 stdout，warn/error 写 stderr
+// - 日志级别 LOG_LEVEL：debug | info | warn | error，默认 info
+// - 脱敏：密码、令牌、签名、密钥、密文等字段整体替换为 [REDACTED]；字段值与消息文本中的邮箱只保留首字符与域名
+// - Error 对象输出 message、code 与 stack
+// - Express 请求：assignRequestId 分配请求ID，requestLogger 提供带请求ID的 req.log 并在请求结束时记录一行访问日志
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_KEY_RE = /(^|_)(pass|password|secret|token|authorization|cookie|signature|private_?key|encryption_?key|encrypted|raw_message)$/i;
+const EMAIL_RE = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,64}$/;
+const MAX_DEPTH = 6;
+
+function maskEmails(text) {
+  return text.replace(EMAIL_RE, '$1***@$2');
+}
+
+function serializeError(err) {
+  return {
+    message: maskEmails(String(err.shortMessage || err.message || err)),
+    code: err.code,
+    stack: err.stack ? maskEmails(err.stack) : undefined,
+  };
+}
+
+/**
+ * 脱敏并转换为可 JSON 序列化的值（BigInt 转字符串、Buffer 只输出长度）
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return maskEmails(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const result = {};
+  for (const [key, v] of Object.entries(value)) {
+    result[key] = SECRET_KEY_RE.test(key) ? '[REDACTED]' : redact(v, depth + 1);
+  }
+  return result;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[config.logLevel]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: maskEmails(String(msg)),
+    ...redact(bindings),
+    ...redact(fields || {}),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * 创建日志记录器
+ * @param {object} bindings - 每行都附带的字段，如 { request_id }
+ * @returns {{debug: function, info: function, warn: function, error: function, child: function}}
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+const logger = createLogger();
+
+// Express 中间件：为每个请求分配请求ID（沿用反向代理传入的合法 X-Request-Id），并在响应头 X-Request-Id 返回
+function assignRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Express 中间件：挂载带请求ID的 req.log，请求结束时记录方法、路由、状态码与耗时（不含查询参数）
+function requestLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  req.log = logger.child({ request_id: req.id });
+  res.on('finish', () => {
+    req.log[res.statusCode >= 500 ? 'error' : 'info']('HTTP 请求', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: req.route ? req.route.path : null,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+    });
+  });
+  next();
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  assignRequestId,
+  requestLogger,
+};
@@ -1,22 +1,19 @@
+const fs = require('fs');
 const nodemailer = require('nodemailer');
 const path = require('path');
+const Mustache = require('mustache');
 const MailComposer = require('nodemailer/lib/mail-composer');
+const { config } = require('./config');
 let ImapFlow; // 延迟加载以避免缺依赖时报错
 
-// Create a reusable transporter using SMTP settings from environment variables
+// Create a reusable transporter using SMTP settings from server/config.js
 function createTransporter() {
-  const host = process.env.SMTP_HOST;
-  const port = parseInt(process.env.SMTP_PORT || '587', 10);
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-  const authMethod = process.env.SMTP_AUTH_METHOD; // e.g., 'LOGIN' or 'PLAIN'
+  const { configured, host, port, secure, user, pass, authMethod } = config.smtp;
 
-  if (!host || !user || !pass) {
-    throw new Error('SMTP configuration missing: ensure SMTP_HOST, SMTP_USER, SMTP_PASS are set');
+  if (!configured) {
+    throw new Error('SMTP 未配置：请设置 SMTP_HOST、SMTP_USER、SMTP_PASS');
   }
 
-  const secure = port === 465;
-
   const transportOptions = {
     host,
     port,
@@ -35,191 +32,192 @@ function createTransporter() {
   }
 
   if (authMethod) {
-    transportOptions.authMethod = authMethod; // provider-specific override
+    transportOptions.authMethod = authMethod; // provider-specific override, e.g. 'LOGIN' or 'PLAIN'
   }
 
   return nodemailer.createTransport(transportOptions);
 }
 
-// Build base HTML email template
-// NOTE: Keep structure simple for compatibility across clients.
-// You can modify styles and copy as needed later.
-function buildEmailHTML({ walletAddress, txHash, prizeName }) {
-  const safeWallet = walletAddress || 'N/A';
-  const safeTx = txHash || 'N/A';
-  const safePrize = prizeName || 'Prize';
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>Xwawa Marketing — Prize Confirmation</title>
-  <style>
-    body { font-family: "Segoe UI", Arial, sans-serif; color: #333; background-color: #f9f9f9; margin: 0; padding: 0; }
-    .container { max-width: 640px; margin: 0 auto; background: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.08); }
-    .header { background-color: #f4f6f8; text-align: center; padding: 0; }
-    .header img { width: 100%; display: block; height: auto; object-fit: cover; }
-    .content { padding: 24px; }
-    .title { font-size: 22px; font-weight: 600; color: #1a237e; margin-bottom: 16px; text-align: center; }
-    .card { border: 1px solid #e5e5e5; border-radius: 6px; padding: 20px; margin-bottom: 20px; background: #fafafa; }
-    .label { font-weight: bold; margin-top: 12px; color: #111; }
-    .footer { font-size: 12px; color: #555; background: #f4f6f8; padding: 16px 24px; border-top: 1px solid #e0e0e0; }
-    .footer p { margin: 6px 0; }
-    a { color: #1a73e8; text-decoration: none; }
-    a:hover { text-decoration: underline; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <!-- Header Logo -->
-    <div class="header">
-      <img src="cid:headerLogo" alt="Xwawa Logo" />
-    </div>
-    <div class="content">
-      <div class="title">Xwawa Lottery — Prize Confirmation</div>
-      <div class="card">
-        <p>Dear Participant,</p>
-        <p>Thank you for providing your email address. We have successfully recorded your prize details as follows:</p>
-        
-        <p class="label">Prize:</p>
-        <p>${safePrize}</p>
-        
-        <p class="label">Wallet Address:</p>
-        <p>${safeWallet}</p>
-        
-        <p class="label">Transaction Hash:</p>
-        <p>
-          ${safeTx !== 'N/A' ? `<a href="https://okx.com/okbc/explorer/tx/${safeTx}" target="_blank" rel="noopener noreferrer">${safeTx}</a>` : 'N/A'}
-        </p>
-
-        <p>
-          To proceed with prize delivery, please reply to this email with your full shipping address in the following format, or send it to
-          <a href="mailto:market@xwawa.meme">market@xwawa.meme</a>:
-        </p>
-        <p class="label">Required format:</p>
-        <p>
-          Country, State/Province/City, Street Address (house/building, floor, unit), Postal Code
-        </p>
-      </div>
-
-      <p>Best regards,</p>
-      <p><strong>Xwawa Marketing Department</strong></p>
-    </div>
-    
-    <!-- Footer -->
-    <div class="footer">
-      <p><strong>Contact Information</strong></p>
-      <p>Marketing Department: <a href="mailto:market@xwawa.meme">market@xwawa.meme</a></p>
-      <p>Customer Support: <a href="mailto:support@email.xwawa.meme">support@email.xwawa.meme</a></p>
-      <p>Consultation & Feedback: <a href="mailto:help@email.xwawa.meme">help@email.xwawa.meme</a></p>
-      <p>Development & Technical Department: <a href="mailto:dev@email.xwawa.meme">dev@email.xwawa.meme</a></p>
-    </div>
-  </div>
-</body>
-</html>`;
+// 邮件模板目录：templates/<type>/<lang>.html 为正文片段，templates/<type>/meta.json 为各语言的主题与标题，
+// templates/layout/<lang>.html 为公共页头页脚。模板使用 Mustache 语法，{{var}} 会做 HTML 转义。
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_NAME_RE = /^[a-z][a-z_]*$/;
+const LANGS = ['en', 'zh'];
+const DEFAULT_LANG = 'en';
+const FROM_NAMES = { en: 'Xwawa Marketing', zh: 'Xwawa 市场部' };
+const EXPLORER_TX_URL = 'https://okx.com/okbc/explorer/tx/';
+// 中奖记录邮件正文中的参考编号，中奖人回复时随引用原文带回，供收件箱读取任务关联记录（server/inbox.js）
+const REPLY_REFERENCE_PREFIX = 'XWAWA-LR-';
+const REPLY_REFERENCE_RE = /XWAWA-LR-(\d+)/i;
+
+// 奖项名称（奖项ID: 0=一等奖, 1=二等奖, 2=三等奖）
+const PRIZE_LABELS = {
+  en: { 0: 'First Prize', 1: 'Second Prize', 2: 'Third Prize' },
+  zh: { 0: '一等奖', 1: '二等奖', 2: '三等奖' },
+};
+
+const templateCache = new Map();
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const RENDER_HTML = { escape: value => String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]) };
+const RENDER_TEXT = { escape: value => String(value) };
+
+// 客户端语言（如 zh-CN、en-US）归一为模板语言，未知时使用英文
+function normalizeLang(lang) {
+  const value = String(lang || '').toLowerCase();
+  return LANGS.find(l => value === l || value.startsWith(`${l}-`)) || DEFAULT_LANG;
 }
 
+// 读取并缓存模板文件，文件不存在时返回 null
+function readTemplateFile(...segments) {
+  const file = path.join(TEMPLATES_DIR, ...segments);
+  if (!templateCache.has(file)) {
+    templateCache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return templateCache.get(file);
+}
 
-async function sendPrizeEmail({ to, walletAddress, txHash, prizeName }) {
-  const transporter = createTransporter();
-  const html = buildEmailHTML({ walletAddress, txHash, prizeName });
+function hasTemplate(template) {
+  return TEMPLATE_NAME_RE.test(template || '') && template !== 'layout' && readTemplateFile(template, 'meta.json') !== null;
+}
 
-  const fromName = 'Xwawa Marketing';
-  const fromAddress = process.env.SMTP_USER;
-  const subject = 'Your Xwawa Lottery Prize Confirmation';
+// 模板变量：在 payload 基础上补充按语言本地化的奖项名称与区块浏览器链接
+function buildView(lang, payload) {
+  const prizeName = PRIZE_LABELS[lang][payload.prize] || payload.prizeName || (lang === 'zh' ? '奖品' : 'Prize');
+  return {
+    ...payload,
+    walletAddress: payload.walletAddress || 'N/A',
+    prizeName,
+    txUrl: payload.txHash ? `${EXPLORER_TX_URL}${encodeURIComponent(payload.txHash)}` : null,
+    replyReference: payload.recordId ? `${REPLY_REFERENCE_PREFIX}${payload.recordId}` : null,
+  };
+}
 
-  // 判断是否配置了 IMAP，用于保存到“已发送”
-  const imapConfig = getImapConfig();
-  const hasImap = !!imapConfig;
-
-  // 如果未配置 IMAP，则在首次发送时给自己隐抄一份
-  const bccSelf = hasImap ? undefined : fromAddress;
-
-  // 先构建原始邮件（用于 IMAP 追加）
-  const attachments = [
-    {
-      filename: 'Email.png',
-      path: path.resolve(__dirname, '..', 'images', 'Email.png'),
-      cid: 'headerLogo',
-    },
-  ];
-
-  const composer = new MailComposer({
-    from: `${fromName} <${fromAddress}>`,
+// 从文本中解析参考编号对应的中奖记录ID，未找到时返回 null
+function parseReplyReference(text) {
+  const match = REPLY_REFERENCE_RE.exec(String(text || ''));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 按模板与语言渲染邮件
+ * @returns {{subject: string, html: string}}
+ */
+function renderEmail(template, lang, payload) {
+  if (!hasTemplate(template)) {
+    throw new Error(`未知的邮件模板: ${template}`);
+  }
+  const language = normalizeLang(lang);
+  const meta = JSON.parse(readTemplateFile(template, 'meta.json'));
+  const body = readTemplateFile(template, `${language}.html`);
+  if (body === null || !meta.subject || !meta.subject[language]) {
+    throw new Error(`邮件模板 ${template} 缺少 ${language} 语言版本`);
+  }
+
+  const view = buildView(language, payload || {});
+  // 主题为纯文本，不做 HTML 转义
+  const subject = Mustache.render(meta.subject[language], view, {}, RENDER_TEXT);
+  const title = Mustache.render((meta.title && meta.title[language]) || meta.subject[language], view, {}, RENDER_HTML);
+  const html = Mustache.render(readTemplateFile('layout', `${language}.html`), {
+    title,
+    body: Mustache.render(body, view, {}, RENDER_HTML),
+    replyReference: view.replyReference,
+  }, {}, RENDER_HTML);
+  return { subject, html };
+}
+
+// 按模板构造邮件内容（nodemailer message 对象）
+function composeEmail(template, lang, to, payload) {
+  const { subject, html } = renderEmail(template, lang, payload);
+  return {
+    from: `${FROM_NAMES[normalizeLang(lang)]} <${config.smtp.user}>`,
     to,
     subject,
     html,
-    attachments,
-  });
-  const raw = await composer.compile().build();
+    attachments: [
+      {
+        filename: 'Email.png',
+        path: path.resolve(__dirname, '..', 'images', 'Email.png'),
+        cid: 'headerLogo',
+      },
+    ],
+  };
+}
+
+/**
+ * 通过 SMTP 发送邮件
+ * 配置了 IMAP 时返回编译后的原始邮件（供随后追加到“已发送”）；
+ * 未配置 IMAP 时给自己隐抄一份作为留底，返回的 raw 为 null
+ */
+async function sendEmail(message) {
+  const transporter = createTransporter();
+  const hasImap = !!getImapConfig();
+
+  // 先构建原始邮件（用于 IMAP 追加），与实际发送的内容一致（不含密送）
+  const raw = hasImap ? (await new MailComposer(message).compile().build()).toString('utf8') : null;
 
-  // 发送邮件
   const info = await transporter.sendMail({
-    from: `${fromName} <${fromAddress}>`,
-    to,
-    subject,
-    html,
-    attachments,
-    bcc: bccSelf,
+    ...message,
+    bcc: hasImap ? undefined : config.smtp.user,
   });
+  return { info, raw };
+}
 
-  // 若配置了 IMAP，尽力将原始邮件追加到“已发送”
-  if (hasImap && raw) {
-    try {
-      await appendToSentRaw({ raw, imapConfig });
-      console.log('邮件已追加到 IMAP 的“已发送”文件夹');
-    } catch (e) {
-      console.warn('追加到“已发送”失败，改为自抄送：', e && e.message ? e.message : e);
-      try {
-        await transporter.sendMail({
-          from: `${fromName} <${fromAddress}>`,
-          to: fromAddress, // 自抄送到自己的收件箱
-          subject: `[Copy] ${subject}`,
-          html,
-        });
-      } catch (fallbackErr) {
-        console.warn('自抄送备份亦失败：', fallbackErr && fallbackErr.message ? fallbackErr.message : fallbackErr);
-      }
-    }
+function isSmtpConfigured() {
+  return config.smtp.configured;
+}
+
+// 连接 SMTP 服务器并验证登录（就绪检查与开发排查接口使用）
+async function verifySmtp() {
+  const transporter = createTransporter();
+  try {
+    await transporter.verify();
+  } finally {
+    transporter.close();
   }
+}
 
-  return info;
+// 将原始邮件追加到 IMAP 的“已发送”文件夹；未配置 IMAP 时抛出
+async function appendToSent(raw) {
+  const imapConfig = getImapConfig();
+  if (!imapConfig) {
+    throw new Error('IMAP 未配置，无法追加到“已发送”');
+  }
+  await appendToSentRaw({ raw, imapConfig });
 }
 
 function getImapConfig() {
-  // 若未提供 IMAP 主机或认证信息，则认为未配置
-  const host = process.env.IMAP_HOST; // 例如 imap.secureserver.net
-  const port = parseInt(process.env.IMAP_PORT || '993', 10);
-  const user = process.env.IMAP_USER || process.env.SMTP_USER;
-  const pass = process.env.IMAP_PASS || process.env.SMTP_PASS;
-  const secure = String(process.env.IMAP_SECURE || 'true').toLowerCase() !== 'false';
-  const sentFolder = process.env.IMAP_SENT_FOLDER || 'Sent'; // 有些服务是 "Sent Items"
+  // 若未提供 IMAP 主机或认证信息，则认为未配置；用户名与密码缺省沿用 SMTP 账号
+  const { host, port, user, pass, secure, sentFolder, inboxFolder } = config.imap;
 
   if (!host || !user || !pass) {
     return null;
   }
 
-  return { host, port, secure, auth: { user, pass }, sentFolder };
+  return { host, port, secure, auth: { user, pass }, sentFolder, inboxFolder };
 }
 
-async function appendToSentRaw({ raw, imapConfig }) {
+// 创建（未连接的）IMAP 客户端
+function createImapClient(imapConfig) {
   if (!ImapFlow) {
     try {
       ImapFlow = require('imapflow').ImapFlow;
     } catch (e) {
-      throw new Error('未安装 imapflow 依赖，无法追加到“已发送”');
+      throw new Error('未安装 imapflow 依赖，无法访问 IMAP');
     }
   }
 
-  const client = new ImapFlow({
+  return new ImapFlow({
     host: imapConfig.host,
     port: imapConfig.port,
     secure: imapConfig.secure,
     auth: imapConfig.auth,
     logger: false,
   });
+}
 
+async function appendToSentRaw({ raw, imapConfig }) {
+  const client = createImapClient(imapConfig);
   await client.connect();
   try {
     const mailbox = imapConfig.sentFolder;
@@ -230,5 +228,16 @@ async function appendToSentRaw({ raw, imapConfig }) {
 }
 
 module.exports = {
-  sendPrizeEmail,
-};
\ No newline at end of file
+  normalizeLang,
+  hasTemplate,
+  renderEmail,
+  composeEmail,
+  createTransporter,
+  sendEmail,
+  isSmtpConfigured,
+  verifySmtp,
+  appendToSent,
+  getImapConfig,
+  createImapClient,
+  parseReplyReference,
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+const { isDbConfigured, getPoolStats, getHealthCheckResult } = require('./db');
+const { getRpcProvider } = require('./chain');
+const { getRepository } = require('./repository');
+const { createTtlCache } = require('./cache');
+const { withTimeout } = require('./readiness');
+const { readBearerToken } = require('./auth');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// Prometheus 指标（GET /metrics）：HTTP 请求数与耗时、数据库连接池与健康检查、邮件发送结果、链上索引延迟
+// - 路由标签取 Express 路由模板（如 /api/orders/:id），未匹配路由统一为 unmatched，避免标签数量失控
+// - 索引延迟 = 链头区块 - 游标区块，按抓取时读取，链头缓存 INDEXER_HEAD_CACHE_MS 毫秒
+// - 设置 METRICS_TOKEN 后抓取需携带 Authorization: Bearer <METRICS_TOKEN>
+
+const PREFIX = 'xwawa_';
+// 需要上报延迟的区块游标：Draw 事件索引器与商城支付核验
+const INDEXER_CURSORS = ['lottery_draw', 'payment_transfer'];
+
+const settings = config.metrics;
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP 请求数',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP 请求耗时（秒）',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const emailsSent = new client.Counter({
+  name: `${PREFIX}emails_sent_total`,
+  help: '发件箱任务成功数（send 为发信，imap_append 为追加到“已发送”）',
+  labelNames: ['kind'],
+  registers: [registry],
+});
+
+const emailsFailed = new client.Counter({
+  name: `${PREFIX}emails_failed_total`,
+  help: '发件箱任务失败次数（final="true" 为用尽重试次数）',
+  labelNames: ['kind', 'final'],
+  registers: [registry],
+});
+
+// 数据库指标只在配置了数据库时注册（无数据库模式下没有连接池）；健康检查每 15 分钟一次，首次检查前各项为 0
+if (isDbConfigured()) {
+  new client.Gauge({
+    name: `${PREFIX}db_pool_connections`,
+    help: '数据库连接池连接数（state: in_use | idle）',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const stats = getPoolStats();
+      if (!stats) return;
+      this.set({ state: 'in_use' }, stats.inUse);
+      this.set({ state: 'idle' }, stats.idle);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_pool_connection_limit`,
+    help: '数据库连接池最大连接数',
+    registers: [registry],
+    collect() {
+      const stats = getPoolStats();
+      if (stats) this.set(stats.limit);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_pool_queued_requests`,
+    help: '等待数据库连接的请求数',
+    registers: [registry],
+    collect() {
+      const stats = getPoolStats();
+      if (stats) this.set(stats.queued);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_health_check_up`,
+    help: '最近一次数据库健康检查结果（1 正常，0 失败）',
+    registers: [registry],
+    collect() {
+      const result = getHealthCheckResult();
+      if (result) this.set(result.ok ? 1 : 0);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_health_check_duration_seconds`,
+    help: '最近一次数据库健康检查耗时（秒）',
+    registers: [registry],
+    collect() {
+      const result = getHealthCheckResult();
+      if (result) this.set(result.durationMs / 1000);
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_health_check_timestamp_seconds`,
+    help: '最近一次数据库健康检查时间（Unix 秒）',
+    registers: [registry],
+    collect() {
+      const result = getHealthCheckResult();
+      if (result) this.set(result.checkedAt.getTime() / 1000);
+    },
+  });
+}
+
+const headCache = createTtlCache({ ttlMs: settings.headCacheMs, maxEntries: 1 });
+
+new client.Gauge({
+  name: `${PREFIX}indexer_lag_blocks`,
+  help: '区块游标落后链头的区块数（cursor: lottery_draw | payment_transfer）',
+  labelNames: ['cursor'],
+  registers: [registry],
+  async collect() {
+    const provider = getRpcProvider();
+    if (!provider) return;
+    try {
+      const head = await headCache.wrap('head', () => withTimeout(
+        provider.getBlockNumber(),
+        settings.rpcTimeoutMs,
+        `读取链头区块超时（${settings.rpcTimeoutMs}ms）`
+      ));
+      for (const name of INDEXER_CURSORS) {
+        const cursor = await getRepository().getIndexerCursor(name);
+        if (cursor) this.set({ cursor: name }, Math.max(0, head - cursor.blockNumber));
+      }
+    } catch (err) {
+      logger.warn('读取索引延迟失败，本次抓取省略', { err });
+    }
+  },
+});
+
+// Express 中间件：请求结束时按方法、路由模板与状态码计数并记录耗时
+function metricsMiddleware(req, res, next) {
+  const stopTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : 'unmatched',
+      status: String(res.statusCode),
+    };
+    httpRequests.inc(labels);
+    stopTimer(labels);
+  });
+  next();
+}
+
+// 发件箱任务结果计数（由 server/outbox.js 调用）
+function recordEmailResult(kind, ok, final = false) {
+  if (ok) {
+    emailsSent.inc({ kind });
+  } else {
+    emailsFailed.inc({ kind, final: String(final) });
+  }
+}
+
+function isTokenValid(req) {
+  const a = crypto.createHash('sha256').update(readBearerToken(req) || '').digest();
+  const b = crypto.createHash('sha256').update(settings.token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// GET /metrics 处理函数
+async function metricsHandler(req, res) {
+  if (settings.token && !isTokenValid(req)) {
+    return res.status(401).json({ error: '缺少或无效的指标访问令牌', code: 'UNAUTHORIZED' });
+  }
+  try {
+    const body = await registry.metrics();
+    res.set('Content-Type', registry.contentType);
+    res.send(body);
+  } catch (err) {
+    req.log.error('生成指标失败', { err });
+    res.status(500).json({ error: '生成指标失败', code: 'INTERNAL_ERROR', request_id: req.id });
+  }
+}
+
+module.exports = {
+  metricsMiddleware,
+  metricsHandler,
+  recordEmailResult,
+};
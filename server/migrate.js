@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { getPool, closePool, isDbConfigured } = require('./db');
+const { logger } = require('./logger');
+
+// 数据库版本化迁移
+// - 迁移脚本位于 server/migrations/，文件名形如 0004_create_orders.js，导出 async up(conn) / down(conn)
+// - 已执行的版本记录在 schema_migrations 表，按文件名顺序执行
+// - 使用 MySQL 命名锁，避免 API 服务与索引器同时启动时重复执行
+// - 任一迁移失败即抛出，调用方应终止启动
+// CLI: node server/migrate.js up | down [步数] | status
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d{4})_([\w-]+)\.js$/;
+const LOCK_NAME = 'xwawa_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_RE.exec(file) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.file.localeCompare(b.file))
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`迁移脚本 ${file} 必须导出 up 与 down 函数`);
+      }
+      return { version: match[1], name: match[2], up: migration.up, down: migration.down };
+    });
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(16) PRIMARY KEY COMMENT '迁移版本号',
+      name VARCHAR(255) NOT NULL COMMENT '迁移名称',
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP COMMENT '执行时间'
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function getAppliedVersions(conn) {
+  const [rows] = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(r => r.version));
+}
+
+// 在独占连接与命名锁内执行迁移操作
+async function withMigrationLock(fn) {
+  if (!isDbConfigured()) {
+    throw new Error('未配置数据库，无法执行迁移');
+  }
+  const conn = await getPool().getConnection();
+  try {
+    const [[lock]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (!lock || lock.acquired !== 1) {
+      throw new Error('获取迁移锁超时，可能有其他进程正在执行迁移');
+    }
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+// 执行全部待执行的迁移，返回本次执行的版本列表
+async function migrateUp() {
+  return withMigrationLock(async (conn) => {
+    const applied = await getAppliedVersions(conn);
+    const executed = [];
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) continue;
+      logger.info('执行迁移', { migration: `${migration.version}_${migration.name}` });
+      try {
+        await migration.up(conn);
+      } catch (err) {
+        err.message = `迁移 ${migration.version}_${migration.name} 失败: ${err.message}`;
+        throw err;
+      }
+      await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      executed.push(`${migration.version}_${migration.name}`);
+    }
+    return executed;
+  });
+}
+
+// 按倒序回滚最近 steps 个已执行的迁移，返回回滚的版本列表
+async function migrateDown(steps = 1) {
+  return withMigrationLock(async (conn) => {
+    const applied = await getAppliedVersions(conn);
+    const targets = loadMigrations().filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const migration of targets) {
+      logger.info('回滚迁移', { migration: `${migration.version}_${migration.name}` });
+      try {
+        await migration.down(conn);
+      } catch (err) {
+        err.message = `回滚 ${migration.version}_${migration.name} 失败: ${err.message}`;
+        throw err;
+      }
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push(`${migration.version}_${migration.name}`);
+    }
+    return reverted;
+  });
+}
+
+async function migrationStatus() {
+  return withMigrationLock(async (conn) => {
+    const applied = await getAppliedVersions(conn);
+    return loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+    }));
+  });
+}
+
+async function main(argv) {
+  const [command = 'up', arg] = argv;
+  switch (command) {
+    case 'up': {
+      const executed = await migrateUp();
+      console.log(executed.length ? `已执行 ${executed.length} 个迁移` : '数据库已是最新版本');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('回滚步数必须为正整数');
+      const reverted = await migrateDown(steps);
+      console.log(reverted.length ? `已回滚 ${reverted.length} 个迁移` : '没有可回滚的迁移');
+      break;
+    }
+    case 'status': {
+      for (const m of await migrationStatus()) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`未知命令: ${command}（可用: up, down [步数], status）`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => closePool())
+    .catch(async (err) => {
+      console.error(err.message || err);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
@@ -0,0 +1,34 @@
+const { addColumnIfMissing } = require('./helpers');
+
+// 抽奖记录基础表；兼容 ensureSchema 时期创建、缺少邮箱/领取字段的旧表
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS lottery_records (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        wallet_address VARCHAR(64) NOT NULL,
+        prize INT NULL,
+        amount DECIMAL(32,8) NULL,
+        tx_hash VARCHAR(128) NULL,
+        status VARCHAR(32) DEFAULT 'pending',
+        email VARCHAR(255) NULL COMMENT '中奖者邮箱地址',
+        claim_status VARCHAR(32) DEFAULT 'unclaimed' COMMENT '领取状态: unclaimed, claimed',
+        claimed_at DATETIME NULL COMMENT '领取时间',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_wallet_address (wallet_address),
+        INDEX idx_claim_status (claim_status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await addColumnIfMissing(conn, 'lottery_records', 'email', `VARCHAR(255) NULL COMMENT '中奖者邮箱地址'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'claim_status', `VARCHAR(32) DEFAULT 'unclaimed' COMMENT '领取状态: unclaimed, claimed'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'claimed_at', `DATETIME NULL COMMENT '领取时间'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'updated_at', `DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP`);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS lottery_records');
+  },
+};
@@ -0,0 +1,23 @@
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+// 链上 Draw 事件定位字段：按 (tx_hash, log_index, result_index) 去重，按区块回滚重组
+
+module.exports = {
+  async up(conn) {
+    await addColumnIfMissing(conn, 'lottery_records', 'block_number', `BIGINT NULL COMMENT '抽奖交易所在区块'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'block_hash', `VARCHAR(66) NULL COMMENT '抽奖交易所在区块哈希'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'log_index', `INT NULL COMMENT 'Draw 事件在区块中的日志序号'`);
+    await addColumnIfMissing(conn, 'lottery_records', 'result_index', `INT NULL COMMENT '结果在 winningType 数组中的序号'`);
+    await addIndexIfMissing(conn, 'lottery_records', 'uniq_draw_result', 'UNIQUE KEY uniq_draw_result (tx_hash, log_index, result_index)');
+    await addIndexIfMissing(conn, 'lottery_records', 'idx_block_number', 'INDEX idx_block_number (block_number)');
+  },
+
+  async down(conn) {
+    await dropIndexIfExists(conn, 'lottery_records', 'idx_block_number');
+    await dropIndexIfExists(conn, 'lottery_records', 'uniq_draw_result');
+    await dropColumnIfExists(conn, 'lottery_records', 'result_index');
+    await dropColumnIfExists(conn, 'lottery_records', 'log_index');
+    await dropColumnIfExists(conn, 'lottery_records', 'block_hash');
+    await dropColumnIfExists(conn, 'lottery_records', 'block_number');
+  },
+};
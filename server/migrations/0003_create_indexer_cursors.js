@@ -0,0 +1,18 @@
+// 链上事件索引器游标（server/indexer.js）
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS indexer_cursors (
+        name VARCHAR(64) PRIMARY KEY COMMENT '索引器名称',
+        block_number BIGINT NOT NULL COMMENT '已处理到的区块',
+        block_hash VARCHAR(66) NULL COMMENT '已处理区块的哈希，用于发现重组',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS indexer_cursors');
+  },
+};
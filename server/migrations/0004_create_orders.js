@@ -0,0 +1,28 @@
+// 商城订单（POST /api/orders）；金额以 XWAWA 最小单位（18 位精度）的十进制字符串保存
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id VARCHAR(32) PRIMARY KEY COMMENT '订单号，如 XW1A2B3C4D5E',
+        product_id VARCHAR(32) NOT NULL COMMENT '商品ID（server/products.js）',
+        product_name VARCHAR(255) NOT NULL,
+        usd_price DECIMAL(12,2) NOT NULL COMMENT '下单时的美元价格',
+        email VARCHAR(255) NOT NULL COMMENT '下单邮箱',
+        token_amount VARCHAR(78) NOT NULL COMMENT '应付 XWAWA 数量（最小单位）',
+        payment_address VARCHAR(42) NOT NULL COMMENT '收款地址',
+        status VARCHAR(16) NOT NULL DEFAULT 'pending' COMMENT '订单状态: pending, paid, expired',
+        tx_hash VARCHAR(66) NULL COMMENT '支付交易哈希',
+        paid_at DATETIME NULL,
+        expires_at DATETIME NOT NULL COMMENT '支付截止时间',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status_expires (status, expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS orders');
+  },
+};
@@ -0,0 +1,13 @@
+const { addIndexIfMissing, dropIndexIfExists } = require('./helpers');
+
+// 支付核验（server/payment-verifier.js）按收款地址 + 精确金额匹配订单
+
+module.exports = {
+  async up(conn) {
+    await addIndexIfMissing(conn, 'orders', 'idx_payment_match', 'INDEX idx_payment_match (payment_address, token_amount)');
+  },
+
+  async down(conn) {
+    await dropIndexIfExists(conn, 'orders', 'idx_payment_match');
+  },
+};
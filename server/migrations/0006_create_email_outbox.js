@@ -0,0 +1,35 @@
+// 邮件发件箱（server/outbox.js）：待发送邮件先入队，由后台任务发送并按指数退避重试
+// kind: send（SMTP 发送）、imap_append（将已发送邮件追加到 IMAP“已发送”文件夹，由 send 成功后派生）
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        kind VARCHAR(16) NOT NULL COMMENT '任务类型: send, imap_append',
+        template VARCHAR(64) NOT NULL COMMENT '邮件模板，如 prize_confirmation',
+        recipient VARCHAR(255) NOT NULL COMMENT '收件人',
+        payload TEXT NOT NULL COMMENT '模板参数（JSON）',
+        raw_message MEDIUMTEXT NULL COMMENT '原始邮件（imap_append 任务使用）',
+        parent_id BIGINT NULL COMMENT '派生自的发送任务ID',
+        reference VARCHAR(64) NULL COMMENT '关联业务对象，如 lottery_record:12',
+        status VARCHAR(16) NOT NULL DEFAULT 'pending' COMMENT '状态: pending, sending, sent, failed',
+        attempts INT NOT NULL DEFAULT 0 COMMENT '已尝试次数',
+        max_attempts INT NOT NULL DEFAULT 8 COMMENT '最大尝试次数，用尽后标记为 failed',
+        last_error TEXT NULL COMMENT '最近一次失败原因',
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '下次尝试时间',
+        locked_by VARCHAR(64) NULL COMMENT '正在处理的工作进程标识',
+        locked_at DATETIME NULL,
+        sent_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_parent (parent_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS email_outbox');
+  },
+};
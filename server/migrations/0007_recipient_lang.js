@@ -0,0 +1,17 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// 收件人语言（en / zh）：随中奖记录与订单保存，发件箱按任务语言选择邮件模板
+
+module.exports = {
+  async up(conn) {
+    await addColumnIfMissing(conn, 'lottery_records', 'lang', `VARCHAR(8) NULL COMMENT '中奖人语言: en, zh'`);
+    await addColumnIfMissing(conn, 'orders', 'lang', `VARCHAR(8) NULL COMMENT '下单语言: en, zh'`);
+    await addColumnIfMissing(conn, 'email_outbox', 'lang', `VARCHAR(8) NOT NULL DEFAULT 'en' COMMENT '邮件模板语言' AFTER template`);
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'email_outbox', 'lang');
+    await dropColumnIfExists(conn, 'orders', 'lang');
+    await dropColumnIfExists(conn, 'lottery_records', 'lang');
+  },
+};
@@ -0,0 +1,18 @@
+// 中奖记录的收货信息：姓名、电话、地址以 AES-256-GCM 加密后整体保存（server/encryption.js），每条记录一行
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS shipping_details (
+        record_id BIGINT PRIMARY KEY COMMENT '中奖记录ID（lottery_records.id）',
+        encrypted TEXT NOT NULL COMMENT '加密后的收货信息',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS shipping_details');
+  },
+};
@@ -0,0 +1,67 @@
+const { tableExists, addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// 实物奖品履约状态机（server/fulfilment.js）：
+// - claim_status 由 unclaimed / claimed 扩展为 unclaimed、email_submitted、address_confirmed、shipped、delivered、expired、rejected
+// - lottery_records 增加承运商与运单号
+// - claim_events 记录每次状态变更，作为中奖详情中的时间线
+// 旧的 claimed 记录，以及已填写邮箱但未领取的实物奖记录，迁移为 email_submitted 并补一条时间线
+
+const MIGRATED_NOTE = '由旧版领取状态迁移';
+
+module.exports = {
+  async up(conn) {
+    await conn.query(
+      `ALTER TABLE lottery_records MODIFY COLUMN claim_status VARCHAR(32) DEFAULT 'unclaimed'
+       COMMENT '领取状态: unclaimed, email_submitted, address_confirmed, shipped, delivered, expired, rejected'`
+    );
+    await addColumnIfMissing(conn, 'lottery_records', 'carrier', `VARCHAR(64) NULL COMMENT '承运商' AFTER claimed_at`);
+    await addColumnIfMissing(conn, 'lottery_records', 'tracking_number', `VARCHAR(128) NULL COMMENT '运单号' AFTER carrier`);
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS claim_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        record_id BIGINT NOT NULL COMMENT '中奖记录ID',
+        from_status VARCHAR(32) NOT NULL,
+        to_status VARCHAR(32) NOT NULL,
+        carrier VARCHAR(64) NULL,
+        tracking_number VARCHAR(128) NULL,
+        note VARCHAR(500) NULL COMMENT '备注，如驳回原因',
+        actor VARCHAR(64) NOT NULL COMMENT '操作方，如 wallet:0x...、admin、migration',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_record (record_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await conn.query(
+      `INSERT INTO claim_events (record_id, from_status, to_status, note, actor, created_at)
+       SELECT id, 'unclaimed', 'email_submitted', ?, 'migration', COALESCE(claimed_at, updated_at, created_at)
+       FROM lottery_records
+       WHERE claim_status = 'claimed'
+          OR ((claim_status IS NULL OR claim_status = 'unclaimed') AND prize IN (0, 1, 2) AND email IS NOT NULL AND email <> '')`,
+      [MIGRATED_NOTE]
+    );
+    await conn.query(
+      `UPDATE lottery_records SET claim_status = 'email_submitted'
+       WHERE claim_status = 'claimed'
+          OR ((claim_status IS NULL OR claim_status = 'unclaimed') AND prize IN (0, 1, 2) AND email IS NOT NULL AND email <> '')`
+    );
+  },
+
+  // 回滚时进行中与已完成的领取归为 claimed，过期与驳回归为 unclaimed
+  async down(conn) {
+    await conn.query(
+      `UPDATE lottery_records SET claim_status = 'claimed'
+       WHERE claim_status IN ('email_submitted', 'address_confirmed', 'shipped', 'delivered')`
+    );
+    await conn.query(`UPDATE lottery_records SET claim_status = 'unclaimed' WHERE claim_status IN ('expired', 'rejected')`);
+    if (await tableExists(conn, 'claim_events')) {
+      await conn.query('DROP TABLE claim_events');
+    }
+    await dropColumnIfExists(conn, 'lottery_records', 'tracking_number');
+    await dropColumnIfExists(conn, 'lottery_records', 'carrier');
+    await conn.query(
+      `ALTER TABLE lottery_records MODIFY COLUMN claim_status VARCHAR(32) DEFAULT 'unclaimed'
+       COMMENT '领取状态: unclaimed, claimed'`
+    );
+  },
+};
@@ -0,0 +1,34 @@
+// 收件箱回复（server/inbox.js）：读取 IMAP 收件箱中中奖人回复的邮件，关联到中奖记录并提取收货地址
+// 每封邮件按 (mailbox, uid_validity, uid) 只处理一次；正文与解析出的地址以 ENCRYPTION_KEY 加密保存
+// status: linked（已关联并保存地址）、needs_review（无法自动关联，待人工处理）、ignored（退信、自动回复等）、dismissed（人工忽略）
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS inbox_replies (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        mailbox VARCHAR(128) NOT NULL COMMENT 'IMAP 文件夹',
+        uid_validity BIGINT NOT NULL,
+        uid BIGINT NOT NULL,
+        message_id VARCHAR(255) NULL,
+        from_address VARCHAR(255) NULL COMMENT '发件人邮箱',
+        subject VARCHAR(500) NULL,
+        received_at DATETIME NULL,
+        record_id BIGINT NULL COMMENT '关联的中奖记录ID（待处理时为疑似记录）',
+        match_method VARCHAR(16) NULL COMMENT '关联方式: message_id, token, manual',
+        status VARCHAR(16) NOT NULL COMMENT '状态: linked, needs_review, ignored, dismissed',
+        review_reason VARCHAR(255) NULL COMMENT '待人工处理或忽略的原因',
+        encrypted MEDIUMTEXT NULL COMMENT '正文与解析出的地址（密文）',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_mailbox_uid (mailbox, uid_validity, uid),
+        INDEX idx_status (status, id),
+        INDEX idx_record (record_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS inbox_replies');
+  },
+};
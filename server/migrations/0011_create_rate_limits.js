@@ -0,0 +1,19 @@
+// 接口限流计数（server/rate-limit.js，RATE_LIMIT_STORE=database 时使用）：多个 API 实例共享同一预算
+// 每个计数键一行，窗口到期后下一次请求重新计数，过期行由限流模块定期删除
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket VARCHAR(128) NOT NULL PRIMARY KEY COMMENT '计数键，如 write:ip:1.2.3.4',
+        hits INT NOT NULL DEFAULT 0 COMMENT '当前窗口内的请求数',
+        reset_at DATETIME(3) NOT NULL COMMENT '当前窗口结束时间',
+        INDEX idx_reset_at (reset_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS rate_limits');
+  },
+};
@@ -0,0 +1,22 @@
+// 审计日志（server/audit.js）：只追加，不修改、不删除
+// 当前记录开发排查接口（邮件验证、测试邮件、存储连通性）的每次调用
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        action VARCHAR(64) NOT NULL COMMENT '操作，如 mail.send_test',
+        actor VARCHAR(64) NOT NULL COMMENT '操作者',
+        ip VARCHAR(64) NULL COMMENT '客户端 IP',
+        details TEXT NULL COMMENT '操作详情（JSON）',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_action (action, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS audit_log');
+  },
+};
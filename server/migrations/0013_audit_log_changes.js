@@ -0,0 +1,29 @@
+const {
+  addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists,
+} = require('./helpers');
+
+// 审计日志扩展到全部写操作：记录操作对象、变更前后的值、会话钱包与请求ID（X-Request-Id）
+
+module.exports = {
+  async up(conn) {
+    await addColumnIfMissing(conn, 'audit_log', 'wallet_address', `VARCHAR(42) NULL COMMENT '会话钱包地址' AFTER actor`);
+    await addColumnIfMissing(conn, 'audit_log', 'request_id', `VARCHAR(64) NULL COMMENT '请求ID' AFTER ip`);
+    await addColumnIfMissing(conn, 'audit_log', 'target', `VARCHAR(64) NULL COMMENT '操作对象，如 lottery_record:12、order:XW...' AFTER request_id`);
+    await addColumnIfMissing(conn, 'audit_log', 'before_value', `TEXT NULL COMMENT '变更前（JSON）' AFTER target`);
+    await addColumnIfMissing(conn, 'audit_log', 'after_value', `TEXT NULL COMMENT '变更后（JSON）' AFTER before_value`);
+    await addIndexIfMissing(conn, 'audit_log', 'idx_target', 'INDEX idx_target (target, id)');
+    await addIndexIfMissing(conn, 'audit_log', 'idx_wallet', 'INDEX idx_wallet (wallet_address, id)');
+    await addIndexIfMissing(conn, 'audit_log', 'idx_request', 'INDEX idx_request (request_id)');
+  },
+
+  async down(conn) {
+    await dropIndexIfExists(conn, 'audit_log', 'idx_request');
+    await dropIndexIfExists(conn, 'audit_log', 'idx_wallet');
+    await dropIndexIfExists(conn, 'audit_log', 'idx_target');
+    await dropColumnIfExists(conn, 'audit_log', 'after_value');
+    await dropColumnIfExists(conn, 'audit_log', 'before_value');
+    await dropColumnIfExists(conn, 'audit_log', 'target');
+    await dropColumnIfExists(conn, 'audit_log', 'request_id');
+    await dropColumnIfExists(conn, 'audit_log', 'wallet_address');
+  },
+};
@@ -0,0 +1,51 @@
+// 迁移脚本公用的表结构探测工具
+// 早期部署由 ensureSchema 建表/补字段，表结构不一定完整，迁移中对已有对象做存在性判断
+
+async function tableExists(conn, table) {
+  const [rows] = await conn.query('SHOW TABLES LIKE ?', [table]);
+  return rows.length > 0;
+}
+
+async function columnExists(conn, table, column) {
+  const [rows] = await conn.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [column]);
+  return rows.length > 0;
+}
+
+async function indexExists(conn, table, index) {
+  const [rows] = await conn.query(`SHOW INDEX FROM \`${table}\` WHERE Key_name = ?`, [index]);
+  return rows.length > 0;
+}
+
+async function addColumnIfMissing(conn, table, column, definition) {
+  if (!(await columnExists(conn, table, column))) {
+    await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  }
+}
+
+async function dropColumnIfExists(conn, table, column) {
+  if (await columnExists(conn, table, column)) {
+    await conn.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  }
+}
+
+async function addIndexIfMissing(conn, table, index, definition) {
+  if (!(await indexExists(conn, table, index))) {
+    await conn.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+  }
+}
+
+async function dropIndexIfExists(conn, table, index) {
+  if (await indexExists(conn, table, index)) {
+    await conn.query(`ALTER TABLE \`${table}\` DROP INDEX \`${index}\``);
+  }
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+};
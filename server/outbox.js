@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const os = require('os');
+const { normalizeLang, composeEmail, sendEmail, appendToSent } = require('./mailer');
+const { getRepository } = require('./repository');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { recordEmailResult } = require('./metrics');
+
+// 邮件发件箱：接口只负责入队（email_outbox），由 API 进程内的后台任务发送
+// - send 任务通过 SMTP 发送；配置了 IMAP 时成功后派生一个 imap_append 任务，将同一封原始邮件追加到“已发送”
+// - 失败按指数退避重试（MAIL_RETRY_BASE_MS * 2^(n-1)，上限 MAIL_RETRY_MAX_MS），
+//   尝试 MAIL_MAX_ATTEMPTS 次后标记为 failed，可通过管理接口重新发送
+// - 任务领取时加锁（locked_by），MySQL 后端下多个 API 实例可同时运行而不会重复发送
+// - 发出的邮件使用 <xwawa.outbox.<任务ID>@域名> 作为 Message-ID，收件箱读取任务据回复的 In-Reply-To 找回原邮件
+
+const settings = {
+  ...config.outbox,
+  lockTimeoutMs: 10 * 60 * 1000, // 超时未完成的任务视为进程中途退出，重新放回队列
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const MESSAGE_ID_RE = /<xwawa\.outbox\.(\d+)@[^>]+>/i;
+
+let timer = null;
+let running = false;
+
+// 第 attempts 次失败后的等待时间
+function retryDelay(attempts) {
+  return Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** (attempts - 1));
+}
+
+/**
+ * 将邮件加入发件箱
+ * @param {object} email - { template, lang, recipient, payload, reference }
+ * @returns {number} 发件箱任务ID
+ */
+async function enqueueEmail({ template, lang, recipient, payload, reference }) {
+  const language = normalizeLang(lang);
+  // 入队时即渲染一次，模板名或参数有误时让调用方立即得知，而不是在后台反复重试
+  composeEmail(template, language, recipient, payload);
+  return getRepository().enqueueEmail({
+    kind: 'send',
+    template,
+    lang: language,
+    recipient,
+    payload,
+    reference,
+    max_attempts: settings.maxAttempts,
+  });
+}
+
+function outboxMessageId(emailId) {
+  const domain = String(config.smtp.user || '').split('@')[1] || 'xwawa.meme';
+  return `<xwawa.outbox.${emailId}@${domain}>`;
+}
+
+// 从 Message-ID / In-Reply-To / References 头中解析发件箱任务ID，未找到时返回 null
+function parseOutboxMessageId(header) {
+  const match = MESSAGE_ID_RE.exec(String(header || ''));
+  return match ? Number(match[1]) : null;
+}
+
+// 执行一个任务；send 任务返回编译后的原始邮件（未配置 IMAP 时为 null）
+async function deliver(email) {
+  if (email.kind === 'imap_append') {
+    await appendToSent(email.raw_message);
+    return null;
+  }
+  const message = composeEmail(email.template, email.lang, email.recipient, email.payload);
+  const { raw } = await sendEmail({ ...message, messageId: outboxMessageId(email.id) });
+  return raw;
+}
+
+/**
+ * 处理一批到期的发件箱任务
+ * @returns {{sent: number, failed: number}} 本轮成功与失败的任务数
+ */
+async function runOutboxOnce() {
+  const repo = getRepository();
+  const emails = await repo.claimDueEmails(WORKER_ID, settings.batchSize, settings.lockTimeoutMs);
+  const result = { sent: 0, failed: 0 };
+
+  for (const email of emails) {
+    let raw;
+    try {
+      raw = await deliver(email);
+    } catch (err) {
+      const message = String(err && err.message ? err.message : err);
+      const exhausted = email.attempts >= email.max_attempts;
+      await repo.markEmailFailed(email.id, message, exhausted ? null : retryDelay(email.attempts));
+      result.failed++;
+      recordEmailResult(email.kind, false, exhausted);
+      logger.warn(exhausted ? '发件箱任务失败，已停止重试' : '发件箱任务失败，稍后重试', {
+        email_id: email.id,
+        kind: email.kind,
+        attempts: email.attempts,
+        max_attempts: email.max_attempts,
+        error: message,
+      });
+      continue;
+    }
+
+    // 先标记已发送再派生追加任务，避免派生失败导致邮件被重复发送
+    await repo.markEmailSent(email.id);
+    result.sent++;
+    recordEmailResult(email.kind, true);
+    logger.info('发件箱任务已完成', { email_id: email.id, kind: email.kind, recipient: email.recipient });
+    if (raw) {
+      try {
+        await repo.enqueueEmail({
+          kind: 'imap_append',
+          template: email.template,
+          lang: email.lang,
+          recipient: email.recipient,
+          payload: email.payload,
+          raw_message: raw,
+          parent_id: email.id,
+          reference: email.reference,
+          max_attempts: settings.maxAttempts,
+        });
+      } catch (err) {
+        logger.warn('追加“已发送”任务入队失败', { email_id: email.id, err });
+      }
+    }
+  }
+  return result;
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await runOutboxOnce();
+  } catch (err) {
+    logger.error('发件箱处理失败，稍后重试', { err });
+  } finally {
+    running = false;
+  }
+}
+
+function startOutboxWorker() {
+  if (timer) return;
+  timer = setInterval(tick, settings.pollIntervalMs);
+  timer.unref();
+  logger.info('邮件发件箱已启动', { worker: WORKER_ID, ...settings });
+}
+
+function stopOutboxWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  enqueueEmail,
+  parseOutboxMessageId,
+  runOutboxOnce,
+  startOutboxWorker,
+  stopOutboxWorker,
+};
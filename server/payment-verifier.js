@@ -0,0 +1,156 @@
+const { formatUnits } = require('ethers');
+const {
+  XWAWA_DECIMALS, getRpcProvider, getXwawaTokenAddress, getPaymentAddress, getBlockTime, buildTransferFilter, decodeTransferLogs,
+} = require('./chain');
+const { getRepository } = require('./repository');
+const { enqueueEmail } = require('./outbox');
+const { recordAudit } = require('./audit');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// 商城支付核验（独立进程：node server/payment-verifier.js）
+// 扫描转入 PAYMENT_ADDRESS 的 XWAWA Transfer 事件，按精确金额匹配订单并标记为 paid。
+// 每个订单的应付金额在创建时附加了唯一的尾数，因此金额即可唯一对应订单（ERC-20 转账不携带备注）。
+// 只处理达到 PAYMENT_CONFIRMATIONS 个确认的区块，无需处理重组；游标保存在 indexer_cursors 表。
+
+const CURSOR_NAME = 'payment_transfer';
+// 区块时间戳为整秒且可能与服务器时钟存在偏差，匹配订单有效期时前后各放宽 1 分钟
+const BLOCK_TIME_TOLERANCE_MS = 60 * 1000;
+
+// confirmations 为确认数，batchSize 为单次 eth_getLogs 区块跨度
+const settings = config.paymentVerifier;
+
+let stopped = false;
+
+// 支付成功通知邮件入队；入队失败只记录日志，不影响游标推进
+async function notifyOrderPaid(order, txHash) {
+  try {
+    await enqueueEmail({
+      template: 'order_paid',
+      lang: order.lang,
+      recipient: order.email,
+      payload: {
+        orderId: order.id,
+        productName: order.product_name,
+        tokenAmount: formatUnits(order.token_amount, XWAWA_DECIMALS),
+        txHash,
+      },
+      reference: `order:${order.id}`,
+    });
+  } catch (err) {
+    logger.warn('订单支付通知邮件入队失败', { order_id: order.id, err });
+  }
+}
+
+// 将已过支付截止时间的待支付订单标记为 expired，释放其金额尾数；之后确认的转账仍可匹配已过期订单
+async function expireOverdueOrders(repo) {
+  const expired = await repo.expireOverdueOrders();
+  if (expired > 0) {
+    logger.info('已标记过期订单', { count: expired });
+    await recordAudit(null, 'order.expire_overdue', { actor: 'system:payment-verifier', details: { count: expired } });
+  }
+}
+
+/**
+ * 执行一轮核验
+ * @returns {boolean} 是否已追上可确认的区块（调用方据此决定是否等待）
+ */
+async function runPaymentVerifierOnce() {
+  const repo = getRepository();
+  const provider = getRpcProvider();
+  const tokenAddress = getXwawaTokenAddress();
+  const paymentAddress = getPaymentAddress();
+
+  await expireOverdueOrders(repo);
+
+  const head = await provider.getBlockNumber();
+  const safeHead = head - settings.confirmations;
+  const cursor = await repo.getIndexerCursor(CURSOR_NAME);
+  const fromBlock = cursor ? cursor.blockNumber + 1 : settings.startBlock;
+  if (fromBlock > safeHead) return true;
+  const toBlock = Math.min(safeHead, fromBlock + settings.batchSize - 1);
+
+  const logs = await provider.getLogs(buildTransferFilter(tokenAddress, paymentAddress, fromBlock, toBlock));
+  const transfers = decodeTransferLogs(logs);
+  let matched = 0;
+
+  for (const transfer of transfers) {
+    const paidAt = await getBlockTime(transfer.blockNumber);
+    const amount = transfer.value.toString();
+    const order = await repo.findPayableOrder(paymentAddress, amount, {
+      createdBefore: new Date(paidAt.getTime() + BLOCK_TIME_TOLERANCE_MS),
+      expiresAfter: new Date(paidAt.getTime() - BLOCK_TIME_TOLERANCE_MS),
+    });
+    if (!order) {
+      logger.warn('收到未匹配订单的转账', {
+        tx_hash: transfer.txHash,
+        from: transfer.from,
+        amount: formatUnits(transfer.value, XWAWA_DECIMALS),
+      });
+      continue;
+    }
+    if (await repo.markOrderPaid(order.id, transfer.txHash, paidAt)) {
+      matched++;
+      logger.info('订单已支付', { order_id: order.id, tx_hash: transfer.txHash });
+      await recordAudit(null, 'order.paid', {
+        actor: 'system:payment-verifier',
+        target: `order:${order.id}`,
+        before: { status: order.status },
+        after: { status: 'paid', tx_hash: transfer.txHash, paid_at: paidAt },
+      });
+      await notifyOrderPaid(order, transfer.txHash);
+    }
+  }
+
+  await repo.saveIndexerCursor(CURSOR_NAME, toBlock, null);
+  logger.info('已核验区块', { from_block: fromBlock, to_block: toBlock, head, transfers: transfers.length, matched });
+
+  return toBlock >= safeHead;
+}
+
+async function startPaymentVerifier() {
+  const repo = getRepository();
+  // JSON 文件存储仅支持单进程访问，核验进程与 API 服务需共享 MySQL
+  if (repo.backend !== 'mysql') {
+    throw new Error('支付核验需要数据库：请配置 DB_HOST、DB_PORT、DB_USER、DB_PASSWORD、DB_NAME');
+  }
+  if (!getRpcProvider() || !getXwawaTokenAddress() || !getPaymentAddress()) {
+    throw new Error('支付核验需要链上配置：请配置 RPC_URL、XWAWA_TOKEN_ADDRESS 与 PAYMENT_ADDRESS');
+  }
+
+  await repo.init();
+  logger.info('商城支付核验已启动', {
+    token: getXwawaTokenAddress(),
+    paymentAddress: getPaymentAddress(),
+    ...settings,
+  });
+
+  while (!stopped) {
+    let caughtUp = true;
+    try {
+      caughtUp = await runPaymentVerifierOnce();
+    } catch (err) {
+      logger.error('支付核验失败，稍后重试', { err });
+    }
+    if (caughtUp && !stopped) {
+      await new Promise(resolve => setTimeout(resolve, settings.pollIntervalMs));
+    }
+  }
+}
+
+function stopPaymentVerifier() {
+  stopped = true;
+}
+
+if (require.main === module) {
+  startPaymentVerifier().catch(err => {
+    logger.error('支付核验启动失败', { err });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startPaymentVerifier,
+  stopPaymentVerifier,
+  runPaymentVerifierOnce,
+};
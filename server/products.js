@@ -0,0 +1,29 @@
+const { parseUnits } = require('ethers');
+const { XWAWA_DECIMALS } = require('./chain');
+const { config } = require('./config');
+
+// 商城商品目录：价格以服务端为准，前端 data-product-price 仅用于展示
+// XWAWA 报价 = 美元价格 × XWAWA_PER_USD（默认 10），以 18 位精度计算
+
+const PRODUCTS = [
+  { id: '1', name: 'Xwawa Limited NFT', usd_price: '49.99' },
+  { id: '2', name: 'Xwawa T-Shirt', usd_price: '29.99' },
+  { id: '3', name: 'Premium Membership', usd_price: '99.99' },
+  { id: '4', name: 'Xwawa Sticker Pack', usd_price: '9.99' },
+];
+
+function getProduct(productId) {
+  return PRODUCTS.find(p => p.id === String(productId)) || null;
+}
+
+// 返回应付 XWAWA 数量（最小单位，bigint）
+function quoteTokenAmount(product) {
+  const unit = 10n ** BigInt(XWAWA_DECIMALS);
+  return parseUnits(product.usd_price, XWAWA_DECIMALS) * parseUnits(config.orders.xwawaPerUsd, XWAWA_DECIMALS) / unit;
+}
+
+module.exports = {
+  PRODUCTS,
+  getProduct,
+  quoteTokenAmount,
+};
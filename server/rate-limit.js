@@ -0,0 +1,98 @@
+const { getRepository } = require('./repository');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// 接口限流：固定时间窗口计数，按客户端 IP 计数，需钱包会话的接口另按钱包地址计数（任一超限即拒绝）
+// - 按 IP 计数的中间件放在鉴权之前，未通过鉴权（401）的请求同样计数；按钱包计数的放在 requireWalletSession 之后
+// - 预算分为 read（查询）、write（写入与登录）、mail（会发出邮件的接口），各自独立计数
+// - 计数存储：memory（进程内，默认）或 database（经存储层写入 rate_limits 表，多个 API 实例共享预算）
+// - 超限返回 429 与 Retry-After 头；计数存储出错时放行请求，不影响业务
+
+const settings = config.rateLimit;
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// 进程内计数：key -> { count, resetAt }，定期清理过期窗口
+function createMemoryStore() {
+  const windows = new Map();
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+// 共享计数：经存储层（MySQL 后端为 rate_limits 表）计数，定期删除过期窗口
+function createDatabaseStore() {
+  const timer = setInterval(() => {
+    getRepository().purgeRateLimits().catch((err) => {
+      logger.warn('清理限流计数失败', { err });
+    });
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    hit: (key, windowMs) => getRepository().hitRateLimit(key, windowMs),
+  };
+}
+
+let store;
+
+function getStore() {
+  if (!store) {
+    store = settings.store === 'database' ? createDatabaseStore() : createMemoryStore();
+  }
+  return store;
+}
+
+/**
+ * 创建限流中间件
+ * @param {'read'|'write'|'mail'} name - 预算名称
+ * @param {{scope?: 'ip'|'wallet'}} [options] - ip（默认）按客户端 IP 计数，放在鉴权之前；
+ *   wallet 按会话钱包地址计数，必须放在 requireWalletSession 之后
+ */
+function rateLimit(name, { scope = 'ip' } = {}) {
+  const { max, windowMs } = settings.budgets[name];
+
+  return async (req, res, next) => {
+    if (!settings.enabled) return next();
+
+    const key = scope === 'wallet' ? `${name}:wallet:${req.walletAddress}` : `${name}:ip:${req.ip}`;
+
+    let retryAfterMs = 0;
+    try {
+      const { count, resetAt } = await getStore().hit(key, windowMs);
+      if (count > max) retryAfterMs = resetAt - Date.now();
+    } catch (err) {
+      req.log.warn('限流计数失败，放行请求', { budget: name, err });
+      return next();
+    }
+
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: '请求过于频繁，请稍后再试', code: 'RATE_LIMITED', retry_after: retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  getStore,
+};
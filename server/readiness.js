@@ -0,0 +1,104 @@
+const { getRepository } = require('./repository');
+const { READY_COMPONENTS, config } = require('./config');
+const { isSmtpConfigured, verifySmtp } = require('./mailer');
+const { getRpcProvider } = require('./chain');
+const { createTtlCache } = require('./cache');
+const { logger } = require('./logger');
+
+// 就绪检查（GET /api/ready）：逐个检查数据库、SMTP 与 X Layer RPC，各自超时，返回每个组件的状态与耗时
+// - 组件状态：ok（正常）、degraded（可用但降级，如无数据库模式）、fail（检查失败或超时）、disabled（未配置，不参与判断）
+// - 整体状态：必需组件（READY_REQUIRED，默认 database,rpc）失败时为 fail 并返回 503；其余组件失败或有降级时为 degraded
+// - 结果缓存 READY_CACHE_MS 毫秒，频繁探测不会反复登录 SMTP；错误详情只写入日志
+
+const settings = config.readiness;
+
+/**
+ * 为 Promise 设置超时；超时后以 code=TIMEOUT 的错误拒绝（原操作不会被取消）
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} message - 超时错误信息
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.code = 'TIMEOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 各组件的检查函数：返回 { status, ...附加信息 }，未配置时返回 null
+const checks = {
+  async database() {
+    const info = await getRepository().ping();
+    if (info.backend === 'file') {
+      return { status: 'degraded', backend: 'file', message: '无数据库模式：使用 JSON 文件存储' };
+    }
+    return { status: 'ok', backend: info.backend };
+  },
+
+  async smtp() {
+    if (!isSmtpConfigured()) return null;
+    await verifySmtp();
+    return { status: 'ok' };
+  },
+
+  async rpc() {
+    const provider = getRpcProvider();
+    if (!provider) return null;
+    const blockNumber = await provider.getBlockNumber();
+    return { status: 'ok', block_number: blockNumber };
+  },
+};
+
+async function checkComponent(name) {
+  const required = settings.required.includes(name);
+  const timeoutMs = settings.timeoutsMs[name];
+  const startedAt = Date.now();
+  try {
+    const result = await withTimeout(checks[name](), timeoutMs, `${name} 检查超时（${timeoutMs}ms）`);
+    if (!result) return { status: 'disabled', required };
+    return { ...result, required, latency_ms: Date.now() - startedAt };
+  } catch (err) {
+    logger.warn('就绪检查失败', { component: name, err });
+    return {
+      status: 'fail',
+      required,
+      latency_ms: Date.now() - startedAt,
+      error: err.code === 'TIMEOUT' ? `检查超时（${timeoutMs}ms）` : '检查失败',
+    };
+  }
+}
+
+async function runReadinessCheck() {
+  const results = await Promise.all(READY_COMPONENTS.map(checkComponent));
+  const components = Object.fromEntries(READY_COMPONENTS.map((name, i) => [name, results[i]]));
+
+  let status = 'ok';
+  for (const component of results) {
+    if (component.status === 'fail' && component.required) {
+      status = 'fail';
+      break;
+    }
+    if (component.status === 'fail' || component.status === 'degraded') status = 'degraded';
+  }
+  return { status, checked_at: new Date().toISOString(), components };
+}
+
+const readinessCache = createTtlCache({ ttlMs: settings.cacheMs, maxEntries: 1 });
+
+/**
+ * 执行就绪检查（带缓存）
+ * @returns {Promise<{status: 'ok'|'degraded'|'fail', checked_at: string, components: object}>}
+ */
+function checkReadiness() {
+  return readinessCache.wrap('ready', runReadinessCheck);
+}
+
+module.exports = {
+  withTimeout,
+  checkReadiness,
+};
@@ -0,0 +1,691 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  buildDrawRows, MERCH_PRIZE_IDS, CLAIM_STATUSES, CLAIMED_STATUSES, STATS_UTC_OFFSET_MS,
+} = require('./rows');
+
+// JSON 文件存储后端：无数据库模式下用于本地开发与测试
+// - 全部数据常驻内存，每次写操作后整体落盘（先写临时文件再 rename，避免写到一半的文件）
+// - 写入按调用顺序串行执行；仅支持单进程访问，不可与索引器等其他进程共享同一文件
+
+const RECORD_FIELDS = [
+  'id', 'wallet_address', 'prize', 'amount', 'tx_hash', 'status', 'block_number', 'log_index', 'result_index',
+  'email', 'lang', 'claim_status', 'claimed_at', 'created_at', 'updated_at',
+];
+
+// 管理后台的中奖记录额外返回发货信息，与 MySQL 后端的 CLAIM_COLUMNS 一致
+const CLAIM_FIELDS = [...RECORD_FIELDS, 'carrier', 'tracking_number'];
+
+// 与 MySQL 后端的 AUDIT_COLUMNS 一致（早期条目缺少的字段返回 null）
+const AUDIT_FIELDS = [
+  'id', 'action', 'actor', 'wallet_address', 'ip', 'request_id', 'target', 'before_value', 'after_value', 'details',
+  'created_at',
+];
+
+function emptyState() {
+  return {
+    sequences: { lottery_records: 0, email_outbox: 0, claim_events: 0, inbox_replies: 0, audit_log: 0 },
+    lottery_records: [],
+    indexer_cursors: {},
+    orders: [],
+    email_outbox: [],
+    shipping_details: {},
+    claim_events: [],
+    inbox_replies: [],
+    audit_log: [],
+  };
+}
+
+// 对外返回的记录字段与 MySQL 后端的查询列保持一致
+function pickFields(row, fields) {
+  const record = {};
+  for (const field of fields) {
+    record[field] = row[field] === undefined ? null : row[field];
+  }
+  return record;
+}
+
+function pickRecord(row) {
+  return pickFields(row, RECORD_FIELDS);
+}
+
+function pickClaim(row) {
+  return pickFields(row, CLAIM_FIELDS);
+}
+
+function claimStatusOf(row) {
+  return row.claim_status || 'unclaimed';
+}
+
+// 与 MySQL 后端的 EMAIL_COLUMNS 一致，不含 raw_message
+function pickEmail(row) {
+  const { raw_message, locked_by, locked_at, ...email } = row;
+  return { ...email, payload: { ...email.payload } };
+}
+
+// 与 MySQL 后端的 INBOX_REPLY_COLUMNS 一致，不含密文
+function pickInboxReply(row) {
+  const { encrypted, ...reply } = row;
+  return reply;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// ISO 时间戳对应的统计自然日（YYYY-MM-DD）
+function statsDay(timestamp) {
+  return new Date(Date.parse(timestamp) + STATS_UTC_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function createFileRepository(filePath) {
+  let state = emptyState();
+  let writeQueue = Promise.resolve();
+  const rateLimits = new Map(); // 限流计数不落盘，仅单进程有效
+
+  function persist() {
+    const snapshot = JSON.stringify(state, null, 2);
+    const write = writeQueue.then(async () => {
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    // 写入失败只让本次调用方收到错误；队列本身保持可用，下一次写入会带上完整的最新数据
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  function findRecord(recordId, walletAddress) {
+    const id = Number(recordId);
+    return state.lottery_records.find(r => r.id === id && r.wallet_address === walletAddress) || null;
+  }
+
+  return {
+    backend: 'file',
+
+    // 读取已有数据文件；文件不存在时以空数据启动
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        const raw = await fs.promises.readFile(filePath, 'utf8');
+        const saved = JSON.parse(raw);
+        state = { ...emptyState(), ...saved, sequences: { ...emptyState().sequences, ...saved.sequences } };
+        // 旧版数据文件中的 claimed 状态对应现在的 email_submitted
+        for (const row of state.lottery_records) {
+          if (row.claim_status === 'claimed') row.claim_status = 'email_submitted';
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw new Error(`读取存储文件 ${filePath} 失败: ${err.message}`);
+        }
+        await persist();
+      }
+      return [];
+    },
+
+    async close() {
+      await writeQueue;
+    },
+
+    async ping() {
+      await writeQueue;
+      return {
+        backend: 'file',
+        file: filePath,
+        records: state.lottery_records.length,
+      };
+    },
+
+    // ---- 抽奖记录 ----
+
+    async listRecordsByWallet(walletAddress, limit) {
+      return state.lottery_records
+        .filter(r => r.wallet_address === walletAddress)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id)
+        .slice(0, limit)
+        .map(pickRecord);
+    },
+
+    async findRecordForWallet(recordId, walletAddress) {
+      const row = findRecord(recordId, walletAddress);
+      return row ? pickRecord(row) : null;
+    },
+
+    // 管理后台按ID查询（含发货信息）
+    async findRecord(recordId) {
+      const row = state.lottery_records.find(r => r.id === Number(recordId));
+      return row ? pickClaim(row) : null;
+    },
+
+    // 幂等写入抽奖结果，返回该交易对应的全部记录
+    async insertDrawResults(draws) {
+      const rows = buildDrawRows(draws);
+      const key = r => `${r.tx_hash}:${r.log_index}:${r.result_index}`;
+      const existing = new Set(state.lottery_records.map(key));
+
+      let inserted = 0;
+      for (const row of rows) {
+        if (existing.has(key(row))) continue;
+        const timestamp = now();
+        state.sequences.lottery_records += 1;
+        state.lottery_records.push({
+          id: state.sequences.lottery_records,
+          ...row,
+          amount: null,
+          status: 'confirmed',
+          email: null,
+          lang: null,
+          claim_status: 'unclaimed',
+          claimed_at: null,
+          carrier: null,
+          tracking_number: null,
+          created_at: row.created_at.toISOString(),
+          updated_at: timestamp,
+        });
+        existing.add(key(row));
+        inserted++;
+      }
+      if (inserted > 0) await persist();
+
+      const txHashes = new Set(rows.map(r => r.tx_hash));
+      return state.lottery_records
+        .filter(r => txHashes.has(r.tx_hash))
+        .sort((a, b) => a.block_number - b.block_number || a.log_index - b.log_index || a.result_index - b.result_index)
+        .map(pickRecord);
+    },
+
+    /**
+     * 保存领取时提交的邮箱与语言、记录首次领取时间，并将领取状态从 from 变更为 to（两者相同时只保存邮箱）
+     * 返回是否保存成功（记录不属于该钱包或当前状态不是 from 时不修改）
+     */
+    async markRecordClaimed(recordId, walletAddress, { email, lang, from, to, actor }) {
+      const row = findRecord(recordId, walletAddress);
+      if (!row || claimStatusOf(row) !== from) return false;
+      const timestamp = now();
+      row.email = email;
+      row.lang = lang;
+      row.claim_status = to;
+      row.claimed_at = row.claimed_at || timestamp;
+      row.updated_at = timestamp;
+      if (from !== to) {
+        state.sequences.claim_events += 1;
+        state.claim_events.push({
+          id: state.sequences.claim_events,
+          record_id: row.id,
+          from_status: from,
+          to_status: to,
+          carrier: null,
+          tracking_number: null,
+          note: null,
+          actor,
+          created_at: timestamp,
+        });
+      }
+      await persist();
+      return true;
+    },
+
+    /**
+     * 领取状态从 from 变更为 to 并写入时间线，返回是否变更成功（当前状态不是 from 时不修改）
+     * 承运商与运单号为空时保留原值
+     */
+    async transitionClaim(recordId, from, to, { carrier, trackingNumber, note, actor }) {
+      const row = state.lottery_records.find(r => r.id === Number(recordId));
+      if (!row || claimStatusOf(row) !== from) return false;
+      const timestamp = now();
+      row.claim_status = to;
+      row.carrier = carrier || row.carrier || null;
+      row.tracking_number = trackingNumber || row.tracking_number || null;
+      row.updated_at = timestamp;
+      state.sequences.claim_events += 1;
+      state.claim_events.push({
+        id: state.sequences.claim_events,
+        record_id: row.id,
+        from_status: from,
+        to_status: to,
+        carrier: carrier || null,
+        tracking_number: trackingNumber || null,
+        note: note || null,
+        actor,
+        created_at: timestamp,
+      });
+      await persist();
+      return true;
+    },
+
+    // 中奖记录的状态变更时间线（按发生顺序）
+    async listClaimEvents(recordId) {
+      return state.claim_events
+        .filter(e => e.record_id === Number(recordId))
+        .sort((a, b) => a.id - b.id)
+        .map(e => ({ ...e }));
+    },
+
+    // ---- 收货信息（密文，由调用方加解密） ----
+
+    async saveShippingDetails(recordId, encrypted) {
+      const id = Number(recordId);
+      const timestamp = now();
+      const existing = state.shipping_details[id];
+      state.shipping_details[id] = {
+        record_id: id,
+        encrypted,
+        created_at: existing ? existing.created_at : timestamp,
+        updated_at: timestamp,
+      };
+      await persist();
+    },
+
+    // 返回 { record_id, encrypted, created_at, updated_at } 列表，未提交收货信息的记录不在结果中
+    async listShippingDetails(recordIds) {
+      return recordIds
+        .map(id => state.shipping_details[Number(id)])
+        .filter(Boolean)
+        .map(row => ({ ...row }));
+    },
+
+    /**
+     * 管理后台按条件分页查询中奖记录（按创建时间倒序）
+     * @param {object} filters - { prizes: number[], claimStatuses: string[], hasEmail: boolean|null, from, to }
+     */
+    async listClaims({ prizes, claimStatuses, hasEmail, from, to }, { limit, offset }) {
+      const rows = state.lottery_records
+        .filter(r => {
+          const day = statsDay(r.created_at);
+          if ((from && day < from) || (to && day > to)) return false;
+          if (prizes && prizes.length && !prizes.includes(r.prize)) return false;
+          if (claimStatuses && claimStatuses.length && !claimStatuses.includes(claimStatusOf(r))) return false;
+          if (hasEmail !== null && hasEmail !== undefined && Boolean(r.email) !== hasEmail) return false;
+          return true;
+        })
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+      return { total: rows.length, records: rows.slice(offset, offset + limit).map(pickClaim) };
+    },
+
+    // ---- 商城订单 ----
+
+    async createOrder(order) {
+      const timestamp = now();
+      const row = {
+        id: order.id,
+        product_id: order.product_id,
+        product_name: order.product_name,
+        usd_price: order.usd_price,
+        email: order.email,
+        lang: order.lang,
+        token_amount: order.token_amount,
+        payment_address: order.payment_address,
+        status: 'pending',
+        tx_hash: null,
+        paid_at: null,
+        expires_at: new Date(Date.parse(timestamp) + order.ttl_seconds * 1000).toISOString(),
+        created_at: timestamp,
+        updated_at: timestamp,
+      };
+      state.orders.push(row);
+      await persist();
+      return { ...row };
+    },
+
+    async findOrder(orderId) {
+      const row = state.orders.find(o => o.id === orderId);
+      return row ? { ...row } : null;
+    },
+
+    // 同一收款地址下是否已有相同金额的待支付订单（金额是订单与链上转账的唯一匹配依据）
+    async hasPendingOrderWithAmount(paymentAddress, tokenAmount) {
+      return state.orders.some(o => o.payment_address === paymentAddress
+        && o.token_amount === tokenAmount && o.status === 'pending');
+    },
+
+    // 查找可由一笔转账支付的订单：金额一致，且在 createdBefore 前创建、expiresAfter 后过期
+    // （核验滞后时订单可能已被标记过期，仍可匹配）
+    async findPayableOrder(paymentAddress, tokenAmount, { createdBefore, expiresAfter }) {
+      const created = new Date(createdBefore).toISOString();
+      const expires = new Date(expiresAfter).toISOString();
+      const row = state.orders
+        .filter(o => o.payment_address === paymentAddress && o.token_amount === tokenAmount
+          && (o.status === 'pending' || o.status === 'expired')
+          && o.created_at <= created && o.expires_at >= expires)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+      return row ? { ...row } : null;
+    },
+
+    // 返回是否标记成功（已支付的订单不会被重复标记）
+    async markOrderPaid(orderId, txHash, paidAt) {
+      const row = state.orders.find(o => o.id === orderId);
+      if (!row || (row.status !== 'pending' && row.status !== 'expired')) return false;
+      row.status = 'paid';
+      row.tx_hash = txHash;
+      row.paid_at = new Date(paidAt).toISOString();
+      row.updated_at = now();
+      await persist();
+      return true;
+    },
+
+    // 将已过支付截止时间的待支付订单标记为 expired，返回更新条数
+    async expireOverdueOrders() {
+      const timestamp = now();
+      let expired = 0;
+      for (const order of state.orders) {
+        if (order.status === 'pending' && order.expires_at <= timestamp) {
+          order.status = 'expired';
+          order.updated_at = timestamp;
+          expired++;
+        }
+      }
+      if (expired > 0) await persist();
+      return expired;
+    },
+
+    // ---- 邮件发件箱 ----
+
+    async enqueueEmail(email) {
+      const timestamp = now();
+      state.sequences.email_outbox += 1;
+      state.email_outbox.push({
+        id: state.sequences.email_outbox,
+        kind: email.kind,
+        template: email.template,
+        lang: email.lang,
+        recipient: email.recipient,
+        payload: email.payload || {},
+        raw_message: email.raw_message || null,
+        parent_id: email.parent_id || null,
+        reference: email.reference || null,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: email.max_attempts,
+        last_error: null,
+        next_attempt_at: timestamp,
+        locked_by: null,
+        locked_at: null,
+        sent_at: null,
+        created_at: timestamp,
+        updated_at: timestamp,
+      });
+      await persist();
+      return state.sequences.email_outbox;
+    },
+
+    /**
+     * 领取到期的待发送邮件：标记为 sending 并计入一次尝试
+     * 处理超过 lockTimeoutMs 仍未完成的任务（进程中途退出）会先被放回队列
+     */
+    async claimDueEmails(workerId, limit, lockTimeoutMs) {
+      const timestamp = now();
+      const staleBefore = new Date(Date.now() - lockTimeoutMs).toISOString();
+      for (const row of state.email_outbox) {
+        if (row.status === 'sending' && row.locked_at < staleBefore) {
+          Object.assign(row, { status: 'pending', locked_by: null, locked_at: null });
+        }
+      }
+      const due = state.email_outbox
+        .filter(e => e.status === 'pending' && e.next_attempt_at <= timestamp)
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at) || a.id - b.id)
+        .slice(0, limit);
+      for (const row of due) {
+        Object.assign(row, { status: 'sending', locked_by: workerId, locked_at: timestamp, updated_at: timestamp });
+        row.attempts += 1;
+      }
+      if (due.length > 0) await persist();
+      return due.map(row => ({ ...pickEmail(row), raw_message: row.raw_message }));
+    },
+
+    async markEmailSent(emailId) {
+      const row = state.email_outbox.find(e => e.id === emailId);
+      if (!row) return;
+      const timestamp = now();
+      Object.assign(row, {
+        status: 'sent', sent_at: timestamp, last_error: null, locked_by: null, locked_at: null, updated_at: timestamp,
+      });
+      await persist();
+    },
+
+    // 记录失败原因；retryDelayMs 为 null 时表示重试次数已用尽，标记为 failed
+    async markEmailFailed(emailId, error, retryDelayMs) {
+      const row = state.email_outbox.find(e => e.id === emailId);
+      if (!row) return;
+      Object.assign(row, { last_error: error, locked_by: null, locked_at: null, updated_at: now() });
+      if (retryDelayMs === null) {
+        row.status = 'failed';
+      } else {
+        row.status = 'pending';
+        row.next_attempt_at = new Date(Date.now() + retryDelayMs).toISOString();
+      }
+      await persist();
+    },
+
+    async listEmails({ status, limit, offset }) {
+      const rows = state.email_outbox
+        .filter(e => !status || e.status === status)
+        .sort((a, b) => b.id - a.id);
+      return { total: rows.length, emails: rows.slice(offset, offset + limit).map(pickEmail) };
+    },
+
+    async findEmail(emailId) {
+      const row = state.email_outbox.find(e => e.id === Number(emailId));
+      return row ? pickEmail(row) : null;
+    },
+
+    // 将失败的邮件重新放回队列并清零尝试次数，返回是否成功（仅 failed 状态可重发）
+    async requeueEmail(emailId) {
+      const row = state.email_outbox.find(e => e.id === Number(emailId));
+      if (!row || row.status !== 'failed') return false;
+      const timestamp = now();
+      Object.assign(row, { status: 'pending', attempts: 0, next_attempt_at: timestamp, updated_at: timestamp });
+      await persist();
+      return true;
+    },
+
+    // ---- 收件箱回复 ----
+
+    // 已处理的最大 UID（UIDVALIDITY 变化后从 0 开始）
+    async getInboxCursor(mailbox, uidValidity) {
+      return state.inbox_replies
+        .filter(r => r.mailbox === mailbox && r.uid_validity === uidValidity)
+        .reduce((max, r) => Math.max(max, r.uid), 0);
+    },
+
+    // 保存一封已处理的邮件，返回ID；同一邮件已保存过时返回 null
+    async saveInboxReply(reply) {
+      const duplicate = state.inbox_replies.some(r => r.mailbox === reply.mailbox
+        && r.uid_validity === reply.uid_validity && r.uid === reply.uid);
+      if (duplicate) return null;
+      const timestamp = now();
+      state.sequences.inbox_replies += 1;
+      state.inbox_replies.push({
+        id: state.sequences.inbox_replies,
+        mailbox: reply.mailbox,
+        uid_validity: reply.uid_validity,
+        uid: reply.uid,
+        message_id: reply.message_id || null,
+        from_address: reply.from_address || null,
+        subject: reply.subject || null,
+        received_at: reply.received_at ? new Date(reply.received_at).toISOString() : null,
+        record_id: reply.record_id || null,
+        match_method: reply.match_method || null,
+        status: reply.status,
+        review_reason: reply.review_reason || null,
+        encrypted: reply.encrypted || null,
+        created_at: timestamp,
+        updated_at: timestamp,
+      });
+      await persist();
+      return state.sequences.inbox_replies;
+    },
+
+    // 自动关联后保存收货地址失败时，将回复改回 needs_review 待人工处理
+    async flagInboxReply(replyId, reviewReason) {
+      const row = state.inbox_replies.find(r => r.id === Number(replyId));
+      if (!row || row.status !== 'linked') return false;
+      Object.assign(row, { status: 'needs_review', review_reason: reviewReason, updated_at: now() });
+      await persist();
+      return true;
+    },
+
+    async listInboxReplies({ status, limit, offset }) {
+      const rows = state.inbox_replies
+        .filter(r => !status || r.status === status)
+        .sort((a, b) => b.id - a.id);
+      return { total: rows.length, replies: rows.slice(offset, offset + limit).map(pickInboxReply) };
+    },
+
+    async findInboxReply(replyId) {
+      const row = state.inbox_replies.find(r => r.id === Number(replyId));
+      return row ? { ...row } : null;
+    },
+
+    // 人工处理待处理的回复（关联到记录或忽略），返回是否成功（仅 needs_review 状态可处理）
+    async resolveInboxReply(replyId, { status, recordId, matchMethod }) {
+      const row = state.inbox_replies.find(r => r.id === Number(replyId));
+      if (!row || row.status !== 'needs_review') return false;
+      Object.assign(row, {
+        status,
+        record_id: recordId || row.record_id,
+        match_method: matchMethod || row.match_method,
+        updated_at: now(),
+      });
+      await persist();
+      return true;
+    },
+
+    // ---- 统计 ----
+
+    // 按日期范围（DB_TIMEZONE 自然日，含首尾，可为空）聚合抽奖记录
+    async getLotteryStats({ from, to }) {
+      const rows = state.lottery_records.filter(r => {
+        const day = statsDay(r.created_at);
+        return (!from || day >= from) && (!to || day <= to);
+      });
+
+      const prizeCounts = {};
+      const perDay = new Map();
+      const players = new Set();
+      const merchStatuses = Object.fromEntries(CLAIM_STATUSES.map(status => [status, 0]));
+      for (const r of rows) {
+        players.add(r.wallet_address);
+        if (r.prize !== null) prizeCounts[r.prize] = (prizeCounts[r.prize] || 0) + 1;
+        const day = statsDay(r.created_at);
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+        if (MERCH_PRIZE_IDS.includes(r.prize)) {
+          const status = claimStatusOf(r);
+          merchStatuses[status] = (merchStatuses[status] || 0) + 1;
+        }
+      }
+
+      return {
+        totalDraws: rows.length,
+        uniquePlayers: players.size,
+        prizeCounts,
+        drawsPerDay: [...perDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, count]) => ({ date, count })),
+        merch: {
+          claimed: CLAIMED_STATUSES.reduce((sum, status) => sum + merchStatuses[status], 0),
+          unclaimed: merchStatuses.unclaimed,
+          statuses: merchStatuses,
+        },
+      };
+    },
+
+    // ---- 审计日志（只追加） ----
+
+    async appendAuditLog({ action, actor, walletAddress, ip, requestId, target, before, after, details }) {
+      state.sequences.audit_log += 1;
+      const id = state.sequences.audit_log;
+      state.audit_log.push({
+        id,
+        action,
+        actor,
+        wallet_address: walletAddress || null,
+        ip: ip || null,
+        request_id: requestId || null,
+        target: target || null,
+        before_value: before === undefined ? null : before,
+        after_value: after === undefined ? null : after,
+        details: details || null,
+        created_at: now(),
+      });
+      await persist();
+      return id;
+    },
+
+    // 按条件查询审计日志（按ID倒序），日期为 DB_TIMEZONE 自然日
+    async listAuditLog({ action, actor, walletAddress, target, requestId, from, to }, { limit, offset }) {
+      const exact = { action, actor, wallet_address: walletAddress, target, request_id: requestId };
+      const rows = state.audit_log
+        .filter(e => {
+          const day = statsDay(e.created_at);
+          if ((from && day < from) || (to && day > to)) return false;
+          return Object.entries(exact).every(([field, value]) => !value || e[field] === value);
+        })
+        .sort((a, b) => b.id - a.id);
+      return {
+        total: rows.length,
+        entries: rows.slice(offset, offset + limit).map(e => pickFields(e, AUDIT_FIELDS)),
+      };
+    },
+
+    // ---- 接口限流 ----
+
+    // 计数键的请求数加一（窗口已过期时重新开始），返回 { count, resetAt }（resetAt 为毫秒时间戳）
+    async hitRateLimit(bucket, windowMs) {
+      const timestamp = Date.now();
+      let entry = rateLimits.get(bucket);
+      if (!entry || entry.resetAt <= timestamp) {
+        entry = { count: 0, resetAt: timestamp + windowMs };
+        rateLimits.set(bucket, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+
+    async purgeRateLimits() {
+      const timestamp = Date.now();
+      let purged = 0;
+      for (const [bucket, entry] of rateLimits) {
+        if (entry.resetAt <= timestamp) {
+          rateLimits.delete(bucket);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    // ---- 索引器 ----
+
+    async getIndexerCursor(name) {
+      const cursor = state.indexer_cursors[name];
+      if (!cursor) return null;
+      return { blockNumber: cursor.block_number, blockHash: cursor.block_hash };
+    },
+
+    async saveIndexerCursor(name, blockNumber, blockHash) {
+      state.indexer_cursors[name] = { block_number: blockNumber, block_hash: blockHash, updated_at: now() };
+      await persist();
+    },
+
+    // 自 fromBlock 起有抽奖记录的区块（去重），供重组复核
+    async listRecordBlocksSince(fromBlock) {
+      const blocks = new Map();
+      for (const r of state.lottery_records) {
+        if (r.block_number >= fromBlock && r.block_hash) {
+          blocks.set(`${r.block_number}:${r.block_hash}`, { blockNumber: r.block_number, blockHash: r.block_hash });
+        }
+      }
+      return [...blocks.values()].sort((a, b) => a.blockNumber - b.blockNumber);
+    },
+
+    // 删除指定区块（按哈希区分分叉）的记录，返回删除条数
+    async deleteRecordsInBlock(blockNumber, blockHash) {
+      const before = state.lottery_records.length;
+      state.lottery_records = state.lottery_records.filter(
+        r => !(r.block_number === blockNumber && r.block_hash === blockHash)
+      );
+      const deleted = before - state.lottery_records.length;
+      if (deleted > 0) await persist();
+      return deleted;
+    },
+  };
+}
+
+module.exports = { createFileRepository };
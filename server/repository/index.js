@@ -0,0 +1,20 @@
+const { config } = require('../config');
+const { createMysqlRepository } = require('./mysql');
+const { createFileRepository } = require('./file');
+
+// 存储层入口：路由与索引器只通过 getRepository() 访问数据，不直接拼写 SQL
+// STORAGE_BACKEND=mysql|file 显式指定后端；未指定时已配置数据库则用 MySQL，否则使用 JSON 文件存储
+// 文件路径由 FILE_STORAGE_PATH 指定（相对路径基于仓库根目录），默认 data/xwawa-dev.json；两项均由 server/config.js 校验
+
+let repository;
+
+function getRepository() {
+  if (!repository) {
+    repository = config.storage.backend === 'mysql'
+      ? createMysqlRepository()
+      : createFileRepository(config.storage.filePath);
+  }
+  return repository;
+}
+
+module.exports = { getRepository };
@@ -0,0 +1,667 @@
+const { getPool, closePool } = require('../db');
+const { config } = require('../config');
+const { migrateUp } = require('../migrate');
+const { logger } = require('../logger');
+const { buildDrawRows, MERCH_PRIZE_IDS, CLAIM_STATUSES, CLAIMED_STATUSES } = require('./rows');
+
+// MySQL 存储后端：生产环境使用，表结构由 server/migrations 管理
+
+const RECORD_COLUMNS = `id, wallet_address, prize, amount, tx_hash, status, block_number, log_index, result_index,
+  email, lang, claim_status, claimed_at, created_at, updated_at`;
+
+// 管理后台的中奖记录额外返回发货信息（公开的中奖历史不返回运单号）
+const CLAIM_COLUMNS = `${RECORD_COLUMNS}, carrier, tracking_number`;
+
+const CLAIM_EVENT_COLUMNS = 'id, record_id, from_status, to_status, carrier, tracking_number, note, actor, created_at';
+
+const ORDER_COLUMNS = `id, product_id, product_name, usd_price, email, lang, token_amount, payment_address, status,
+  tx_hash, paid_at, expires_at, created_at, updated_at`;
+
+// 列表查询不返回 raw_message（可能很大），仅在领取任务时读取
+const EMAIL_COLUMNS = `id, kind, template, lang, recipient, payload, parent_id, reference, status, attempts, max_attempts,
+  last_error, next_attempt_at, sent_at, created_at, updated_at`;
+
+// 列表查询不返回密文，仅在查看单条时读取
+const INBOX_REPLY_COLUMNS = `id, mailbox, uid_validity, uid, message_id, from_address, subject, received_at, record_id,
+  match_method, status, review_reason, created_at, updated_at`;
+
+const AUDIT_COLUMNS = `id, action, actor, wallet_address, ip, request_id, target, before_value, after_value, details,
+  created_at`;
+
+function parseEmailRow(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+function parseJsonColumn(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+function toJsonColumn(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function parseAuditRow(row) {
+  return {
+    ...row,
+    before_value: parseJsonColumn(row.before_value),
+    after_value: parseJsonColumn(row.after_value),
+    details: parseJsonColumn(row.details),
+  };
+}
+
+// 数据库查询重试：仅对连接类错误退避重试，其余错误直接抛出
+async function executeWithRetry(pool, sql, params, maxRetries = 3) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const [rows] = await pool.execute(sql, params);
+      return rows;
+    } catch (err) {
+      logger.error('数据库查询失败', { attempt, max_retries: maxRetries, err });
+
+      if (attempt === maxRetries) {
+        throw err;
+      }
+
+      // 如果是连接错误，等待一段时间后重试
+      if (err.code === 'ECONNRESET' || err.code === 'PROTOCOL_CONNECTION_LOST') {
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      } else {
+        throw err; // 非连接错误直接抛出
+      }
+    }
+  }
+}
+
+// 日期范围条件（DB_TIMEZONE 自然日，含首尾，可为空）
+function dateRangeConditions(from, to) {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+  return { conditions, params };
+}
+
+function createMysqlRepository() {
+  const pool = getPool();
+
+  return {
+    backend: 'mysql',
+
+    // 启动时执行待执行的迁移，返回本次执行的版本列表
+    async init() {
+      return migrateUp();
+    },
+
+    async close() {
+      await closePool();
+    },
+
+    async ping() {
+      const [okRows] = await pool.query('SELECT 1 AS ok');
+      const [verRows] = await pool.query('SELECT VERSION() AS version');
+      return {
+        backend: 'mysql',
+        db_host: config.db.host,
+        result: okRows && okRows[0],
+        version: verRows && verRows[0] && verRows[0].version,
+      };
+    },
+
+    // ---- 抽奖记录 ----
+
+    async listRecordsByWallet(walletAddress, limit) {
+      const sql = `
+        SELECT ${RECORD_COLUMNS}
+        FROM lottery_records
+        WHERE wallet_address = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+      `;
+      return executeWithRetry(pool, sql, [walletAddress, limit]);
+    },
+
+    async findRecordForWallet(recordId, walletAddress) {
+      const [rows] = await pool.execute(
+        `SELECT ${RECORD_COLUMNS} FROM lottery_records WHERE id = ? AND wallet_address = ?`,
+        [recordId, walletAddress]
+      );
+      return rows[0] || null;
+    },
+
+    // 管理后台按ID查询（含发货信息）
+    async findRecord(recordId) {
+      const [rows] = await pool.execute(`SELECT ${CLAIM_COLUMNS} FROM lottery_records WHERE id = ?`, [recordId]);
+      return rows[0] || null;
+    },
+
+    // 幂等写入抽奖结果，返回该交易对应的全部记录
+    async insertDrawResults(draws) {
+      const rows = buildDrawRows(draws);
+      const sql = `
+        INSERT INTO lottery_records
+          (wallet_address, prize, amount, tx_hash, status, block_number, block_hash, log_index, result_index, created_at)
+        VALUES (?, ?, NULL, ?, 'confirmed', ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = id
+      `;
+      for (const row of rows) {
+        await pool.execute(sql, [
+          row.wallet_address, row.prize, row.tx_hash,
+          row.block_number, row.block_hash, row.log_index, row.result_index, row.created_at,
+        ]);
+      }
+
+      const txHashes = [...new Set(rows.map(r => r.tx_hash))];
+      if (txHashes.length === 0) return [];
+      const [records] = await pool.query(
+        `SELECT ${RECORD_COLUMNS}
+         FROM lottery_records
+         WHERE tx_hash IN (?)
+         ORDER BY block_number, log_index, result_index`,
+        [txHashes]
+      );
+      return records;
+    },
+
+    /**
+     * 保存领取时提交的邮箱与语言、记录首次领取时间，并在同一事务中将领取状态从 from 变更为 to（两者相同时只保存邮箱）
+     * 返回是否保存成功（记录不属于该钱包或当前状态不是 from 时不修改）
+     */
+    async markRecordClaimed(recordId, walletAddress, { email, lang, from, to, actor }) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [result] = await conn.execute(
+          `UPDATE lottery_records
+           SET email = ?, lang = ?, claim_status = ?, claimed_at = COALESCE(claimed_at, NOW()), updated_at = NOW()
+           WHERE id = ? AND wallet_address = ? AND COALESCE(claim_status, 'unclaimed') = ?`,
+          [email, lang, to, recordId, walletAddress, from]
+        );
+        if (result.affectedRows === 0) {
+          await conn.rollback();
+          return false;
+        }
+        if (from !== to) {
+          await conn.execute(
+            `INSERT INTO claim_events (record_id, from_status, to_status, carrier, tracking_number, note, actor, created_at)
+             VALUES (?, ?, ?, NULL, NULL, NULL, ?, NOW())`,
+            [recordId, from, to, actor]
+          );
+        }
+        await conn.commit();
+        return true;
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    /**
+     * 领取状态从 from 变更为 to 并写入时间线，返回是否变更成功（当前状态不是 from 时不修改）
+     * 承运商与运单号为空时保留原值
+     */
+    async transitionClaim(recordId, from, to, { carrier, trackingNumber, note, actor }) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const [result] = await conn.execute(
+          `UPDATE lottery_records
+           SET claim_status = ?, carrier = COALESCE(?, carrier), tracking_number = COALESCE(?, tracking_number),
+               updated_at = NOW()
+           WHERE id = ? AND COALESCE(claim_status, 'unclaimed') = ?`,
+          [to, carrier || null, trackingNumber || null, recordId, from]
+        );
+        if (result.affectedRows === 0) {
+          await conn.rollback();
+          return false;
+        }
+        await conn.execute(
+          `INSERT INTO claim_events (record_id, from_status, to_status, carrier, tracking_number, note, actor, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+          [recordId, from, to, carrier || null, trackingNumber || null, note || null, actor]
+        );
+        await conn.commit();
+        return true;
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // 中奖记录的状态变更时间线（按发生顺序）
+    async listClaimEvents(recordId) {
+      const [rows] = await pool.execute(
+        `SELECT ${CLAIM_EVENT_COLUMNS} FROM claim_events WHERE record_id = ? ORDER BY id`,
+        [recordId]
+      );
+      return rows;
+    },
+
+    // ---- 收货信息（密文，由调用方加解密） ----
+
+    async saveShippingDetails(recordId, encrypted) {
+      await pool.execute(
+        `INSERT INTO shipping_details (record_id, encrypted, created_at) VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE encrypted = VALUES(encrypted), updated_at = NOW()`,
+        [recordId, encrypted]
+      );
+    },
+
+    // 返回 { record_id, encrypted, created_at, updated_at } 列表，未提交收货信息的记录不在结果中
+    async listShippingDetails(recordIds) {
+      if (!recordIds.length) return [];
+      const [rows] = await pool.query(
+        'SELECT record_id, encrypted, created_at, updated_at FROM shipping_details WHERE record_id IN (?)',
+        [recordIds]
+      );
+      return rows;
+    },
+
+    /**
+     * 管理后台按条件分页查询中奖记录（按创建时间倒序）
+     * @param {object} filters - { prizes: number[], claimStatuses: string[], hasEmail: boolean|null, from, to }
+     */
+    async listClaims({ prizes, claimStatuses, hasEmail, from, to }, { limit, offset }) {
+      const { conditions, params } = dateRangeConditions(from, to);
+      if (prizes && prizes.length) {
+        conditions.push('prize IN (?)');
+        params.push(prizes);
+      }
+      if (claimStatuses && claimStatuses.length) {
+        conditions.push(`COALESCE(claim_status, 'unclaimed') IN (?)`);
+        params.push(claimStatuses);
+      }
+      if (hasEmail === true) {
+        conditions.push(`email IS NOT NULL AND email <> ''`);
+      } else if (hasEmail === false) {
+        conditions.push(`(email IS NULL OR email = '')`);
+      }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM lottery_records ${where}`, params);
+      const [rows] = await pool.query(
+        `SELECT ${CLAIM_COLUMNS} FROM lottery_records ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { total: Number(total), records: rows };
+    },
+
+    // ---- 商城订单 ----
+
+    // 过期时间与 created_at 一样取数据库时钟（NOW() + ttl_seconds），与过期清理的 expires_at <= NOW() 保持一致
+    async createOrder(order) {
+      await pool.execute(
+        `INSERT INTO orders
+           (id, product_id, product_name, usd_price, email, lang, token_amount, payment_address, status, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())`,
+        [order.id, order.product_id, order.product_name, order.usd_price, order.email, order.lang,
+          order.token_amount, order.payment_address, order.ttl_seconds]
+      );
+      return this.findOrder(order.id);
+    },
+
+    async findOrder(orderId) {
+      const [rows] = await pool.execute(`SELECT ${ORDER_COLUMNS} FROM orders WHERE id = ?`, [orderId]);
+      return rows[0] || null;
+    },
+
+    // 同一收款地址下是否已有相同金额的待支付订单（金额是订单与链上转账的唯一匹配依据）
+    async hasPendingOrderWithAmount(paymentAddress, tokenAmount) {
+      const [rows] = await pool.execute(
+        `SELECT id FROM orders WHERE payment_address = ? AND token_amount = ? AND status = 'pending' LIMIT 1`,
+        [paymentAddress, tokenAmount]
+      );
+      return rows.length > 0;
+    },
+
+    // 查找可由一笔转账支付的订单：金额一致，且在 createdBefore 前创建、expiresAfter 后过期
+    // （核验滞后时订单可能已被标记过期，仍可匹配）
+    async findPayableOrder(paymentAddress, tokenAmount, { createdBefore, expiresAfter }) {
+      const [rows] = await pool.execute(
+        `SELECT ${ORDER_COLUMNS} FROM orders
+         WHERE payment_address = ? AND token_amount = ? AND status IN ('pending', 'expired')
+           AND created_at <= ? AND expires_at >= ?
+         ORDER BY created_at
+         LIMIT 1`,
+        [paymentAddress, tokenAmount, createdBefore, expiresAfter]
+      );
+      return rows[0] || null;
+    },
+
+    // 返回是否标记成功（已支付的订单不会被重复标记）
+    async markOrderPaid(orderId, txHash, paidAt) {
+      const [result] = await pool.execute(
+        `UPDATE orders SET status = 'paid', tx_hash = ?, paid_at = ?, updated_at = NOW()
+         WHERE id = ? AND status IN ('pending', 'expired')`,
+        [txHash, paidAt, orderId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // 将已过支付截止时间的待支付订单标记为 expired，返回更新条数
+    async expireOverdueOrders() {
+      const [result] = await pool.execute(
+        `UPDATE orders SET status = 'expired', updated_at = NOW()
+         WHERE status = 'pending' AND expires_at <= NOW()`
+      );
+      return result.affectedRows;
+    },
+
+    // ---- 邮件发件箱 ----
+
+    async enqueueEmail(email) {
+      const [result] = await pool.execute(
+        `INSERT INTO email_outbox
+           (kind, template, lang, recipient, payload, raw_message, parent_id, reference, max_attempts, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [email.kind, email.template, email.lang, email.recipient, JSON.stringify(email.payload || {}),
+          email.raw_message || null, email.parent_id || null, email.reference || null, email.max_attempts]
+      );
+      return result.insertId;
+    },
+
+    /**
+     * 领取到期的待发送邮件：标记为 sending 并计入一次尝试
+     * 处理超过 lockTimeoutMs 仍未完成的任务（进程中途退出）会先被放回队列
+     */
+    async claimDueEmails(workerId, limit, lockTimeoutMs) {
+      await pool.execute(
+        `UPDATE email_outbox SET status = 'pending', locked_by = NULL, locked_at = NULL
+         WHERE status = 'sending' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+        [Math.ceil(lockTimeoutMs / 1000)]
+      );
+      await pool.query(
+        `UPDATE email_outbox
+         SET status = 'sending', locked_by = ?, locked_at = NOW(), attempts = attempts + 1
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT ?`,
+        [workerId, limit]
+      );
+      const [rows] = await pool.execute(
+        `SELECT ${EMAIL_COLUMNS}, raw_message FROM email_outbox
+         WHERE status = 'sending' AND locked_by = ?
+         ORDER BY id`,
+        [workerId]
+      );
+      return rows.map(parseEmailRow);
+    },
+
+    async markEmailSent(emailId) {
+      await pool.execute(
+        `UPDATE email_outbox
+         SET status = 'sent', sent_at = NOW(), last_error = NULL, locked_by = NULL, locked_at = NULL
+         WHERE id = ?`,
+        [emailId]
+      );
+    },
+
+    // 记录失败原因；retryDelayMs 为 null 时表示重试次数已用尽，标记为 failed
+    async markEmailFailed(emailId, error, retryDelayMs) {
+      if (retryDelayMs === null) {
+        await pool.execute(
+          `UPDATE email_outbox SET status = 'failed', last_error = ?, locked_by = NULL, locked_at = NULL
+           WHERE id = ?`,
+          [error, emailId]
+        );
+        return;
+      }
+      await pool.execute(
+        `UPDATE email_outbox
+         SET status = 'pending', last_error = ?, locked_by = NULL, locked_at = NULL,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id = ?`,
+        [error, Math.ceil(retryDelayMs / 1000), emailId]
+      );
+    },
+
+    async listEmails({ status, limit, offset }) {
+      const where = status ? 'WHERE status = ?' : '';
+      const params = status ? [status] : [];
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM email_outbox ${where}`, params);
+      const [rows] = await pool.query(
+        `SELECT ${EMAIL_COLUMNS} FROM email_outbox ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { total: Number(total), emails: rows.map(parseEmailRow) };
+    },
+
+    async findEmail(emailId) {
+      const [rows] = await pool.execute(`SELECT ${EMAIL_COLUMNS} FROM email_outbox WHERE id = ?`, [emailId]);
+      return rows[0] ? parseEmailRow(rows[0]) : null;
+    },
+
+    // 将失败的邮件重新放回队列并清零尝试次数，返回是否成功（仅 failed 状态可重发）
+    async requeueEmail(emailId) {
+      const [result] = await pool.execute(
+        `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+         WHERE id = ? AND status = 'failed'`,
+        [emailId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // ---- 收件箱回复 ----
+
+    // 已处理的最大 UID（UIDVALIDITY 变化后从 0 开始）
+    async getInboxCursor(mailbox, uidValidity) {
+      const [[row]] = await pool.query(
+        'SELECT MAX(uid) AS uid FROM inbox_replies WHERE mailbox = ? AND uid_validity = ?',
+        [mailbox, uidValidity]
+      );
+      return Number(row.uid || 0);
+    },
+
+    // 保存一封已处理的邮件，返回ID；同一邮件已保存过时返回 null
+    async saveInboxReply(reply) {
+      const [result] = await pool.execute(
+        `INSERT INTO inbox_replies
+           (mailbox, uid_validity, uid, message_id, from_address, subject, received_at, record_id, match_method,
+            status, review_reason, encrypted, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE id = id`,
+        [reply.mailbox, reply.uid_validity, reply.uid, reply.message_id || null, reply.from_address || null,
+          reply.subject || null, reply.received_at || null, reply.record_id || null, reply.match_method || null,
+          reply.status, reply.review_reason || null, reply.encrypted || null]
+      );
+      return result.affectedRows === 1 ? result.insertId : null;
+    },
+
+    // 自动关联后保存收货地址失败时，将回复改回 needs_review 待人工处理
+    async flagInboxReply(replyId, reviewReason) {
+      const [result] = await pool.execute(
+        `UPDATE inbox_replies SET status = 'needs_review', review_reason = ?, updated_at = NOW()
+         WHERE id = ? AND status = 'linked'`,
+        [reviewReason, replyId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    async listInboxReplies({ status, limit, offset }) {
+      const where = status ? 'WHERE status = ?' : '';
+      const params = status ? [status] : [];
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM inbox_replies ${where}`, params);
+      const [rows] = await pool.query(
+        `SELECT ${INBOX_REPLY_COLUMNS} FROM inbox_replies ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { total: Number(total), replies: rows };
+    },
+
+    async findInboxReply(replyId) {
+      const [rows] = await pool.execute(
+        `SELECT ${INBOX_REPLY_COLUMNS}, encrypted FROM inbox_replies WHERE id = ?`,
+        [replyId]
+      );
+      return rows[0] || null;
+    },
+
+    // 人工处理待处理的回复（关联到记录或忽略），返回是否成功（仅 needs_review 状态可处理）
+    async resolveInboxReply(replyId, { status, recordId, matchMethod }) {
+      const [result] = await pool.execute(
+        `UPDATE inbox_replies
+         SET status = ?, record_id = COALESCE(?, record_id), match_method = COALESCE(?, match_method), updated_at = NOW()
+         WHERE id = ? AND status = 'needs_review'`,
+        [status, recordId || null, matchMethod || null, replyId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // ---- 统计 ----
+
+    // 按日期范围（DB_TIMEZONE 自然日，含首尾，可为空）聚合抽奖记录
+    async getLotteryStats({ from, to }) {
+      const { conditions, params } = dateRangeConditions(from, to);
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const merchWhere = `WHERE ${[...conditions, 'prize IN (?)'].join(' AND ')}`;
+
+      const [[totals]] = await pool.query(
+        `SELECT COUNT(*) AS draws, COUNT(DISTINCT wallet_address) AS players FROM lottery_records ${where}`,
+        params
+      );
+      const [prizeRows] = await pool.query(
+        `SELECT prize, COUNT(*) AS count FROM lottery_records ${where} GROUP BY prize`,
+        params
+      );
+      const [dayRows] = await pool.query(
+        `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS day, COUNT(*) AS count
+         FROM lottery_records ${where}
+         GROUP BY day ORDER BY day`,
+        params
+      );
+      const [merchRows] = await pool.query(
+        `SELECT COALESCE(claim_status, 'unclaimed') AS claim_status, COUNT(*) AS count
+         FROM lottery_records ${merchWhere}
+         GROUP BY COALESCE(claim_status, 'unclaimed')`,
+        [...params, MERCH_PRIZE_IDS]
+      );
+
+      const merchStatuses = Object.fromEntries(CLAIM_STATUSES.map(status => [status, 0]));
+      for (const row of merchRows) merchStatuses[row.claim_status] = Number(row.count);
+      const prizeCounts = {};
+      for (const row of prizeRows) {
+        if (row.prize !== null) prizeCounts[row.prize] = Number(row.count);
+      }
+      return {
+        totalDraws: Number(totals.draws),
+        uniquePlayers: Number(totals.players),
+        prizeCounts,
+        drawsPerDay: dayRows.map(r => ({ date: r.day, count: Number(r.count) })),
+        merch: {
+          claimed: CLAIMED_STATUSES.reduce((sum, status) => sum + merchStatuses[status], 0),
+          unclaimed: merchStatuses.unclaimed,
+          statuses: merchStatuses,
+        },
+      };
+    },
+
+    // ---- 审计日志（只追加） ----
+
+    async appendAuditLog({ action, actor, walletAddress, ip, requestId, target, before, after, details }) {
+      const [result] = await pool.execute(
+        `INSERT INTO audit_log
+           (action, actor, wallet_address, ip, request_id, target, before_value, after_value, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [action, actor, walletAddress || null, ip || null, requestId || null, target || null,
+          toJsonColumn(before), toJsonColumn(after), toJsonColumn(details)]
+      );
+      return result.insertId;
+    },
+
+    // 按条件查询审计日志（按ID倒序），日期为 DB_TIMEZONE 自然日
+    async listAuditLog({ action, actor, walletAddress, target, requestId, from, to }, { limit, offset }) {
+      const { conditions, params } = dateRangeConditions(from, to);
+      const exact = { action, actor, wallet_address: walletAddress, target, request_id: requestId };
+      for (const [column, value] of Object.entries(exact)) {
+        if (value) {
+          conditions.push(`${column} = ?`);
+          params.push(value);
+        }
+      }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+      const [rows] = await pool.query(
+        `SELECT ${AUDIT_COLUMNS} FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { total: Number(total), entries: rows.map(parseAuditRow) };
+    },
+
+    // ---- 接口限流 ----
+
+    // 计数键的请求数加一（窗口已过期时重新开始），返回 { count, resetAt }（resetAt 为毫秒时间戳）
+    async hitRateLimit(bucket, windowMs) {
+      await pool.execute(
+        `INSERT INTO rate_limits (bucket, hits, reset_at)
+         VALUES (?, 1, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+         ON DUPLICATE KEY UPDATE
+           hits = IF(reset_at <= NOW(3), 1, hits + 1),
+           reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+        [bucket, windowMs * 1000]
+      );
+      const [[row]] = await pool.query(
+        'SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) AS remaining_us FROM rate_limits WHERE bucket = ?',
+        [bucket]
+      );
+      return { count: Number(row.hits), resetAt: Date.now() + Math.max(0, Number(row.remaining_us)) / 1000 };
+    },
+
+    async purgeRateLimits() {
+      const [result] = await pool.execute('DELETE FROM rate_limits WHERE reset_at < NOW(3)');
+      return result.affectedRows;
+    },
+
+    // ---- 索引器 ----
+
+    async getIndexerCursor(name) {
+      const [rows] = await pool.execute(
+        'SELECT block_number, block_hash FROM indexer_cursors WHERE name = ?',
+        [name]
+      );
+      if (rows.length === 0) return null;
+      return { blockNumber: Number(rows[0].block_number), blockHash: rows[0].block_hash };
+    },
+
+    async saveIndexerCursor(name, blockNumber, blockHash) {
+      await pool.execute(
+        `INSERT INTO indexer_cursors (name, block_number, block_hash) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE block_number = VALUES(block_number), block_hash = VALUES(block_hash)`,
+        [name, blockNumber, blockHash]
+      );
+    },
+
+    // 自 fromBlock 起有抽奖记录的区块（去重），供重组复核
+    async listRecordBlocksSince(fromBlock) {
+      const [rows] = await pool.execute(
+        `SELECT DISTINCT block_number, block_hash FROM lottery_records
+         WHERE block_number >= ? AND block_hash IS NOT NULL
+         ORDER BY block_number`,
+        [fromBlock]
+      );
+      return rows.map(r => ({ blockNumber: Number(r.block_number), blockHash: r.block_hash }));
+    },
+
+    // 删除指定区块（按哈希区分分叉）的记录，返回删除条数
+    async deleteRecordsInBlock(blockNumber, blockHash) {
+      const [result] = await pool.execute(
+        'DELETE FROM lottery_records WHERE block_number = ? AND block_hash = ?',
+        [blockNumber, blockHash]
+      );
+      return result.affectedRows;
+    },
+  };
+}
+
+module.exports = { createMysqlRepository };
@@ -0,0 +1,56 @@
+const { config } = require('../config');
+
+// lottery_records 行结构：由链上 Draw 事件展开为每个抽奖结果一行
+// (tx_hash, log_index, result_index) 唯一，重复提交同一交易不会产生重复记录
+
+// 奖项定义，与前端 js/lottery.js 的 PRIZES 保持一致
+const PRIZE_NAMES = {
+  0: 'First Prize',
+  1: 'Second Prize',
+  2: 'Third Prize',
+  3: 'Pool Dividend',
+  4: 'Double Reward',
+  5: 'Thank You',
+};
+const PRIZE_IDS = Object.keys(PRIZE_NAMES).map(Number);
+const MERCH_PRIZE_IDS = [0, 1, 2]; // 一二三等奖为实物奖品，需要填写邮箱领取
+
+// 实物奖品的领取状态（claim_status），流转规则见 server/fulfilment.js
+const CLAIM_STATUSES = [
+  'unclaimed', 'email_submitted', 'address_confirmed', 'shipped', 'delivered', 'expired', 'rejected',
+];
+// 中奖人已提交领取的状态，统计中计为已领取
+const CLAIMED_STATUSES = ['email_submitted', 'address_confirmed', 'shipped', 'delivered'];
+
+// 统计按 DB_TIMEZONE 的自然日划分（默认 +08:00），与 db.js 连接及会话时区一致
+const STATS_UTC_OFFSET_MS = config.db.utcOffsetMs;
+
+// 将解析后的 Draw 事件展开为行数据
+function buildDrawRows(draws) {
+  const rows = [];
+  for (const draw of draws) {
+    draw.winningTypes.forEach((prize, resultIndex) => {
+      rows.push({
+        wallet_address: draw.player,
+        prize,
+        tx_hash: draw.txHash,
+        block_number: draw.blockNumber,
+        block_hash: draw.blockHash,
+        log_index: draw.logIndex,
+        result_index: resultIndex,
+        created_at: draw.blockTime,
+      });
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  PRIZE_NAMES,
+  PRIZE_IDS,
+  MERCH_PRIZE_IDS,
+  CLAIM_STATUSES,
+  CLAIMED_STATUSES,
+  STATS_UTC_OFFSET_MS,
+  buildDrawRows,
+};
@@ -0,0 +1,51 @@
+const { encryptJson, decryptJson } = require('./encryption');
+const { logger } = require('./logger');
+
+// 收货信息：姓名、电话、地址加密后保存在 shipping_details，密文绑定所属中奖记录
+// 来源（source）：web（抽奖页表单）、email_reply（中奖人回复邮件，见 server/inbox.js）
+
+const SHIPPING_FIELD_LIMITS = { name: 100, phone: 40, address: 500 };
+
+function shippingAad(recordId) {
+  return `lottery_record:${recordId}`;
+}
+
+// 解密一批记录的收货信息，返回 Map<record_id, { name, phone, address, source, updated_at } | { error }>
+async function loadShippingDetails(repo, recordIds) {
+  const details = new Map();
+  for (const row of await repo.listShippingDetails(recordIds)) {
+    try {
+      details.set(Number(row.record_id), {
+        ...decryptJson(row.encrypted, shippingAad(row.record_id)),
+        updated_at: row.updated_at,
+      });
+    } catch (err) {
+      logger.error('解密收货信息失败', { record_id: row.record_id, err });
+      details.set(Number(row.record_id), { error: err.code === 'ENCRYPTION_NOT_CONFIGURED' ? err.message : '收货信息解密失败' });
+    }
+  }
+  return details;
+}
+
+/**
+ * 保存收货信息
+ * @param {object} shipping - { name, phone, address, source }
+ * @param {boolean} merge - 为 true 时保留已有信息中本次未提供的字段（如回复邮件只含地址）
+ */
+async function saveShippingDetails(repo, recordId, shipping, { merge = false } = {}) {
+  let value = shipping;
+  if (merge) {
+    const existing = (await loadShippingDetails(repo, [recordId])).get(Number(recordId));
+    if (existing && !existing.error) {
+      const { updated_at, ...fields } = existing;
+      value = { ...fields, ...shipping };
+    }
+  }
+  await repo.saveShippingDetails(recordId, encryptJson(value, shippingAad(recordId)));
+}
+
+module.exports = {
+  SHIPPING_FIELD_LIMITS,
+  loadShippingDetails,
+  saveShippingDetails,
+};
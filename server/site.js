@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const compression = require('compression');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// 静态站点（SERVE_SITE=true 时启用）：由 API 进程直接提供页面、Lottery.abi、css/、js/ 与 images/，前端与 API 同源
+// - 只开放下方列出的页面与目录，仓库中的 server/、docs/、.env 等文件不会被访问到
+// - 页面中的本地资源引用在响应时追加内容哈希（css/style.css?v=<哈希>）；带当前哈希的请求长期缓存（immutable），
+//   其余资源缓存 SITE_ASSET_MAX_AGE 秒，页面与 Lottery.abi 每次协商缓存（ETag）
+// - 页面附带 Content-Security-Policy：内联 <script> 按内容哈希放行，外部脚本只允许 CDN，连接只允许 API、行情、RPC 与 WalletConnect
+// - 页面注入 <meta name="api-base-url" content="same-origin">，前端据此请求同源 API（见 js/lottery.js、js/marketplace.js）
+// - 生产环境（NODE_ENV=production）启动后首次渲染的页面与资源哈希常驻内存，更新静态文件后需重启；其余环境每次请求重新计算
+
+const PAGES = ['index.html', 'about.html', 'lottery.html', 'marketplace.html'];
+const ASSET_DIRS = ['css', 'js', 'images'];
+const ABI_FILE = 'Lottery.abi';
+const IMMUTABLE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// 页面中引用本地资源的属性（不含已带查询串或锚点的地址与外部地址）
+const ASSET_REF_RE = /\b(src|href)="(?:\.\/)?((?:css|js|images)\/[^"?#]+)"/g;
+// 前端 RPC 配置所在的脚本，及其中的 RPC 地址：rpcUrl: "…"、rpcUrls: ['…']、rpcMap 中的 <chainId>: '…'
+const RPC_CONFIG_FILES = ['js/contract-config.js', 'js/web3modal-config.js'];
+const RPC_URL_RES = [
+  /\brpcUrl\s*:\s*["'](https?:\/\/[^"']+)["']/g,
+  /\brpcUrls\s*:\s*\[\s*["'](https?:\/\/[^"']+)["']/g,
+  /^\s*\d+\s*:\s*["'](https?:\/\/[^"']+)["']/gm,
+];
+// 内联脚本（无 src 属性的 <script>）
+const INLINE_SCRIPT_RE = /<script(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/gi;
+const API_BASE_META = '<meta name="api-base-url" content="same-origin">';
+
+// 页面所需的外部来源：
+// - cdn.jsdelivr.net / unpkg.com：web3、ethers、Web3Modal、WalletConnect Provider、qrcode 等脚本（含 js/web3modal-config.js 的 CDN 兜底）
+// - cdnjs.cloudflare.com：Font Awesome 样式与字体
+// - *.walletconnect.com/org、*.web3modal.com/org：WalletConnect 中继（wss）、RPC、钱包列表与图标、Verify iframe
+// - api.dexscreener.com：首页 XWAWA 价格；www.okx.com：BTC/OKB 行情
+// - RPC 节点不在此列出：由 rpcOrigins() 从前端 RPC 配置与服务端 RPC_URL 推导
+// 样式保留 'unsafe-inline'：页面大量使用 style 属性，js/wallet-manager.js 与钱包弹窗会动态插入 <style>
+const CSP_SOURCES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", 'https://cdn.jsdelivr.net', 'https://unpkg.com'],
+  'style-src': ["'self'", "'unsafe-inline'", 'https://cdnjs.cloudflare.com'],
+  'font-src': ["'self'", 'data:', 'https://cdnjs.cloudflare.com'],
+  'img-src': [
+    "'self'", 'data:', 'blob:',
+    'https://*.walletconnect.com', 'https://*.walletconnect.org', 'https://*.web3modal.com', 'https://*.web3modal.org',
+  ],
+  'connect-src': [
+    "'self'",
+    'https://api.dexscreener.com', 'https://www.okx.com',
+    'https://*.walletconnect.com', 'wss://*.walletconnect.com', 'https://*.walletconnect.org', 'wss://*.walletconnect.org',
+    'https://*.web3modal.com', 'https://*.web3modal.org',
+  ],
+  'frame-src': ['https://verify.walletconnect.com', 'https://verify.walletconnect.org'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"],
+};
+
+const settings = config.site;
+const cacheRendered = config.isProduction;
+const assetHashes = new Map();
+const renderedPages = new Map();
+
+function sha256(content, encoding) {
+  return crypto.createHash('sha256').update(content).digest(encoding);
+}
+
+/**
+ * 资源文件内容哈希（前 12 位十六进制）；文件不存在时返回 null
+ * @param {string} relPath - 相对站点根目录的路径，如 css/style.css
+ */
+function assetHash(relPath) {
+  if (cacheRendered && assetHashes.has(relPath)) return assetHashes.get(relPath);
+  let hash = null;
+  try {
+    hash = sha256(fs.readFileSync(path.join(settings.root, relPath)), 'hex').slice(0, 12);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (cacheRendered) assetHashes.set(relPath, hash);
+  return hash;
+}
+
+/**
+ * 页面会访问的 RPC 节点来源：前端 RPC 配置（含 WalletConnect rpcMap 与添加网络时的兜底地址）及服务端 RPC_URL
+ * @returns {string[]} 去重后的 scheme://host[:port]
+ */
+function rpcOrigins() {
+  const urls = config.chain.rpcUrl ? [config.chain.rpcUrl] : [];
+  for (const file of RPC_CONFIG_FILES) {
+    let source;
+    try {
+      source = fs.readFileSync(path.join(settings.root, file), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    for (const re of RPC_URL_RES) {
+      for (const [, url] of source.matchAll(re)) urls.push(url);
+    }
+  }
+  return [...new Set(urls.map(url => new URL(url).origin))];
+}
+
+function buildCsp(scriptHashes) {
+  const connectSrc = [...CSP_SOURCES['connect-src'], ...rpcOrigins(), ...settings.cspConnectSrc];
+  const sources = {
+    ...CSP_SOURCES,
+    'script-src': [...CSP_SOURCES['script-src'], ...scriptHashes],
+    'connect-src': [...new Set(connectSrc)],
+  };
+  const directives = Object.entries(sources).map(([name, values]) => `${name} ${values.join(' ')}`);
+  // 生产环境只走 HTTPS；本地开发的页面与 API 使用 http，不能升级
+  if (config.isProduction) directives.push('upgrade-insecure-requests');
+  return directives.join('; ');
+}
+
+// 读取页面：为本地资源引用追加内容哈希、注入同源 API 标记，并按内联脚本内容生成 CSP
+async function renderPage(file) {
+  if (cacheRendered && renderedPages.has(file)) return renderedPages.get(file);
+
+  const source = await fs.promises.readFile(path.join(settings.root, file), 'utf8');
+  const html = source
+    .replace(ASSET_REF_RE, (match, attr, relPath) => {
+      const hash = assetHash(relPath);
+      return hash ? `${attr}="${relPath}?v=${hash}"` : match;
+    })
+    .replace(/<head>/i, `<head>\n    ${API_BASE_META}`);
+  const scriptHashes = [...html.matchAll(INLINE_SCRIPT_RE)]
+    .map(([, content]) => `'sha256-${sha256(content, 'base64')}'`);
+
+  const page = { html, csp: buildCsp(scriptHashes) };
+  if (cacheRendered) renderedPages.set(file, page);
+  return page;
+}
+
+function setSecurityHeaders(res) {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+}
+
+function pageHandler(file) {
+  return async (req, res, next) => {
+    let page;
+    try {
+      page = await renderPage(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return next();
+      return next(err);
+    }
+    setSecurityHeaders(res);
+    res.set(settings.cspReportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', page.csp);
+    res.set('Cache-Control', 'no-cache');
+    res.type('html').send(page.html);
+  };
+}
+
+// 资源缓存：查询参数 v 与当前内容哈希一致时长期缓存，否则（旧页面的旧哈希、CSS 与脚本内的引用）短期缓存
+function assetHeaders(dir) {
+  return (res, filePath) => {
+    const relPath = `${dir}/${path.relative(path.join(settings.root, dir), filePath).split(path.sep).join('/')}`;
+    const version = res.req.query.v;
+    const cacheControl = version && version === assetHash(relPath)
+      ? `public, max-age=${IMMUTABLE_MAX_AGE_SECONDS}, immutable`
+      : `public, max-age=${settings.assetMaxAgeSeconds}`;
+    setSecurityHeaders(res);
+    res.set('Cache-Control', cacheControl);
+  };
+}
+
+/**
+ * 创建静态站点路由（挂载在全部 API 路由之后）
+ * @returns {import('express').Router}
+ */
+function createSiteRouter() {
+  const router = express.Router();
+  router.use(compression());
+
+  router.get('/', pageHandler('index.html'));
+  for (const file of PAGES) {
+    router.get(`/${file}`, pageHandler(file));
+  }
+
+  // 合约 ABI（js/contract-config.js 从页面同源读取 /Lottery.abi）
+  router.get(`/${ABI_FILE}`, (req, res, next) => {
+    setSecurityHeaders(res);
+    res.sendFile(path.join(settings.root, ABI_FILE), {
+      headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache' },
+    }, (err) => {
+      if (err) next(err.code === 'ENOENT' ? undefined : err);
+    });
+  });
+
+  for (const dir of ASSET_DIRS) {
+    router.use(`/${dir}`, express.static(path.join(settings.root, dir), {
+      index: false,
+      cacheControl: false,
+      setHeaders: assetHeaders(dir),
+    }));
+  }
+
+  logger.info('已启用静态站点', { root: settings.root, csp_report_only: settings.cspReportOnly });
+  return router;
+}
+
+module.exports = {
+  createSiteRouter,
+};
@@ -1,59 +1,37 @@
-const dotenv = require('dotenv');
-dotenv.config();
+const { config } = require('./config');
+const { createTransporter } = require('./mailer');
 
-const nodemailer = require('nodemailer');
+// SMTP 验证脚本（开发排查）：node server/verify-smtp.js
+// 使用与发件箱相同的 SMTP 配置登录，并给 SMTP_USER 自己发送一封测试邮件
 
 async function main() {
-  const host = process.env.SMTP_HOST;
-  const port = parseInt(process.env.SMTP_PORT || '465', 10);
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-  const authMethod = process.env.SMTP_AUTH_METHOD; // optional
-
-  if (!host || !user || !pass) {
-    console.error('Missing SMTP env: SMTP_HOST, SMTP_USER, SMTP_PASS');
+  if (!config.smtp.configured) {
+    console.error('SMTP 未配置：请设置 SMTP_HOST、SMTP_USER、SMTP_PASS');
     process.exit(1);
   }
 
-  const secure = port === 465;
-  const transportOptions = {
-    host,
-    port,
-    secure,
-    auth: { user, pass },
-  };
-
-  if (!secure) {
-    transportOptions.requireTLS = true;
-    transportOptions.tls = { minVersion: 'TLSv1.2' };
-  }
-
-  if (authMethod) {
-    transportOptions.authMethod = authMethod;
-  }
-
-  const transporter = nodemailer.createTransport(transportOptions);
+  const transporter = createTransporter();
 
   try {
     await transporter.verify();
-    console.log('SMTP verify success');
+    console.log(`SMTP 登录验证成功（${config.smtp.host}:${config.smtp.port}）`);
   } catch (err) {
-    console.error('SMTP verify failed:', err && err.message ? err.message : err);
+    console.error('SMTP 登录验证失败:', err && err.message ? err.message : err);
     process.exit(2);
   }
 
   try {
     const info = await transporter.sendMail({
-      from: `Xwawa Lottery <${user}>`,
-      to: user,
+      from: `Xwawa Lottery <${config.smtp.user}>`,
+      to: config.smtp.user,
       subject: 'SMTP Test: Xwawa Lottery',
       text: 'This is a test email to verify SMTP settings.',
     });
-    console.log('SMTP test email sent:', info && info.messageId ? info.messageId : info);
+    console.log('SMTP 测试邮件已发送:', info && info.messageId ? info.messageId : info);
   } catch (err) {
-    console.error('SMTP sendMail failed:', err && err.message ? err.message : err);
+    console.error('SMTP 测试邮件发送失败:', err && err.message ? err.message : err);
     process.exit(3);
   }
 }
 
-main();
\ No newline at end of file
+main();
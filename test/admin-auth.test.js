@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Wallet } = require('ethers');
+
+const superadmin = new Wallet(`0x${'11'.repeat(32)}`);
+const viewer = new Wallet(`0x${'22'.repeat(32)}`);
+const stranger = new Wallet(`0x${'33'.repeat(32)}`);
+
+process.env.JWT_SECRET = 'x'.repeat(32);
+process.env.ADMIN_OPERATORS = `${superadmin.address}:superadmin, ${viewer.address}:viewer`;
+
+const { hasRole, issueAdminNonce, adminLogin, requireAdminRole } = require('../server/admin-auth');
+const { issueNonce } = require('../server/auth');
+
+function fakeRequest(headers = {}) {
+  const all = { host: 'xwawa.example', ...headers };
+  return { protocol: 'https', get: name => all[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+async function login(wallet) {
+  const { nonce, message } = issueAdminNonce(fakeRequest(), wallet.address);
+  return adminLogin({ address: wallet.address, nonce, signature: await wallet.signMessage(message) });
+}
+
+function authorize(role, token) {
+  const req = fakeRequest(token ? { authorization: `Bearer ${token}` } : {});
+  const res = fakeResponse();
+  let passed = false;
+  requireAdminRole(role)(req, res, () => { passed = true; });
+  return { passed, req, res };
+}
+
+test('角色权限依次递增', () => {
+  assert.ok(hasRole('superadmin', 'viewer'));
+  assert.ok(hasRole('fulfilment', 'fulfilment'));
+  assert.ok(!hasRole('viewer', 'fulfilment'));
+});
+
+test('白名单内的钱包签名后获得对应角色的令牌', async () => {
+  const session = await login(superadmin);
+  assert.strictEqual(session.role, 'superadmin');
+  assert.strictEqual(session.address, superadmin.address.toLowerCase());
+  const { passed, req } = authorize('superadmin', session.token);
+  assert.ok(passed);
+  assert.deepStrictEqual(req.admin, { address: superadmin.address.toLowerCase(), role: 'superadmin' });
+});
+
+test('不在白名单的钱包返回 403', async () => {
+  await assert.rejects(login(stranger), { code: 'FORBIDDEN', status: 403 });
+});
+
+test('中奖人会话的 nonce 不能用于管理员登录', async () => {
+  const { nonce, message } = issueNonce(fakeRequest(), superadmin.address);
+  const signature = await superadmin.signMessage(message);
+  assert.throws(() => adminLogin({ address: superadmin.address, nonce, signature }), { code: 'NONCE_EXPIRED', status: 401 });
+});
+
+test('角色不足返回 403，缺少或伪造令牌返回 401', async () => {
+  const { token } = await login(viewer);
+  assert.ok(authorize('viewer', token).passed);
+  assert.strictEqual(authorize('fulfilment', token).res.statusCode, 403);
+  assert.strictEqual(authorize('viewer', null).res.statusCode, 401);
+  assert.strictEqual(authorize('viewer', `${token.slice(0, -2)}xx`).res.statusCode, 401);
+});
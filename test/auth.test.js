@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Wallet } = require('ethers');
+const { issueNonce, verifySignIn, requireWalletSession } = require('../server/auth');
+
+const wallet = new Wallet(`0x${'11'.repeat(32)}`);
+const other = new Wallet(`0x${'22'.repeat(32)}`);
+
+// issueNonce 只用到请求的 Origin/Host 与协议
+function fakeRequest(headers = {}) {
+  const all = { origin: 'https://xwawa.example', host: 'xwawa.example', ...headers };
+  return { protocol: 'https', get: name => all[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+async function signIn(purpose = 'wallet') {
+  const { nonce, message } = issueNonce(fakeRequest(), wallet.address, purpose);
+  const signature = await wallet.signMessage(message);
+  return { address: wallet.address, nonce, signature };
+}
+
+test('签名正确时签发会话', async () => {
+  const session = verifySignIn(await signIn());
+  assert.strictEqual(session.address, wallet.address.toLowerCase());
+  assert.match(session.token, /^[0-9a-f]{64}$/);
+});
+
+test('登录消息绑定请求来源与 nonce', () => {
+  const { nonce, message } = issueNonce(fakeRequest(), wallet.address);
+  assert.match(message, /^xwawa\.example wants you to sign in with your Ethereum account:\n0x/);
+  assert.ok(message.includes(`Nonce: ${nonce}`));
+  assert.ok(message.includes('URI: https://xwawa.example'));
+});
+
+test('同一 nonce 不能重复使用', async () => {
+  const params = await signIn();
+  verifySignIn(params);
+  assert.throws(() => verifySignIn(params), { code: 'NONCE_EXPIRED' });
+});
+
+test('签名失败也会消费 nonce', async () => {
+  const { nonce, message } = issueNonce(fakeRequest(), wallet.address);
+  const address = wallet.address;
+  const forged = await other.signMessage(message);
+  const genuine = await wallet.signMessage(message);
+  assert.throws(() => verifySignIn({ address, nonce, signature: forged }), { code: 'INVALID_SIGNATURE' });
+  assert.throws(() => verifySignIn({ address, nonce, signature: genuine }), { code: 'NONCE_EXPIRED' });
+});
+
+test('管理员登录的 nonce 不能用于中奖人会话', async () => {
+  const params = await signIn('admin');
+  assert.throws(() => verifySignIn(params), { code: 'NONCE_EXPIRED' });
+});
+
+test('请求地址与 nonce 绑定的地址不一致时拒绝', async () => {
+  const params = await signIn();
+  assert.throws(() => verifySignIn({ ...params, address: other.address }), { code: 'INVALID_SIGNATURE' });
+});
+
+test('未知 nonce 视为已过期', async () => {
+  const params = await signIn();
+  assert.throws(() => verifySignIn({ ...params, nonce: 'f'.repeat(32) }), { code: 'NONCE_EXPIRED' });
+});
+
+test('requireWalletSession 接受有效令牌并挂上钱包地址', async () => {
+  const { token } = verifySignIn(await signIn());
+  const req = fakeRequest({ authorization: `Bearer ${token}` });
+  let called = false;
+  requireWalletSession(req, fakeResponse(), () => { called = true; });
+  assert.ok(called);
+  assert.strictEqual(req.walletAddress, wallet.address.toLowerCase());
+});
+
+test('requireWalletSession 拒绝缺失或无效的令牌', () => {
+  for (const headers of [{}, { authorization: `Bearer ${'0'.repeat(64)}` }]) {
+    const res = fakeResponse();
+    requireWalletSession(fakeRequest(headers), res, () => assert.fail('不应放行'));
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.code, 'UNAUTHORIZED');
+  }
+});
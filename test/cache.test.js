@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTtlCache } = require('../server/cache');
+
+test('命中缓存时不再调用 loader', async () => {
+  const cache = createTtlCache({ ttlMs: 60 * 1000 });
+  let calls = 0;
+  const loader = async () => ++calls;
+  assert.strictEqual(await cache.wrap('k', loader), 1);
+  assert.strictEqual(await cache.wrap('k', loader), 1);
+  assert.strictEqual(calls, 1);
+});
+
+test('过期后重新加载', async () => {
+  const cache = createTtlCache({ ttlMs: 10 });
+  let calls = 0;
+  const loader = async () => ++calls;
+  await cache.wrap('k', loader);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(await cache.wrap('k', loader), 2);
+});
+
+test('同一 key 的并发请求共享一次加载', async () => {
+  const cache = createTtlCache({ ttlMs: 60 * 1000 });
+  let calls = 0;
+  const loader = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+  const results = await Promise.all([cache.wrap('k', loader), cache.wrap('k', loader)]);
+  assert.deepStrictEqual(results, [1, 1]);
+  assert.strictEqual(calls, 1);
+});
+
+test('加载失败不写入缓存', async () => {
+  const cache = createTtlCache({ ttlMs: 60 * 1000 });
+  await assert.rejects(cache.wrap('k', async () => { throw new Error('RPC 不可用'); }), /RPC 不可用/);
+  assert.strictEqual(await cache.wrap('k', async () => 'ok'), 'ok');
+});
+
+test('超出容量时淘汰最早写入的条目', () => {
+  const cache = createTtlCache({ ttlMs: 60 * 1000, maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('c', 3);
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.get('b'), 2);
+  assert.strictEqual(cache.get('c'), 3);
+});
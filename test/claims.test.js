@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileRepository } = require('../server/repository/file');
+
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b2';
+
+const RECORDS = [
+  { wallet_address: ALICE, prize: 0, email: 'alice@example.com', claim_status: 'claimed', created_at: '2026-01-01T01:00:00.000Z' },
+  { wallet_address: BOB, prize: 1, email: null, claim_status: null, created_at: '2026-01-02T01:00:00.000Z' },
+  { wallet_address: BOB, prize: 2, email: 'bob@example.com', claim_status: null, created_at: '2026-01-03T01:00:00.000Z' },
+  { wallet_address: ALICE, prize: 5, email: null, claim_status: null, created_at: '2026-01-04T01:00:00.000Z' },
+];
+
+const ALL = { prizes: [], claimStatuses: [], hasEmail: null, from: null, to: null };
+const PAGE = { limit: 50, offset: 0 };
+
+let dir;
+let repo;
+
+test.before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-claims-'));
+  const filePath = path.join(dir, 'data.json');
+  const lotteryRecords = RECORDS.map((r, i) => ({ id: i + 1, ...r, updated_at: r.created_at }));
+  await fs.promises.writeFile(filePath, JSON.stringify({
+    sequences: { lottery_records: lotteryRecords.length },
+    lottery_records: lotteryRecords,
+  }));
+  repo = createFileRepository(filePath);
+  await repo.init();
+});
+
+test.after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function ids({ records }) {
+  return records.map(r => r.id);
+}
+
+test('按创建时间倒序返回全部记录', async () => {
+  const result = await repo.listClaims(ALL, PAGE);
+  assert.strictEqual(result.total, 4);
+  assert.deepStrictEqual(ids(result), [4, 3, 2, 1]);
+});
+
+test('按奖项筛选', async () => {
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, prizes: [0, 2] }, PAGE)), [3, 1]);
+});
+
+test('按领取状态筛选（可多选，旧数据的 claimed 视为 email_submitted）', async () => {
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, claimStatuses: ['email_submitted'] }, PAGE)), [1]);
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, claimStatuses: ['unclaimed'] }, PAGE)), [4, 3, 2]);
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, claimStatuses: ['shipped', 'email_submitted'] }, PAGE)), [1]);
+});
+
+test('按是否填写邮箱筛选', async () => {
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, hasEmail: true }, PAGE)), [3, 1]);
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, hasEmail: false }, PAGE)), [4, 2]);
+});
+
+test('按日期范围筛选（含首尾）', async () => {
+  assert.deepStrictEqual(ids(await repo.listClaims({ ...ALL, from: '2026-01-02', to: '2026-01-03' }, PAGE)), [3, 2]);
+});
+
+test('分页返回总数与当前页', async () => {
+  const result = await repo.listClaims(ALL, { limit: 2, offset: 1 });
+  assert.strictEqual(result.total, 4);
+  assert.deepStrictEqual(ids(result), [3, 2]);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CONFIG_PATH = path.resolve(__dirname, '..', 'server', 'config.js');
+const SCRIPT = `process.stdout.write(JSON.stringify(require(${JSON.stringify(CONFIG_PATH)}).config))`;
+
+let cwd;
+
+test.before(() => {
+  // 在空目录中加载，避免读取仓库根目录的 .env
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'xwawa-config-'));
+});
+
+test.after(() => {
+  fs.rmSync(cwd, { recursive: true, force: true });
+});
+
+// 在只含指定环境变量的子进程中加载配置（配置在加载时读取并冻结）
+function loadConfig(env = {}) {
+  const result = spawnSync(process.execPath, ['-e', SCRIPT], {
+    cwd,
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8',
+  });
+  if (result.status !== 0) {
+    return { status: result.status, errors: JSON.parse(result.stderr.trim().split('\n').pop()).errors };
+  }
+  return { status: 0, config: JSON.parse(result.stdout) };
+}
+
+test('未设置的变量使用默认值', () => {
+  const { config } = loadConfig();
+  assert.strictEqual(config.port, 3001);
+  assert.strictEqual(config.db.configured, false);
+  assert.strictEqual(config.storage.backend, 'file');
+  assert.strictEqual(config.db.timezone, '+08:00');
+  assert.deepStrictEqual(config.rateLimit.budgets.mail, { max: 5, windowMs: 60 * 60 * 1000 });
+  assert.strictEqual(config.encryptionKey, null);
+});
+
+test('数据库变量完整时默认使用 MySQL 后端', () => {
+  const { config } = loadConfig({ DB_HOST: 'db', DB_PORT: '3306', DB_USER: 'u', DB_PASSWORD: 'p', DB_NAME: 'xwawa' });
+  assert.strictEqual(config.db.configured, true);
+  assert.strictEqual(config.storage.backend, 'mysql');
+});
+
+test('解析布尔、地址与管理员白名单', () => {
+  const operator = '0x19E7E376E7C213B7E7E7E46CC70A5DD086DAFF2A';
+  const { config } = loadConfig({
+    RATE_LIMIT_ENABLED: 'false',
+    CONTRACT_ADDRESS: operator,
+    ADMIN_OPERATORS: `${operator}:fulfilment`,
+  });
+  assert.strictEqual(config.rateLimit.enabled, false);
+  assert.strictEqual(config.chain.lotteryAddress, operator.toLowerCase());
+  assert.deepStrictEqual(config.admin.operators, [{ address: operator.toLowerCase(), role: 'fulfilment' }]);
+});
+
+test('DB_TIMEZONE 决定 MySQL 会话时区与统计自然日的 UTC 偏移', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const cases = [
+    [{}, '+08:00', 8 * HOUR_MS],
+    [{ DB_TIMEZONE: 'Z' }, '+00:00', 0],
+    [{ DB_TIMEZONE: '-05:30' }, '-05:30', -5.5 * HOUR_MS],
+    [{ DB_TIMEZONE: 'local', TZ: 'Asia/Tokyo' }, '+09:00', 9 * HOUR_MS],
+    [{ DB_TIMEZONE: 'local', TZ: 'UTC' }, '+00:00', 0],
+  ];
+  for (const [env, sessionTimeZone, utcOffsetMs] of cases) {
+    const { db } = loadConfig(env).config;
+    assert.strictEqual(db.sessionTimeZone, sessionTimeZone, JSON.stringify(env));
+    assert.strictEqual(db.utcOffsetMs, utcOffsetMs, JSON.stringify(env));
+  }
+});
+
+test('格式不正确时收集全部错误并以退出码 1 退出', () => {
+  const { status, errors } = loadConfig({
+    PORT: '70000',
+    RATE_LIMIT_ENABLED: 'maybe',
+    CONTRACT_ADDRESS: '0x123',
+    DB_TIMEZONE: 'Asia/Shanghai',
+    JWT_SECRET: 'short',
+    ENCRYPTION_KEY: 'not-a-key',
+  });
+  assert.strictEqual(status, 1);
+  const names = errors.map(e => e.split(' ')[0]);
+  for (const name of ['PORT', 'RATE_LIMIT_ENABLED', 'CONTRACT_ADDRESS', 'DB_TIMEZONE', 'JWT_SECRET', 'ENCRYPTION_KEY']) {
+    assert.ok(names.includes(name), `${name}: ${errors.join('; ')}`);
+  }
+});
+
+test('CORS_ORIGINS 只接受 scheme://[*.]host[:port|:*] 格式的来源', () => {
+  const { config } = loadConfig({ CORS_ORIGINS: 'https://xwawa.io/, https://*.xwawa.io, http://localhost:*' });
+  assert.deepStrictEqual(config.cors.origins, ['https://xwawa.io', 'https://*.xwawa.io', 'http://localhost:*']);
+  const { status, errors } = loadConfig({ CORS_ORIGINS: 'https://xwawa.io, *' });
+  assert.strictEqual(status, 1);
+  assert.ok(errors.some(e => e.startsWith('CORS_ORIGINS')));
+});
+
+test('未设置 CORS_ORIGINS 时生产环境不允许跨域', () => {
+  assert.deepStrictEqual(loadConfig({ NODE_ENV: 'production' }).config.cors.origins, []);
+  assert.ok(loadConfig().config.cors.origins.includes('http://localhost:*'));
+});
+
+test('STORAGE_BACKEND=mysql 但数据库变量不完整时报错', () => {
+  const { status, errors } = loadConfig({ STORAGE_BACKEND: 'mysql', DB_HOST: 'db' });
+  assert.strictEqual(status, 1);
+  assert.ok(errors.some(e => e.startsWith('STORAGE_BACKEND=mysql')));
+});
+
+test('导出的配置对象已冻结', () => {
+  const script = `const { config } = require(${JSON.stringify(CONFIG_PATH)});
+    process.stdout.write(String(Object.isFrozen(config) && Object.isFrozen(config.db)));`;
+  const result = spawnSync(process.execPath, ['-e', script], { cwd, env: { PATH: process.env.PATH }, encoding: 'utf8' });
+  assert.strictEqual(result.stdout, 'true');
+});
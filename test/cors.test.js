@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.CORS_ORIGINS = 'https://xwawa.io, https://*.xwawa.io, http://localhost:*';
+process.env.CORS_CREDENTIALS = 'true';
+
+const { corsMiddleware, isOriginAllowed } = require('../server/cors');
+
+let server;
+let baseUrl;
+const warnings = [];
+
+test.before(async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.log = { warn: (msg, fields) => warnings.push(fields) };
+    next();
+  });
+  app.use(corsMiddleware);
+  app.get('/api/ping', (req, res) => res.json({ ok: true }));
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('精确匹配配置的来源', () => {
+  assert.ok(isOriginAllowed('https://xwawa.io'));
+  assert.ok(isOriginAllowed('HTTPS://XWAWA.IO'));
+  assert.ok(!isOriginAllowed('http://xwawa.io'));
+  assert.ok(!isOriginAllowed('https://xwawa.io:8443'));
+  assert.ok(!isOriginAllowed('https://xwawa.io.evil.com'));
+});
+
+test('*. 匹配任意层级子域名，不含主域名本身', () => {
+  assert.ok(isOriginAllowed('https://app.xwawa.io'));
+  assert.ok(isOriginAllowed('https://a.b.xwawa.io'));
+  assert.ok(!isOriginAllowed('https://evilxwawa.io'));
+  assert.ok(!isOriginAllowed('https://app.xwawa.io.evil.com'));
+});
+
+test(':* 匹配任意端口', () => {
+  assert.ok(isOriginAllowed('http://localhost:5173'));
+  assert.ok(isOriginAllowed('http://localhost'));
+  assert.ok(!isOriginAllowed('http://localhost.evil.com:5173'));
+});
+
+test('白名单内的来源返回 CORS 头并允许凭据', async () => {
+  const res = await fetch(`${baseUrl}/api/ping`, { headers: { Origin: 'https://app.xwawa.io' } });
+  assert.strictEqual(res.headers.get('access-control-allow-origin'), 'https://app.xwawa.io');
+  assert.strictEqual(res.headers.get('access-control-allow-credentials'), 'true');
+});
+
+test('预检请求返回允许的方法与请求头', async () => {
+  const res = await fetch(`${baseUrl}/api/ping`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://xwawa.io', 'Access-Control-Request-Method': 'DELETE' },
+  });
+  assert.strictEqual(res.status, 204);
+  assert.match(res.headers.get('access-control-allow-methods'), /DELETE/);
+  assert.match(res.headers.get('access-control-allow-headers'), /Authorization/);
+});
+
+test('白名单外的来源不返回 CORS 头并记录告警', async () => {
+  const res = await fetch(`${baseUrl}/api/ping`, { headers: { Origin: 'https://evil.example' } });
+  assert.strictEqual(res.headers.get('access-control-allow-origin'), null);
+  assert.ok(warnings.some(w => w.origin === 'https://evil.example'));
+});
+
+test('与 Host 一致的来源视为同源', async () => {
+  const res = await fetch(`${baseUrl}/api/ping`, { headers: { Origin: baseUrl } });
+  assert.strictEqual(res.headers.get('access-control-allow-origin'), baseUrl);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../server/csv');
+
+const COLUMNS = [
+  { header: 'id', value: r => r.id },
+  { header: 'email', value: r => r.email },
+];
+
+function body(csv) {
+  return csv.slice(1).split('\r\n');
+}
+
+test('带 UTF-8 BOM，CRLF 换行并以换行结尾', () => {
+  const csv = toCsv(COLUMNS, [{ id: 1, email: 'a@example.com' }]);
+  assert.ok(csv.startsWith('﻿'));
+  assert.deepStrictEqual(body(csv), ['id,email', '1,a@example.com', '']);
+});
+
+test('含逗号、双引号或换行的单元格加引号并转义双引号', () => {
+  const csv = toCsv(COLUMNS, [{ id: 1, email: 'a,"b"' }, { id: 2, email: '第一行\n第二行' }]);
+  assert.strictEqual(body(csv)[1], '1,"a,""b"""');
+  assert.ok(csv.includes('2,"第一行\n第二行"'));
+});
+
+test('以公式字符开头的单元格前加单引号', () => {
+  const cases = [
+    ['=1+1', "'=1+1"],
+    ['+1', "'+1"],
+    ['-1', "'-1"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tx', "'\tx"],
+    ['=HYPERLINK("x")', '"\'=HYPERLINK(""x"")"'],
+  ];
+  for (const [value, expected] of cases) {
+    assert.strictEqual(body(toCsv(COLUMNS, [{ id: 1, email: value }]))[1], `1,${expected}`);
+  }
+});
+
+test('空值输出为空单元格，日期输出为 ISO 时间', () => {
+  const csv = toCsv(
+    [{ header: 'a', value: () => null }, { header: 'b', value: () => undefined }, { header: 'c', value: r => r.at }],
+    [{ at: new Date('2026-01-01T00:00:00Z') }],
+  );
+  assert.strictEqual(body(csv)[1], ',,2026-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+const { encryptJson, decryptJson } = require('../server/encryption');
+
+const AAD = 'lottery_record:12';
+const SHIPPING = { name: '张三', phone: '13800000000', address: '上海市浦东新区' };
+
+// 将密文某一段（1 = iv，2 = tag，3 = ciphertext）的首字节取反
+function tamper(envelope, index) {
+  const parts = envelope.split(':');
+  const bytes = Buffer.from(parts[index], 'base64');
+  bytes[0] ^= 0xff;
+  parts[index] = bytes.toString('base64');
+  return parts.join(':');
+}
+
+test('加密后可用相同 aad 解密还原', () => {
+  const envelope = encryptJson(SHIPPING, AAD);
+  assert.match(envelope, /^v1:[^:]+:[^:]+:[^:]+$/);
+  assert.ok(!envelope.includes('13800000000'));
+  assert.deepStrictEqual(decryptJson(envelope, AAD), SHIPPING);
+});
+
+test('每次加密使用新的 iv', () => {
+  assert.notStrictEqual(encryptJson(SHIPPING, AAD), encryptJson(SHIPPING, AAD));
+});
+
+test('aad 不一致时拒绝解密', () => {
+  const envelope = encryptJson(SHIPPING, AAD);
+  assert.throws(() => decryptJson(envelope, 'lottery_record:13'));
+});
+
+test('密文、认证标签或 iv 被篡改时拒绝解密', () => {
+  const envelope = encryptJson(SHIPPING, AAD);
+  for (const index of [1, 2, 3]) {
+    assert.throws(() => decryptJson(tamper(envelope, index), AAD));
+  }
+});
+
+test('截短的认证标签拒绝解密', () => {
+  const parts = encryptJson(SHIPPING, AAD).split(':');
+  for (const length of [4, 8, 12, 15]) {
+    const truncated = [...parts];
+    truncated[2] = Buffer.from(parts[2], 'base64').subarray(0, length).toString('base64');
+    assert.throws(() => decryptJson(truncated.join(':'), AAD));
+  }
+});
+
+test('格式不正确的密文拒绝解密', () => {
+  assert.throws(() => decryptJson('', AAD), /密文格式不正确/);
+  assert.throws(() => decryptJson('v0:a:b:c', AAD), /密文格式不正确/);
+  assert.throws(() => decryptJson(null, AAD), /密文格式不正确/);
+});
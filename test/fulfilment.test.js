@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileRepository } = require('../server/repository/file');
+const { TRANSITIONS, canTransition, currentClaimStatus, transitionClaim } = require('../server/fulfilment');
+
+const ALLOWED = [
+  ['unclaimed', 'email_submitted'],
+  ['email_submitted', 'address_confirmed'],
+  ['address_confirmed', 'shipped'],
+  ['shipped', 'delivered'],
+  ['unclaimed', 'expired'],
+  ['email_submitted', 'expired'],
+  ['address_confirmed', 'rejected'],
+];
+
+const REJECTED = [
+  ['unclaimed', 'shipped'],
+  ['email_submitted', 'delivered'],
+  ['address_confirmed', 'expired'],
+  ['shipped', 'rejected'],
+  ['shipped', 'email_submitted'],
+  ['delivered', 'shipped'],
+  ['expired', 'email_submitted'],
+  ['rejected', 'address_confirmed'],
+];
+
+test('允许的状态流转', () => {
+  for (const [from, to] of ALLOWED) assert.ok(canTransition(from, to), `${from} -> ${to}`);
+});
+
+test('不允许的状态流转', () => {
+  for (const [from, to] of REJECTED) assert.ok(!canTransition(from, to), `${from} -> ${to}`);
+  assert.ok(!canTransition('unknown', 'shipped'));
+});
+
+test('终态不能再变更', () => {
+  for (const status of ['delivered', 'expired', 'rejected']) {
+    assert.deepStrictEqual(TRANSITIONS[status], []);
+  }
+});
+
+test('claim_status 为空的记录视为 unclaimed', () => {
+  assert.strictEqual(currentClaimStatus({ claim_status: null }), 'unclaimed');
+});
+
+// 以下用例在写入存储之前即被拒绝
+test('transitionClaim 拒绝不合法的流转', async () => {
+  for (const [from, to] of REJECTED) {
+    await assert.rejects(
+      transitionClaim({ id: 1, claim_status: from }, to, { actor: 'test' }),
+      { code: 'INVALID_TRANSITION', status: 409 },
+    );
+  }
+});
+
+test('transitionClaim 拒绝未知状态', async () => {
+  await assert.rejects(
+    transitionClaim({ id: 1, claim_status: 'unclaimed' }, 'lost', { actor: 'test' }),
+    { code: 'INVALID_REQUEST', status: 400 },
+  );
+});
+
+test('发货必须提供承运商与运单号', async () => {
+  const record = { id: 1, claim_status: 'address_confirmed' };
+  await assert.rejects(transitionClaim(record, 'shipped', { actor: 'test' }), { code: 'INVALID_REQUEST', status: 400 });
+  await assert.rejects(
+    transitionClaim(record, 'shipped', { carrier: 'SF', actor: 'test' }),
+    { code: 'INVALID_REQUEST', status: 400 },
+  );
+});
+
+test('存储层只在当前状态与预期一致时变更，并写入时间线', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-fulfilment-'));
+  try {
+    const filePath = path.join(dir, 'data.json');
+    const createdAt = '2026-01-01T00:00:00.000Z';
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      sequences: { lottery_records: 1 },
+      lottery_records: [{ id: 1, wallet_address: '0x00000000000000000000000000000000000000a1', prize: 0,
+        claim_status: 'address_confirmed', created_at: createdAt, updated_at: createdAt }],
+    }));
+    const repo = createFileRepository(filePath);
+    await repo.init();
+
+    const details = { carrier: 'SF', trackingNumber: 'SF123', note: null, actor: 'admin' };
+    assert.strictEqual(await repo.transitionClaim(1, 'email_submitted', 'address_confirmed', { actor: 'admin' }), false);
+    assert.strictEqual(await repo.transitionClaim(1, 'address_confirmed', 'shipped', details), true);
+    assert.strictEqual(await repo.transitionClaim(1, 'address_confirmed', 'shipped', details), false);
+
+    const record = await repo.findRecord(1);
+    assert.strictEqual(record.claim_status, 'shipped');
+    assert.strictEqual(record.tracking_number, 'SF123');
+    const events = await repo.listClaimEvents(1);
+    assert.deepStrictEqual(events.map(e => [e.from_status, e.to_status, e.actor]), [['address_confirmed', 'shipped', 'admin']]);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('领取邮箱与状态变更在同一次写入中完成', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-fulfilment-'));
+  try {
+    const filePath = path.join(dir, 'data.json');
+    const wallet = '0x00000000000000000000000000000000000000a1';
+    const createdAt = '2026-01-01T00:00:00.000Z';
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      sequences: { lottery_records: 1 },
+      lottery_records: [{ id: 1, wallet_address: wallet, prize: 0, claim_status: null,
+        created_at: createdAt, updated_at: createdAt }],
+    }));
+    const repo = createFileRepository(filePath);
+    await repo.init();
+
+    const first = { email: 'a@example.com', lang: 'zh', from: 'unclaimed', to: 'email_submitted', actor: 'wallet' };
+    assert.strictEqual(await repo.markRecordClaimed(1, '0x00000000000000000000000000000000000000b2', first), false);
+    assert.strictEqual(await repo.markRecordClaimed(1, wallet, first), true);
+    // 状态已不是 unclaimed，重复的首次提交不会覆盖邮箱
+    assert.strictEqual(await repo.markRecordClaimed(1, wallet, { ...first, email: 'c@example.com' }), false);
+
+    const again = { email: 'b@example.com', lang: 'en', from: 'email_submitted', to: 'email_submitted', actor: 'wallet' };
+    assert.strictEqual(await repo.markRecordClaimed(1, wallet, again), true);
+
+    const record = await repo.findRecord(1);
+    assert.strictEqual(record.claim_status, 'email_submitted');
+    assert.strictEqual(record.email, 'b@example.com');
+    assert.strictEqual(record.lang, 'en');
+    assert.ok(record.claimed_at);
+    const events = await repo.listClaimEvents(1);
+    assert.deepStrictEqual(events.map(e => [e.from_status, e.to_status]), [['unclaimed', 'email_submitted']]);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xwawa-inbox-'));
+const filePath = path.join(dir, 'data.json');
+process.env.STORAGE_BACKEND = 'file';
+process.env.FILE_STORAGE_PATH = filePath;
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+process.env.SMTP_USER = 'noreply@xwawa.example';
+
+const { getRepository } = require('../server/repository');
+const { extractReplyText, processInboxMessage, decryptInboxReply } = require('../server/inbox');
+const { loadShippingDetails } = require('../server/shipping');
+
+const WINNER = 'winner@example.com';
+const MAILBOX = 'INBOX';
+const ADDRESS = '上海市浦东新区世纪大道 100 号\n张三 13800000000';
+
+let repo;
+let outboxEmailId;
+let nextUid = 1;
+
+test.before(async () => {
+  const createdAt = '2026-01-01T00:00:00.000Z';
+  const record = { wallet_address: '0x00000000000000000000000000000000000000a1', created_at: createdAt, updated_at: createdAt };
+  fs.writeFileSync(filePath, JSON.stringify({
+    sequences: { lottery_records: 3 },
+    lottery_records: [
+      { id: 1, ...record, prize: 0, email: WINNER, claim_status: 'email_submitted' },
+      { id: 2, ...record, prize: 5, email: WINNER, claim_status: 'unclaimed' },
+      { id: 3, ...record, prize: 1, email: WINNER, claim_status: 'shipped' },
+    ],
+  }));
+  repo = getRepository();
+  await repo.init();
+  outboxEmailId = await repo.enqueueEmail({
+    kind: 'send', template: 'claim_received', lang: 'zh', recipient: WINNER, reference: 'lottery_record:1', max_attempts: 5,
+  });
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function rawEmail({ from = WINNER, subject = 'Re: 奖品领取', headers = {}, body }) {
+  const lines = [
+    `From: ${from}`,
+    'To: noreply@xwawa.example',
+    `Subject: ${subject}`,
+    `Message-ID: <reply-${nextUid}@example.com>`,
+    'Date: Thu, 01 Jan 2026 10:00:00 +0000',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ];
+  return Buffer.from(lines.join('\r\n'));
+}
+
+function receive(options) {
+  return processInboxMessage(rawEmail(options), { mailbox: MAILBOX, uidValidity: 1, uid: nextUid++ });
+}
+
+test('extractReplyText 去掉引用的原邮件与参考编号行', () => {
+  const text = [
+    ADDRESS,
+    '参考编号：XWAWA-LR-1',
+    '',
+    'On Thu, Jan 1, 2026 at 10:00 AM Xwawa',
+    '<noreply@xwawa.example> wrote:',
+    '> 恭喜您中奖',
+  ].join('\r\n');
+  assert.strictEqual(extractReplyText(text), ADDRESS);
+});
+
+test('extractReplyText 识别中文邮件客户端的引用格式', () => {
+  assert.strictEqual(extractReplyText(`${ADDRESS}\n\n2026年1月1日 Xwawa 写道：\n恭喜您中奖`), ADDRESS);
+  assert.strictEqual(extractReplyText(`${ADDRESS}\n\n------ 原始邮件 ------\n发件人: Xwawa`), ADDRESS);
+  assert.strictEqual(extractReplyText(`> 恭喜您中奖\n${ADDRESS}`), ADDRESS);
+});
+
+test('In-Reply-To 指向奖品邮件时关联记录并保存收货地址', async () => {
+  const reply = await receive({
+    headers: { 'In-Reply-To': `<xwawa.outbox.${outboxEmailId}@xwawa.example>` },
+    body: `${ADDRESS}\n\n> 恭喜您中奖`,
+  });
+  assert.strictEqual(reply.status, 'linked');
+  assert.strictEqual(reply.record_id, 1);
+  assert.strictEqual(reply.match_method, 'message_id');
+  const shipping = (await loadShippingDetails(repo, [1])).get(1);
+  assert.strictEqual(shipping.address, ADDRESS);
+});
+
+test('按主题或正文中的参考编号关联记录', async () => {
+  const reply = await receive({ subject: 'Re: 奖品领取 XWAWA-LR-1', body: ADDRESS });
+  assert.strictEqual(reply.status, 'linked');
+  assert.strictEqual(reply.match_method, 'token');
+});
+
+test('发件人与中奖记录邮箱不一致时转人工处理', async () => {
+  const reply = await receive({ from: 'someone@example.com', subject: 'Re: XWAWA-LR-1', body: ADDRESS });
+  assert.strictEqual(reply.status, 'needs_review');
+  assert.strictEqual(reply.record_id, 1);
+  assert.strictEqual(reply.review_reason, '发件人与中奖记录邮箱不一致');
+});
+
+test('非实物奖品或地址已确认的记录转人工处理', async () => {
+  const notMerch = await receive({ subject: 'Re: XWAWA-LR-2', body: ADDRESS });
+  assert.strictEqual(notMerch.status, 'needs_review');
+  assert.strictEqual(notMerch.review_reason, '关联的记录不是实物奖品');
+  const shipped = await receive({ subject: 'Re: XWAWA-LR-3', body: ADDRESS });
+  assert.strictEqual(shipped.status, 'needs_review');
+  assert.match(shipped.review_reason, /收货地址已确认/);
+});
+
+test('找不到关联记录时转人工处理，正文加密保存', async () => {
+  const reply = await receive({ body: ADDRESS });
+  assert.strictEqual(reply.status, 'needs_review');
+  assert.strictEqual(reply.review_reason, '未找到关联的中奖记录');
+  const saved = await repo.findInboxReply(reply.id);
+  assert.strictEqual(decryptInboxReply(saved).address, ADDRESS);
+});
+
+test('自动回复与退信被忽略', async () => {
+  const autoReply = await receive({ subject: 'Re: XWAWA-LR-1', headers: { 'Auto-Submitted': 'auto-replied' }, body: '休假中' });
+  assert.strictEqual(autoReply.status, 'ignored');
+  const bounce = await receive({ from: 'mailer-daemon@example.com', body: 'Undelivered Mail' });
+  assert.strictEqual(bounce.status, 'ignored');
+});
+
+test('同一封邮件重复处理时返回 null', async () => {
+  const source = rawEmail({ subject: 'Re: XWAWA-LR-1', body: ADDRESS });
+  const location = { mailbox: MAILBOX, uidValidity: 1, uid: 1000 };
+  assert.ok(await processInboxMessage(source, location));
+  assert.strictEqual(await processInboxMessage(source, location), null);
+});
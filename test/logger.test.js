@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'info';
+const { createLogger, redact, assignRequestId } = require('../server/logger');
+
+// 捕获一次同步调用中写入 stdout/stderr 的日志行
+function capture(fn) {
+  const lines = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const name of ['stdout', 'stderr']) {
+    process[name].write = (chunk) => { lines.push({ stream: name, entry: JSON.parse(chunk) }); return true; };
+  }
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+}
+
+test('密码、令牌、签名、密钥与密文字段整体脱敏', () => {
+  const result = redact({
+    password: 'p', SMTP_PASS: 'p', token: 't', authorization: 'Bearer t', signature: '0x1',
+    private_key: 'k', encryption_key: 'k', encrypted: 'v1:a:b:c', raw_message: 'raw', nonce: 'n',
+  });
+  for (const key of ['password', 'SMTP_PASS', 'token', 'authorization', 'signature', 'private_key', 'encryption_key', 'encrypted', 'raw_message']) {
+    assert.strictEqual(result[key], '[REDACTED]', key);
+  }
+  assert.strictEqual(result.nonce, 'n');
+});
+
+test('邮箱只保留首字符与域名，嵌套对象与数组同样处理', () => {
+  const result = redact({ recipient: 'alice@example.com', nested: { list: ['bob.smith@mail.example.org'] } });
+  assert.strictEqual(result.recipient, 'a***@example.com');
+  assert.deepStrictEqual(result.nested.list, ['b***@mail.example.org']);
+});
+
+test('BigInt、Date、Buffer 与 Error 转为可序列化的值', () => {
+  const err = new Error('发送给 alice@example.com 失败');
+  err.code = 'EAUTH';
+  const result = redact({ amount: 10n ** 18n, at: new Date('2026-01-01T00:00:00Z'), raw: Buffer.alloc(3), err });
+  assert.strictEqual(result.amount, '1000000000000000000');
+  assert.strictEqual(result.at, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(result.raw, '[Buffer 3 bytes]');
+  assert.strictEqual(result.err.message, '发送给 a***@example.com 失败');
+  assert.strictEqual(result.err.code, 'EAUTH');
+});
+
+test('低于 LOG_LEVEL 的日志不输出，warn 及以上写 stderr', () => {
+  const log = createLogger({ request_id: 'req-1' });
+  const lines = capture(() => {
+    log.debug('调试');
+    log.info('已发送给 alice@example.com', { token: 't' });
+    log.error('失败');
+  });
+  assert.deepStrictEqual(lines.map(l => [l.stream, l.entry.level]), [['stdout', 'info'], ['stderr', 'error']]);
+  const { entry } = lines[0];
+  assert.strictEqual(entry.msg, '已发送给 a***@example.com');
+  assert.strictEqual(entry.request_id, 'req-1');
+  assert.strictEqual(entry.token, '[REDACTED]');
+});
+
+test('沿用合法的 X-Request-Id，否则生成新的请求ID', () => {
+  const run = (incoming) => {
+    const headers = {};
+    const req = { get: () => incoming };
+    assignRequestId(req, { set: (name, value) => { headers[name] = value; } }, () => {});
+    assert.strictEqual(headers['X-Request-Id'], req.id);
+    return req.id;
+  };
+  assert.strictEqual(run('abc-123'), 'abc-123');
+  assert.match(run('bad id\n'), /^[0-9a-f-]{36}$/);
+  assert.match(run(undefined), /^[0-9a-f-]{36}$/);
+});
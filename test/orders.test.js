@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProduct, quoteTokenAmount } = require('../server/products');
+const { createFileRepository } = require('../server/repository/file');
+
+const PAYMENT_ADDRESS = '0x19e7e376e7c213b7e7e7e46cc70a5dd086daff2a';
+const MINUTE_MS = 60 * 1000;
+
+let dir;
+let repo;
+let sequence = 0;
+
+test.beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-orders-'));
+  repo = createFileRepository(path.join(dir, 'data.json'));
+  await repo.init();
+});
+
+test.afterEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function createOrder(tokenAmount, { ttlSeconds = 15 * 60 } = {}) {
+  sequence++;
+  return repo.createOrder({
+    id: `XW${String(sequence).padStart(8, '0')}`,
+    product_id: '4',
+    product_name: 'Xwawa Sticker Pack',
+    usd_price: '9.99',
+    email: 'buyer@example.com',
+    token_amount: tokenAmount,
+    payment_address: PAYMENT_ADDRESS,
+    ttl_seconds: ttlSeconds,
+  });
+}
+
+test('按服务端价格与汇率报价（默认 1 美元 = 10 XWAWA）', () => {
+  assert.strictEqual(quoteTokenAmount(getProduct('4')), 99900000000000000000n);
+  assert.strictEqual(quoteTokenAmount(getProduct(3)), 999900000000000000000n);
+});
+
+test('未知商品返回 null', () => {
+  assert.strictEqual(getProduct('99'), null);
+});
+
+test('新订单为待支付状态，支付截止时间为创建时间加有效期', async () => {
+  const order = await createOrder('99900000000000000000');
+  assert.strictEqual(order.status, 'pending');
+  assert.strictEqual(Date.parse(order.expires_at) - Date.parse(order.created_at), 15 * MINUTE_MS);
+  const found = await repo.findOrder(order.id);
+  assert.strictEqual(found.token_amount, '99900000000000000000');
+  assert.strictEqual(await repo.findOrder('XW99999999'), null);
+});
+
+test('只将已过支付截止时间的待支付订单标记为过期', async () => {
+  const overdue = await createOrder('1', { ttlSeconds: -60 });
+  const open = await createOrder('2');
+  assert.strictEqual(await repo.expireOverdueOrders(), 1);
+  assert.strictEqual((await repo.findOrder(overdue.id)).status, 'expired');
+  assert.strictEqual((await repo.findOrder(open.id)).status, 'pending');
+  assert.strictEqual(await repo.expireOverdueOrders(), 0);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Interface, zeroPadValue } = require('ethers');
+const { buildTransferFilter, decodeTransferLogs } = require('../server/chain');
+const { createFileRepository } = require('../server/repository/file');
+
+const TOKEN_ADDRESS = '0x00000000000000000000000000000000000000c3';
+const PAYMENT_ADDRESS = '0x19e7e376e7c213b7e7e7e46cc70a5dd086daff2a';
+const BUYER = '0x00000000000000000000000000000000000000a1';
+const AMOUNT = '1000000000000000001';
+const MINUTE_MS = 60 * 1000;
+
+const erc20 = new Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+let dir;
+let repo;
+let sequence = 0;
+
+test.beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-payments-'));
+  repo = createFileRepository(path.join(dir, 'data.json'));
+  await repo.init();
+});
+
+test.afterEach(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+function createOrder(tokenAmount) {
+  sequence++;
+  return repo.createOrder({
+    id: `XW${String(sequence).padStart(8, '0')}`,
+    product_id: '4',
+    product_name: 'Xwawa Sticker Pack',
+    usd_price: '9.99',
+    email: 'buyer@example.com',
+    token_amount: tokenAmount,
+    payment_address: PAYMENT_ADDRESS,
+    ttl_seconds: 15 * 60,
+  });
+}
+
+// 与 server/payment-verifier.js 一致：转账时间落在订单的创建与过期时间之间
+function findForTransfer(tokenAmount, paidAt = new Date()) {
+  return repo.findPayableOrder(PAYMENT_ADDRESS, tokenAmount, { createdBefore: paidAt, expiresAfter: paidAt });
+}
+
+function transferLog(value, { to = PAYMENT_ADDRESS, index = 0 } = {}) {
+  const { data, topics } = erc20.encodeEventLog('Transfer', [BUYER, to, value]);
+  return { address: TOKEN_ADDRESS, data, topics, transactionHash: `0x${'AB'.repeat(32)}`, blockNumber: 100, index };
+}
+
+test('Transfer 过滤条件按代币合约与收款地址筛选', () => {
+  const filter = buildTransferFilter(TOKEN_ADDRESS, PAYMENT_ADDRESS, 10, 20);
+  assert.strictEqual(filter.address, TOKEN_ADDRESS);
+  assert.deepStrictEqual(filter.topics, [erc20.getEvent('Transfer').topicHash, null, zeroPadValue(PAYMENT_ADDRESS, 32)]);
+  assert.strictEqual(filter.fromBlock, 10);
+  assert.strictEqual(filter.toBlock, 20);
+});
+
+test('解析 Transfer 日志，金额为最小单位的 bigint', () => {
+  const otherEvent = { ...transferLog(1n), topics: [`0x${'00'.repeat(32)}`] };
+  const [transfer, ...rest] = decodeTransferLogs([transferLog(BigInt(AMOUNT), { index: 3 }), otherEvent]);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(transfer.from, BUYER);
+  assert.strictEqual(transfer.to, PAYMENT_ADDRESS);
+  assert.strictEqual(transfer.value, BigInt(AMOUNT));
+  assert.strictEqual(transfer.txHash, `0x${'ab'.repeat(32)}`);
+  assert.strictEqual(transfer.logIndex, 3);
+});
+
+test('转账金额与订单金额完全一致时匹配', async () => {
+  const order = await createOrder(AMOUNT);
+  await createOrder('1000000000000000002');
+  assert.strictEqual((await findForTransfer(AMOUNT)).id, order.id);
+});
+
+test('金额不一致时不匹配', async () => {
+  await createOrder(AMOUNT);
+  assert.strictEqual(await findForTransfer('1000000000000000000'), null);
+  assert.strictEqual(await findForTransfer('10000000000000000010'), null);
+});
+
+test('其他收款地址的转账不匹配', async () => {
+  await createOrder(AMOUNT);
+  const found = await repo.findPayableOrder('0x0000000000000000000000000000000000000001', AMOUNT, {
+    createdBefore: new Date(), expiresAfter: new Date(),
+  });
+  assert.strictEqual(found, null);
+});
+
+test('订单创建前或过期后的转账不匹配', async () => {
+  const order = await createOrder(AMOUNT);
+  const createdAt = Date.parse(order.created_at);
+  assert.strictEqual(await findForTransfer(AMOUNT, new Date(createdAt - MINUTE_MS)), null);
+  assert.strictEqual(await findForTransfer(AMOUNT, new Date(createdAt + 16 * MINUTE_MS)), null);
+});
+
+test('待支付订单的金额占用可查询，用于分配唯一金额', async () => {
+  await createOrder(AMOUNT);
+  assert.strictEqual(await repo.hasPendingOrderWithAmount(PAYMENT_ADDRESS, AMOUNT), true);
+  assert.strictEqual(await repo.hasPendingOrderWithAmount(PAYMENT_ADDRESS, '1000000000000000002'), false);
+});
+
+test('同一订单只能标记支付一次，之后不再匹配', async () => {
+  const order = await createOrder(AMOUNT);
+  assert.strictEqual(await repo.markOrderPaid(order.id, '0xabc', new Date()), true);
+  assert.strictEqual(await repo.markOrderPaid(order.id, '0xdef', new Date()), false);
+  assert.strictEqual(await findForTransfer(AMOUNT), null);
+  assert.strictEqual(await repo.hasPendingOrderWithAmount(PAYMENT_ADDRESS, AMOUNT), false);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_WRITE_MAX = '2';
+process.env.RATE_LIMIT_WRITE_WINDOW_MS = '60000';
+process.env.RATE_LIMIT_READ_MAX = '3';
+
+const { rateLimit } = require('../server/rate-limit');
+
+// 执行中间件，返回是否放行及响应
+async function call(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('预算内放行，超出后返回 429 与 Retry-After', async () => {
+  const limit = rateLimit('write');
+  const req = { ip: '10.0.0.1' };
+  assert.ok((await call(limit, req)).passed);
+  assert.ok((await call(limit, req)).passed);
+  const { passed, res } = await call(limit, req);
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'RATE_LIMITED');
+  assert.ok(Number(res.headers['Retry-After']) >= 1 && Number(res.headers['Retry-After']) <= 60);
+  assert.strictEqual(res.body.retry_after, Number(res.headers['Retry-After']));
+});
+
+test('不同 IP 分别计数', async () => {
+  const limit = rateLimit('write');
+  for (let i = 0; i < 2; i++) await call(limit, { ip: '10.0.0.2' });
+  assert.ok(!(await call(limit, { ip: '10.0.0.2' })).passed);
+  assert.ok((await call(limit, { ip: '10.0.0.3' })).passed);
+});
+
+test('各预算独立计数', async () => {
+  const write = rateLimit('write');
+  const read = rateLimit('read');
+  for (let i = 0; i < 3; i++) await call(write, { ip: '10.0.0.4' });
+  assert.ok((await call(read, { ip: '10.0.0.4' })).passed);
+});
+
+test('scope: wallet 按会话钱包地址计数，换 IP 不能绕过', async () => {
+  const limit = rateLimit('write', { scope: 'wallet' });
+  const walletAddress = '0x00000000000000000000000000000000000000a1';
+  assert.ok((await call(limit, { ip: '10.0.1.1', walletAddress })).passed);
+  assert.ok((await call(limit, { ip: '10.0.1.2', walletAddress })).passed);
+  assert.ok(!(await call(limit, { ip: '10.0.1.3', walletAddress })).passed);
+  assert.ok((await call(limit, { ip: '10.0.1.3', walletAddress: '0x00000000000000000000000000000000000000b2' })).passed);
+});
+
+test('默认按 IP 计数，不受钱包地址影响（放在鉴权之前，未登录的请求同样计数）', async () => {
+  const limit = rateLimit('write');
+  assert.ok((await call(limit, { ip: '10.0.2.1' })).passed);
+  assert.ok((await call(limit, { ip: '10.0.2.1', walletAddress: '0x00000000000000000000000000000000000000a1' })).passed);
+  assert.ok(!(await call(limit, { ip: '10.0.2.1', walletAddress: '0x00000000000000000000000000000000000000b2' })).passed);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'xwawa-site-'));
+process.env.SITE_ROOT = root;
+process.env.SITE_ASSET_MAX_AGE = '3600';
+process.env.RPC_URL = 'https://rpc.server.example/v1';
+process.env.CSP_CONNECT_SRC = 'https://extra.example';
+
+const { createSiteRouter } = require('../server/site');
+
+const INLINE_SCRIPT = "window.PAGE = 'index';";
+const CSS = `body { color: #333; }\n${'.card { margin: 0; }\n'.repeat(100)}`;
+
+let server;
+let baseUrl;
+
+function sha256(content, encoding) {
+  return crypto.createHash('sha256').update(content).digest(encoding);
+}
+
+test.before(async () => {
+  fs.mkdirSync(path.join(root, 'css'));
+  fs.mkdirSync(path.join(root, 'js'));
+  fs.mkdirSync(path.join(root, 'server'));
+  fs.writeFileSync(path.join(root, 'index.html'), [
+    '<html><head>',
+    '<link rel="stylesheet" href="css/style.css">',
+    '<script src="https://cdn.jsdelivr.net/npm/web3/dist/web3.min.js"></script>',
+    `<script>${INLINE_SCRIPT}</script>`,
+    '</head><body></body></html>',
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'css', 'style.css'), CSS);
+  fs.writeFileSync(path.join(root, 'js', 'contract-config.js'), [
+    "const NETWORK = { rpcUrls: ['https://rpc.frontend.example/testnet'] };",
+    "const CONFIG = { rpcUrl: 'https://rpc.frontend.example:8545/path' };",
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'Lottery.abi'), '[]');
+  fs.writeFileSync(path.join(root, 'server', 'config.js'), 'secret');
+
+  const app = express();
+  app.use(createSiteRouter());
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function directive(csp, name) {
+  const found = csp.split('; ').find(d => d.startsWith(`${name} `));
+  return found ? found.split(' ').slice(1) : null;
+}
+
+test('页面注入同源 API 标记，本地资源引用带内容哈希', async () => {
+  const res = await fetch(`${baseUrl}/`);
+  const html = await res.text();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('cache-control'), 'no-cache');
+  assert.strictEqual(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.ok(html.includes('<meta name="api-base-url" content="same-origin">'));
+  assert.ok(html.includes(`href="css/style.css?v=${sha256(CSS, 'hex').slice(0, 12)}"`));
+});
+
+test('CSP 按内容哈希放行内联脚本，不放行 unsafe-inline 脚本', async () => {
+  const csp = (await fetch(`${baseUrl}/index.html`)).headers.get('content-security-policy');
+  const scriptSrc = directive(csp, 'script-src');
+  assert.ok(scriptSrc.includes(`'sha256-${sha256(INLINE_SCRIPT, 'base64')}'`));
+  assert.ok(!scriptSrc.includes("'unsafe-inline'"));
+  assert.deepStrictEqual(directive(csp, 'frame-ancestors'), ["'none'"]);
+  assert.ok(!csp.includes('upgrade-insecure-requests'));
+});
+
+test('connect-src 包含前端 RPC 配置、RPC_URL 与 CSP_CONNECT_SRC 的来源', async () => {
+  const csp = (await fetch(`${baseUrl}/`)).headers.get('content-security-policy');
+  const connectSrc = directive(csp, 'connect-src');
+  for (const origin of [
+    'https://rpc.frontend.example', 'https://rpc.frontend.example:8545', 'https://rpc.server.example', 'https://extra.example',
+  ]) {
+    assert.ok(connectSrc.includes(origin), origin);
+  }
+  assert.strictEqual(new Set(connectSrc).size, connectSrc.length);
+});
+
+test('带当前哈希的资源长期缓存，其余短期缓存', async () => {
+  const hash = sha256(CSS, 'hex').slice(0, 12);
+  const current = await fetch(`${baseUrl}/css/style.css?v=${hash}`);
+  assert.strictEqual(current.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+  const stale = await fetch(`${baseUrl}/css/style.css?v=000000000000`);
+  assert.strictEqual(stale.headers.get('cache-control'), 'public, max-age=3600');
+  const plain = await fetch(`${baseUrl}/css/style.css`);
+  assert.strictEqual(plain.headers.get('cache-control'), 'public, max-age=3600');
+});
+
+test('支持 gzip 压缩', async () => {
+  const res = await fetch(`${baseUrl}/css/style.css`, { headers: { 'Accept-Encoding': 'gzip' } });
+  assert.strictEqual(res.headers.get('content-encoding'), 'gzip');
+  assert.strictEqual(await res.text(), CSS);
+});
+
+test('Lottery.abi 每次协商缓存', async () => {
+  const res = await fetch(`${baseUrl}/Lottery.abi`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('cache-control'), 'no-cache');
+  assert.match(res.headers.get('content-type'), /application\/json/);
+});
+
+test('不开放列表外的文件', async () => {
+  for (const file of ['/server/config.js', '/about.html', '/package.json']) {
+    assert.strictEqual((await fetch(`${baseUrl}${file}`)).status, 404, file);
+  }
+});
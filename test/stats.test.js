@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileRepository } = require('../server/repository/file');
+
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b2';
+
+// 统计按 UTC+8 自然日划分：16:00Z 起算作次日
+const RECORDS = [
+  { wallet_address: ALICE, prize: 0, claim_status: 'claimed', created_at: '2026-01-01T01:00:00.000Z' },
+  { wallet_address: ALICE, prize: 5, claim_status: null, created_at: '2026-01-01T15:59:59.000Z' },
+  { wallet_address: BOB, prize: 1, claim_status: null, created_at: '2026-01-01T16:00:00.000Z' },
+  { wallet_address: BOB, prize: 5, claim_status: null, created_at: '2026-01-03T02:00:00.000Z' },
+];
+
+let dir;
+let repo;
+
+test.before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'xwawa-stats-'));
+  const filePath = path.join(dir, 'data.json');
+  const lotteryRecords = RECORDS.map((r, i) => ({ id: i + 1, ...r, updated_at: r.created_at }));
+  await fs.promises.writeFile(filePath, JSON.stringify({
+    sequences: { lottery_records: lotteryRecords.length },
+    lottery_records: lotteryRecords,
+  }));
+  repo = createFileRepository(filePath);
+  await repo.init();
+});
+
+test.after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('不限日期时统计全部记录', async () => {
+  const stats = await repo.getLotteryStats({ from: null, to: null });
+  assert.strictEqual(stats.totalDraws, 4);
+  assert.strictEqual(stats.uniquePlayers, 2);
+  assert.deepStrictEqual(stats.prizeCounts, { 0: 1, 1: 1, 5: 2 });
+  assert.strictEqual(stats.merch.claimed, 1);
+  assert.strictEqual(stats.merch.unclaimed, 1);
+  assert.strictEqual(stats.merch.statuses.email_submitted, 1);
+  assert.strictEqual(stats.merch.statuses.shipped, 0);
+});
+
+test('按 UTC+8 自然日汇总每日抽奖次数', async () => {
+  const stats = await repo.getLotteryStats({ from: null, to: null });
+  assert.deepStrictEqual(stats.drawsPerDay, [
+    { date: '2026-01-01', count: 2 },
+    { date: '2026-01-02', count: 1 },
+    { date: '2026-01-03', count: 1 },
+  ]);
+});
+
+test('日期范围含首尾两天', async () => {
+  const stats = await repo.getLotteryStats({ from: '2026-01-02', to: '2026-01-03' });
+  assert.strictEqual(stats.totalDraws, 2);
+  assert.strictEqual(stats.uniquePlayers, 1);
+  assert.deepStrictEqual(stats.prizeCounts, { 1: 1, 5: 1 });
+});
+
+test('范围内没有记录时返回零值', async () => {
+  const stats = await repo.getLotteryStats({ from: '2025-01-01', to: '2025-12-31' });
+  assert.strictEqual(stats.totalDraws, 0);
+  assert.deepStrictEqual(stats.drawsPerDay, []);
+  assert.strictEqual(stats.merch.claimed, 0);
+  assert.strictEqual(stats.merch.unclaimed, 0);
+});